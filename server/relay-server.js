@@ -0,0 +1,96 @@
+// RapidPlanning relay: forwards room messages between peers whose WebRTC data channels
+// cannot open. It only knows peer IDs and connection IDs, payloads of passphrase-protected
+// rooms stay encrypted end to end.
+//
+// Usage: PORT=9001 node server/relay-server.js
+import { WebSocketServer } from 'ws'
+
+const MAX_MESSAGE_SIZE = 64 * 1024
+
+export function createRelayServer({ port = 9001, server = null } = {}) {
+  const wss = server
+    ? new WebSocketServer({ server, maxPayload: MAX_MESSAGE_SIZE })
+    : new WebSocketServer({ port, maxPayload: MAX_MESSAGE_SIZE })
+
+  const peers = new Map() // peerId -> socket
+  const connections = new Map() // connectionId -> [peerId, peerId]
+
+  function send(socket, message) {
+    if (socket && socket.readyState === 1) {
+      socket.send(JSON.stringify(message))
+    }
+  }
+
+  function route(message) {
+    send(peers.get(message.to), message)
+  }
+
+  wss.on('connection', (socket) => {
+    const ownIds = new Set()
+
+    socket.on('message', (raw) => {
+      let message
+      try {
+        message = JSON.parse(raw.toString())
+      } catch (e) {
+        return
+      }
+      if (!message || typeof message.kind !== 'string') return
+
+      // A socket can only speak for the IDs it claimed
+      if (message.kind !== 'claim' && !ownIds.has(message.from)) return
+
+      switch (message.kind) {
+        case 'claim': {
+          if (typeof message.id !== 'string' || !message.id) return
+          const holder = peers.get(message.id)
+          if (holder && holder !== socket) {
+            send(socket, { kind: 'taken', id: message.id, nonce: message.nonce })
+            return
+          }
+          peers.set(message.id, socket)
+          ownIds.add(message.id)
+          send(socket, { kind: 'claimed', id: message.id, nonce: message.nonce })
+          break
+        }
+
+        case 'connect':
+        case 'accept':
+          connections.set(message.connectionId, [message.from, message.to])
+          route(message)
+          break
+
+        case 'data':
+          route(message)
+          break
+
+        case 'close':
+          connections.delete(message.connectionId)
+          route(message)
+          break
+      }
+    })
+
+    socket.on('close', () => {
+      // Tell the other end of every connection this socket was part of
+      connections.forEach(([a, b], connectionId) => {
+        if (!ownIds.has(a) && !ownIds.has(b)) return
+        const other = ownIds.has(a) ? b : a
+        connections.delete(connectionId)
+        route({ kind: 'close', from: ownIds.has(a) ? a : b, to: other, connectionId })
+      })
+      ownIds.forEach(id => {
+        if (peers.get(id) === socket) peers.delete(id)
+      })
+    })
+  })
+
+  return wss
+}
+
+// Run directly: node server/relay-server.js
+if (process.argv[1] && process.argv[1].endsWith('relay-server.js')) {
+  const port = Number(process.env.PORT) || 9001
+  createRelayServer({ port })
+  console.log(`RapidPlanning relay listening on ws://localhost:${port}`)
+}
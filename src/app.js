@@ -4,22 +4,40 @@ import { GameManager } from './game-manager.js'
 import { UIManager } from './ui-manager.js'
 import { ConnectionManager } from './services/connection-manager.js'
 import { ErrorHandler } from './services/error-handler.js'
+import { SettingsManager } from './services/settings-manager.js'
+import { RoomCrypto } from './services/room-crypto.js'
+import { PlayerIdentity } from './services/player-identity.js'
+import { generateNumericId, generateWordCode } from './services/session-code.js'
 import { analytics } from './services/analytics.js'
 
+const SESSION_ID_ATTEMPTS = 5
+
 export class RapidPlanningApp {
   constructor() {
     this.router = new Router()
-    this.peerManager = new PeerManager()
+    this.settingsManager = new SettingsManager()
+    this.peerManager = new PeerManager(this.settingsManager)
     this.gameManager = new GameManager()
     this.connectionManager = new ConnectionManager()
     this.uiManager = new UIManager(this.gameManager, this.connectionManager)
     this.errorHandler = new ErrorHandler(this.uiManager)
+    this.connectionManager.setPeerStatsProvider(() => this.peerManager.getAllPeerStats())
     this.pendingGameState = null
+    this.roomAccessConfirmed = false
+    this.retrySession = null // Starts the last create or join again, after switching to manual signaling
     
     this.setupEventListeners()
   }
 
   init() {
+    // Start loading connection settings, peers are only created once they are known
+    this.settingsLoaded = this.settingsManager.load()
+    
+    // Our signing key, the player data we already sent is signed again once it is ready
+    PlayerIdentity.load()
+      .then(identity => this.gameManager.setIdentity(identity))
+      .catch(error => console.warn('Player identity unavailable, messages will not be signed:', error))
+    
     // Initialize UI manager first to ensure DOM is ready
     this.uiManager.init()
     // Then initialize router which will trigger route events
@@ -53,7 +71,10 @@ export class RapidPlanningApp {
         // User has already joined this session, rejoin with existing data
         // Show game page immediately to ensure UI is available
         this.gameManager.setSessionId(sessionId)
+        this.useClientId(sessionId)
         this.gameManager.setPlayerData(sessionData.playerData)
+        this.peerManager.setRoomCrypto(RoomCrypto.fromKeys(sessionData.roomKeys))
+        this.roomAccessConfirmed = false
         this.uiManager.showGamePage(sessionId)
         
         // Restore game state immediately after UI is rendered
@@ -71,12 +92,19 @@ export class RapidPlanningApp {
       }
     })
 
+    this.router.on('route:invalidSession', (message) => {
+      this.uiManager.showHomePage()
+      this.uiManager.showError(message)
+    })
+
     this.router.on('route:about', () => {
       this.uiManager.showAboutPage()
     })
 
     // Game events
     this.gameManager.on('playersUpdated', (players) => {
+      // The facilitator may have handed over the role, left or come back
+      this.uiManager.setFacilitator(this.gameManager.isFacilitator(), this.gameManager.getFacilitatorPeerId(), this.gameManager.canRunRound())
       this.uiManager.updatePlayers(players)
     })
 
@@ -86,6 +114,30 @@ export class RapidPlanningApp {
       this.persistCurrentState()
     })
 
+    this.gameManager.on('roundChanged', (round) => {
+      this.uiManager.updateRound(round)
+    })
+
+    this.gameManager.on('deckChanged', (cards) => {
+      this.uiManager.setDeck(cards)
+      this.persistCurrentState()
+    })
+
+    this.gameManager.on('storiesChanged', (stories, currentStory) => {
+      this.uiManager.updateStories(stories, currentStory)
+      this.persistCurrentState()
+    })
+
+    this.gameManager.on('historyChanged', (history) => {
+      this.uiManager.updateHistory(history)
+      this.persistCurrentState()
+    })
+
+    this.gameManager.on('stateSynced', () => {
+      this.uiManager.syncRoundState(this.gameManager.votesRevealed, this.gameManager.getLocalPlayerVote())
+      this.persistCurrentState()
+    })
+
     this.gameManager.on('reactionExpired', () => {
       this.uiManager.clearReactionSelection()
     })
@@ -97,23 +149,104 @@ export class RapidPlanningApp {
 
     this.peerManager.on('peerConnected', (peerId) => {
       this.gameManager.addPeer(peerId)
+      
+      // The host knows where the round stands, ask it whenever we (re)connect to it
+      if (!this.peerManager.isHost && peerId === this.peerManager.getHostPeerId()) {
+        this.gameManager.requestState(peerId)
+      }
     })
 
     this.peerManager.on('peerDisconnected', (peerId) => {
       this.gameManager.removePeer(peerId)
+      this.uiManager.removePeerStats(peerId)
+    })
+
+    this.peerManager.on('peerStatsUpdated', (peerId, stats) => {
+      this.uiManager.updatePeerStats(peerId, stats)
+    })
+
+    this.peerManager.on('pendingActionsChanged', (count) => {
+      this.uiManager.updatePendingActions(count)
     })
 
     this.peerManager.on('dataReceived', (peerId, data) => {
+      // Anything that reaches us passed the room's passphrase check
+      this.roomAccessConfirmed = true
       this.gameManager.handlePeerMessage(peerId, data)
     })
 
+    this.peerManager.on('passphraseRequired', () => {
+      this.handleRoomAccessDenied('This session is protected by a passphrase. Please enter it to join.')
+    })
+
+    this.peerManager.on('decryptionFailed', (peerId, reason) => {
+      this.handleRoomAccessDenied(reason === 'unencrypted'
+        ? 'This session does not use a passphrase. Please leave the passphrase empty.'
+        : 'Wrong passphrase. Please check it with the session host.')
+    })
+
+    this.peerManager.on('protocolMismatch', () => {
+      this.uiManager.showVersionNotice()
+    })
+
+    this.peerManager.on('hostMigrated', () => {
+      this.uiManager.setHostControls(true)
+    })
+
+    // Room admission, the host sees who knocks and the joiner waits in the lobby
+    this.peerManager.on('joinRequest', (peerId, player) => {
+      this.uiManager.addJoinRequest(peerId, player)
+    })
+
+    this.peerManager.on('joinRequestCancelled', (peerId) => {
+      this.uiManager.removeJoinRequest(peerId)
+    })
+    
+    // Members who refreshed or reconnected get back into a locked room
+    this.peerManager.setMemberCheck((peerId, data) => this.gameManager.isReturningMember(peerId, data))
+
+    this.peerManager.on('joinPending', () => {
+      this.uiManager.showWaitingForApproval()
+    })
+
+    this.peerManager.on('joinApproved', (hostPeerId) => {
+      this.uiManager.hideWaitingForApproval()
+      // The host dropped the state request we sent while waiting, the room may have moved on since
+      this.gameManager.requestState(hostPeerId)
+    })
+
+    this.peerManager.on('joinRejected', (reason) => {
+      this.handleJoinRejected(reason)
+    })
+
+    this.peerManager.on('roomPolicyChanged', (policy) => {
+      this.uiManager.updateRoomPolicy(policy)
+    })
+
+    this.peerManager.on('peerFlooding', (peerId, action) => {
+      if (!this.peerManager.isHost) return
+      const player = this.gameManager.players.get(peerId)
+      this.uiManager.showFloodWarning(player ? player.name : 'A peer', action)
+    })
+
+    // Without a signaling server the host and each participant swap codes by hand
+    this.peerManager.on('signalingUnavailable', () => {
+      if (!this.peerManager.usesManualSignaling()) {
+        this.uiManager.offerManualSignaling()
+      }
+    })
+
+    this.peerManager.on('inviteRequired', () => {
+      this.uiManager.showInviteEntry()
+    })
+
     // UI events
-    this.uiManager.on('createSession', (playerData) => {
-      this.createSession(playerData)
+    this.uiManager.on('createSession', (playerData, passphrase, options) => {
+      this.createSession(playerData, passphrase, options)
     })
 
-    this.uiManager.on('joinSession', (sessionId, playerData) => {
-      this.joinSession(sessionId, playerData)
+    this.uiManager.on('joinSession', (sessionId, playerData, passphrase) => {
+      this.joinSession(sessionId, playerData, passphrase)
     })
 
     this.uiManager.on('vote', (vote) => {
@@ -123,6 +256,37 @@ export class RapidPlanningApp {
       this.persistCurrentState()
     })
 
+    this.uiManager.on('addStory', (story) => {
+      this.gameManager.addStory(story)
+    })
+
+    this.uiManager.on('removeStory', (storyId) => {
+      this.gameManager.removeStory(storyId)
+    })
+
+    this.uiManager.on('moveStory', (storyId, direction) => {
+      this.gameManager.moveStory(storyId, direction)
+    })
+
+    this.uiManager.on('selectStory', (storyId) => {
+      this.gameManager.selectStory(storyId)
+      analytics.trackVotingStarted()
+    })
+
+    this.uiManager.on('nextStory', () => {
+      if (this.gameManager.nextStory()) {
+        analytics.trackVotingStarted()
+      }
+    })
+
+    this.uiManager.on('makeFacilitator', (peerId) => {
+      this.gameManager.setFacilitator(peerId)
+    })
+
+    this.uiManager.on('commitEstimate', (estimate) => {
+      this.gameManager.commitEstimate(estimate)
+    })
+
     this.uiManager.on('clearVotes', () => {
       this.gameManager.clearVotes()
       analytics.trackVotingStarted()
@@ -143,6 +307,76 @@ export class RapidPlanningApp {
       this.persistCurrentState()
     })
 
+    this.uiManager.on('setRequireApproval', (requireApproval) => {
+      this.peerManager.setRequireApproval(requireApproval)
+    })
+
+    this.uiManager.on('setRoomLocked', (locked) => {
+      this.peerManager.setRoomLocked(locked)
+    })
+
+    this.uiManager.on('approveJoin', (peerId) => {
+      this.peerManager.approvePeer(peerId)
+      this.uiManager.removeJoinRequest(peerId)
+    })
+
+    this.uiManager.on('rejectJoin', (peerId) => {
+      this.peerManager.rejectPeer(peerId)
+      this.uiManager.removeJoinRequest(peerId)
+    })
+
+    this.uiManager.on('leaveSession', () => {
+      const sessionId = this.gameManager.sessionId
+      this.cleanup()
+      this.forgetSessionData(sessionId)
+      this.router.navigate('home')
+    })
+
+    this.uiManager.on('useManualSignaling', () => {
+      this.settingsManager.save({ transport: 'manual' })
+      this.peerManager.disconnect()
+      if (this.retrySession) {
+        this.retrySession()
+      }
+    })
+
+    this.uiManager.on('createInvite', async () => {
+      try {
+        this.uiManager.showInvite(await this.peerManager.createInvite())
+      } catch (error) {
+        this.uiManager.showError('Failed to create an invite: ' + error.message)
+      }
+    })
+
+    this.uiManager.on('acceptAnswer', async (code) => {
+      try {
+        await this.peerManager.acceptAnswer(code)
+        this.uiManager.hideManualSignalingDialog()
+      } catch (error) {
+        this.uiManager.showError(error.message)
+      }
+    })
+
+    this.uiManager.on('acceptInvite', async (code) => {
+      try {
+        this.uiManager.showAnswerCode(await this.peerManager.acceptInvite(code))
+      } catch (error) {
+        this.uiManager.showError(error.message)
+      }
+    })
+
+    this.uiManager.on('openSettings', () => {
+      this.uiManager.showSettingsDialog(this.settingsManager.getSettings())
+    })
+
+    this.uiManager.on('saveSettings', (settings) => {
+      this.settingsManager.save(settings)
+    })
+
+    this.uiManager.on('resetSettings', () => {
+      this.settingsManager.reset()
+    })
+
     this.uiManager.on('navigate', (path) => {
       if (path === '/') {
         this.router.navigate('home')
@@ -177,28 +411,35 @@ export class RapidPlanningApp {
     })
   }
 
-  async createSession(playerData) {
+  async createSession(playerData, passphrase = null, { useWordCode = false, deck = null } = {}) {
+    this.retrySession = () => this.createSession(playerData, passphrase, { useWordCode, deck })
     return await this.errorHandler.safeAsync(async () => {
       // Only cleanup if we're switching from one session to another
       if (this.gameManager.sessionId) {
         this.cleanup()
       }
       
-      const sessionId = this.generateSessionId()
+      await this.settingsLoaded
+      
+      const sessionId = await this.claimSessionId(useWordCode)
+      const roomKeys = this.applyRoomPassphrase(sessionId, passphrase)
       
       // Save session data to localStorage
-      this.saveSessionData(sessionId, playerData)
+      this.saveSessionData(sessionId, playerData, null, roomKeys)
+      this.useClientId(sessionId)
       
-      // Set sessionId first to prevent route handler from triggering joinSession
+      // Set sessionId before navigating to prevent route handler from triggering joinSession
       this.gameManager.setSessionId(sessionId)
-      
-      // Only create new connection if we don't have one already
-      if (!this.peerManager.peer || !this.peerManager.peer.open) {
-        await this.peerManager.createSession(sessionId)
-      }
       this.router.navigate('session', sessionId)
       this.uiManager.showGamePage(sessionId)
+      this.uiManager.setHostControls(true)
+      this.uiManager.setManualSignaling(this.peerManager.usesManualSignaling())
       this.gameManager.createSession(sessionId, playerData)
+      // The creator runs the room until handing the role over
+      this.gameManager.setFacilitator(this.gameManager.localPeerId)
+      if (deck) {
+        this.gameManager.setDeck(deck)
+      }
       
       // Restore pending game state if available (for host refresh)
       if (this.pendingGameState) {
@@ -215,11 +456,15 @@ export class RapidPlanningApp {
   }
 
   async rejoinSessionBackground(sessionId, playerData) {
+    this.retrySession = () => this.rejoinSessionBackground(sessionId, playerData)
     try {
+      await this.settingsLoaded
+      
       // Only create new connection if we don't have one already
       if (!this.peerManager.peer || !this.peerManager.peer.open) {
         await this.peerManager.joinSession(sessionId)
       }
+      this.uiManager.hideManualSignalingDialog()
       
       // Don't call gameManager.joinSession() as it would add local player again
       // The local player is already added by setPlayerData() above
@@ -232,26 +477,35 @@ export class RapidPlanningApp {
     }
   }
 
-  async joinSession(sessionId, playerData = null) {
+  async joinSession(sessionId, playerData = null, passphrase = null) {
+    this.retrySession = () => this.joinSession(sessionId, playerData, passphrase)
     try {
       // Only cleanup if we're switching from one session to another
       if (this.gameManager.sessionId && String(this.gameManager.sessionId) !== String(sessionId)) {
         this.cleanup()
       }
       
+      this.roomAccessConfirmed = false
+      
       if (playerData) {
+        const roomKeys = this.applyRoomPassphrase(sessionId, passphrase)
+        
         // Save session data to localStorage
-        this.saveSessionData(sessionId, playerData)
+        this.saveSessionData(sessionId, playerData, null, roomKeys)
+        this.useClientId(sessionId)
         this.gameManager.setPlayerData(playerData)
       }
       
       // Set session ID first to prevent route handler from triggering joinSession again
       this.gameManager.setSessionId(sessionId)
       
+      await this.settingsLoaded
+      
       // Only create new connection if we don't have one already
       if (!this.peerManager.peer || !this.peerManager.peer.open) {
         await this.peerManager.joinSession(sessionId)
       }
+      this.uiManager.hideManualSignalingDialog()
       
       this.router.navigate('session', sessionId)
       this.uiManager.showGamePage(sessionId)
@@ -273,6 +527,38 @@ export class RapidPlanningApp {
     }
   }
 
+  // Derive the room key from the passphrase, returns the keys to remember for this session
+  applyRoomPassphrase(sessionId, passphrase) {
+    const roomCrypto = passphrase ? RoomCrypto.fromPassphrase(passphrase, sessionId) : null
+    this.peerManager.setRoomCrypto(roomCrypto)
+    return roomCrypto ? roomCrypto.exportKeys() : null
+  }
+
+  handleRoomAccessDenied(message) {
+    // Once we've exchanged messages with the room, a failure only means that some
+    // other peer has the wrong passphrase, which is their problem, not ours
+    if (this.roomAccessConfirmed || this.peerManager.isHost || !this.gameManager.sessionId) return
+    
+    const sessionId = this.gameManager.sessionId
+    this.cleanup()
+    this.forgetSessionData(sessionId)
+    this.uiManager.showJoinPrompt(sessionId)
+    this.uiManager.showError(message)
+  }
+
+  handleJoinRejected(reason) {
+    const sessionId = this.gameManager.sessionId
+    this.cleanup()
+    // A locked room may open again, members keep their client ID and room keys for then
+    if (reason !== 'locked') {
+      this.forgetSessionData(sessionId)
+    }
+    this.router.navigate('home')
+    this.uiManager.showError(reason === 'locked'
+      ? 'This session is locked. Ask the host to unlock it.'
+      : 'The host declined your request to join.')
+  }
+
   handleConnectionLoss() {
     // Enable offline mode - we can still:
     // 1. Show the UI and allow local interactions
@@ -280,16 +566,19 @@ export class RapidPlanningApp {
     // 3. Queue actions for when connection returns
     this.connectionManager.enableOfflineMode()
     
-    // Stop trying to send data over peer connections
+    // Stop sending over peer connections, votes and other actions are queued meanwhile
     this.peerManager.pauseConnections()
   }
 
   handleConnectionRestored() {
-    // Try to reconnect to the session if we were in one
+    // Try to reconnect to the session if we were in one, then replay what was queued
     if (this.gameManager.sessionId && this.gameManager.playerData) {
-      this.connectionManager.attemptReconnection(() => {
-        return this.rejoinSessionBackground(this.gameManager.sessionId, this.gameManager.playerData)
+      this.connectionManager.attemptReconnection(async () => {
+        await this.rejoinSessionBackground(this.gameManager.sessionId, this.gameManager.playerData)
+        this.peerManager.resumeConnections()
       })
+    } else {
+      this.peerManager.resumeConnections()
     }
   }
 
@@ -304,9 +593,17 @@ export class RapidPlanningApp {
     
     // Reset game manager
     this.gameManager.reset()
+    this.uiManager.setDeck(this.gameManager.getVoteCards())
+    this.uiManager.updateStories([], null)
+    this.uiManager.updateHistory([])
+    this.uiManager.setFacilitator(true, null)
     
     // Hide loading states
     this.uiManager.hideLoading()
+    this.uiManager.hideWaitingForApproval()
+    this.uiManager.hideManualSignalingDialog()
+    this.uiManager.setHostControls(false)
+    this.uiManager.updateRoomPolicy(this.peerManager.getRoomPolicy())
     
     // Cleanup connection manager
     if (this.connectionManager) {
@@ -314,11 +611,41 @@ export class RapidPlanningApp {
     }
   }
 
-  generateSessionId() {
-    return Math.floor(Math.random() * 900000000) + 100000000
+  generateSessionId(useWordCode = false) {
+    return useWordCode ? generateWordCode() : generateNumericId()
   }
 
-  saveSessionData(sessionId, playerData, gameState = null) {
+  // The host peer ID is derived from the session ID, when another room already holds it we
+  // draw a new session ID rather than failing the whole session
+  async claimSessionId(useWordCode = false) {
+    for (let attempt = 1; ; attempt++) {
+      const sessionId = this.generateSessionId(useWordCode)
+      
+      // Only create new connection if we don't have one already
+      if (this.peerManager.peer && this.peerManager.peer.open) return sessionId
+      
+      try {
+        await this.peerManager.createSession(sessionId)
+        return sessionId
+      } catch (error) {
+        if (error.type !== 'unavailable-id' || attempt >= SESSION_ID_ATTEMPTS) throw error
+        console.warn(`Session ID ${sessionId} is already in use, picking another one`)
+      }
+    }
+  }
+
+  generateClientId() {
+    return Math.random().toString(36).slice(2, 10) + Date.now().toString(36)
+  }
+
+  // Our peer ID changes on every refresh, the client ID saved with the session lets the
+  // other players put us back on our old row
+  useClientId(sessionId) {
+    const sessionData = this.getSessionData(sessionId)
+    this.gameManager.setClientId((sessionData && sessionData.clientId) || this.generateClientId())
+  }
+
+  saveSessionData(sessionId, playerData, gameState = null, roomKeys = undefined) {
     try {
       const sessions = JSON.parse(localStorage.getItem('rapidPlanningSessions') || '{}')
       
@@ -328,6 +655,8 @@ export class RapidPlanningApp {
       sessions[sessionId] = {
         playerData: playerData || existingSession.playerData,
         gameState: gameState || existingSession.gameState,
+        roomKeys: roomKeys !== undefined ? roomKeys : (existingSession.roomKeys || null),
+        clientId: existingSession.clientId || this.gameManager.clientId || this.generateClientId(),
         joinedAt: existingSession.joinedAt || Date.now(),
         lastUpdated: Date.now()
       }
@@ -347,6 +676,16 @@ export class RapidPlanningApp {
     }
   }
 
+  forgetSessionData(sessionId) {
+    try {
+      const sessions = JSON.parse(localStorage.getItem('rapidPlanningSessions') || '{}')
+      delete sessions[sessionId]
+      localStorage.setItem('rapidPlanningSessions', JSON.stringify(sessions))
+    } catch (e) {
+      console.warn('Failed to forget session data:', e)
+    }
+  }
+
   getSessionData(sessionId) {
     try {
       const sessions = JSON.parse(localStorage.getItem('rapidPlanningSessions') || '{}')
@@ -364,6 +703,9 @@ export class RapidPlanningApp {
         selectedReaction: this.uiManager ? this.uiManager.selectedReaction : null,
         votesRevealed: this.gameManager ? this.gameManager.votesRevealed : false,
         localPlayerVote: this.gameManager ? this.gameManager.getLocalPlayerVote() : null,
+        round: this.gameManager ? this.gameManager.round : 1,
+        settings: this.gameManager ? this.gameManager.roomState.toJSON().settings : {},
+        history: this.gameManager ? this.gameManager.getHistory() : [],
         timestamp: Date.now()
       }
     } catch (error) {
@@ -382,20 +724,21 @@ export class RapidPlanningApp {
     if (!gameState) return
 
     try {
+      // What we saved merges into the room state, anything the room moved past since is dropped
+      if (this.gameManager) {
+        this.gameManager.restoreState({
+          round: gameState.round || 1,
+          votesRevealed: gameState.votesRevealed,
+          vote: gameState.selectedVote,
+          settings: gameState.settings,
+          history: gameState.history
+        })
+      }
+      
       // Restore UI state
-      if (gameState.selectedVote && this.uiManager) {
-        this.uiManager.selectedVote = gameState.selectedVote
+      if (this.gameManager && this.gameManager.getLocalPlayerVote() && this.uiManager) {
+        this.uiManager.selectedVote = this.gameManager.getLocalPlayerVote()
         this.uiManager.renderVoteCards()
-        
-        // Also restore the vote in game manager for local player
-        if (this.gameManager && this.gameManager.localPeerId) {
-          const localPlayer = this.gameManager.players.get(this.gameManager.localPeerId)
-          if (localPlayer) {
-            localPlayer.vote = gameState.selectedVote
-            this.gameManager.players.set(this.gameManager.localPeerId, localPlayer)
-            this.gameManager.emit('playersUpdated', Array.from(this.gameManager.players.values()))
-          }
-        }
       }
 
       if (gameState.selectedReaction && this.uiManager) {
@@ -412,16 +755,6 @@ export class RapidPlanningApp {
           }
         }
       }
-
-      if (gameState.votesRevealed && this.uiManager && this.gameManager) {
-        this.uiManager.votesRevealed = gameState.votesRevealed
-        this.gameManager.votesRevealed = gameState.votesRevealed
-        if (gameState.votesRevealed) {
-          // Update players in UI manager from game manager
-          this.uiManager.updatePlayers(Array.from(this.gameManager.players.values()))
-          this.uiManager.showVotingStats()
-        }
-      }
     } catch (error) {
       console.warn('Error restoring game state:', error)
     }
@@ -1,3 +1,9 @@
+import { validateMessage, MAX_HISTORY_VOTES, HISTORY_CHUNK_SIZE } from './protocol.js'
+import { RoomState } from './room-state.js'
+import { profilePayload, votePayload } from './services/player-identity.js'
+import { createCommitment, matchesCommitment } from './services/vote-commitment.js'
+import { getDefaultCards, toCard, getLabels, nearestCard } from './services/decks.js'
+
 // CryptoJS is loaded globally from CDN
 const CryptoJS = window.CryptoJS;
 
@@ -7,11 +13,32 @@ export class GameManager {
     this.sessionId = null
     this.localPeerId = null
     this.playerData = null
+    this.clientId = null // Survives refreshes, unlike our peer ID. Never sent, see getAnnouncedClientId
     this.players = new Map()
+    this.clientPeers = new Map() // clientId -> last peer ID it used, kept after the player leaves
+    this.identity = null // Signs what we send, null where WebCrypto is missing
+    this.peerKeys = new Map() // peerId -> public key it signs with
+    this.clientKeys = new Map() // clientId -> public key, a new peer ID cannot take over another key's row
+    this.verifiedPeers = new Set() // Peers whose key we saw under the same name in an earlier session
+    this.verifying = new Map() // peerId -> messages from it still being verified, so they apply in order
+    this.signing = Promise.resolve() // Our signed messages leave in the order they were signed
+    this.voteMismatches = new Map() // peerId -> round in which its revealed vote did not match its commitment
     this.votesRevealed = false
     this.reactionTimers = new Map() // Track reaction expiration timers
+    this.stateRequests = new Set() // Peers we asked for a state snapshot
+    this.historySources = new Set() // Peers whose snapshot we trusted, the history they send after it counts too
+    this.stateSynced = false
+    this.round = 1 // Every clear starts the next round, messages from earlier rounds are stale
     
-    this.voteCards = ['0', '½', '1', '2', '3', '5', '8', '13', '20', '40', '100', '?']
+    this.deck = getDefaultCards().map(toCard) // { label, value, excluded } per card
+    this.voteCards = getLabels(this.deck)
+    this.stories = []
+    this.currentStory = null
+    this.history = []
+    // Round, reveal, votes, deck, stories, history and the facilitator are replicated, the fields above are views of it kept by applyRoomState
+    this.roomState = new RoomState(getDefaultCards())
+    this.roundStartedAt = Date.now() // As seen by this peer, for the duration in the history
+    this.roundRevealedAt = null
   }
 
   setSessionId(sessionId) {
@@ -35,12 +62,36 @@ export class GameManager {
   }
 
   setLocalPeerId(peerId) {
+    const previousPeerId = this.localPeerId
+    if (previousPeerId && previousPeerId !== peerId && this.players.has(previousPeerId)) {
+      // Our peer ID changed (e.g. we took over as host), keep our vote and reaction
+      this.movePlayer(previousPeerId, peerId)
+    }
+    
     this.localPeerId = peerId
     if (this.playerData) {
       this.addLocalPlayer()
     }
   }
 
+  setClientId(clientId) {
+    this.clientId = clientId
+  }
+
+  // Other players only see a hash of our client ID salted with the session, the raw ID stays in this browser
+  getAnnouncedClientId() {
+    if (!this.clientId) return null
+    return CryptoJS.SHA256(`${this.sessionId}:${this.clientId}`).toString(CryptoJS.enc.Hex)
+  }
+
+  setIdentity(identity) {
+    this.identity = identity
+    // Announce our key if we are already in the room
+    if (this.localPeerId && this.playerData) {
+      this.addLocalPlayer()
+    }
+  }
+
   setPlayerData(playerData) {
     this.playerData = playerData
     if (this.localPeerId) {
@@ -60,6 +111,8 @@ export class GameManager {
         name: this.playerData.name,
         email: this.playerData.email,
         avatar: this.playerData.avatar,
+        clientId: this.getAnnouncedClientId(),
+        publicKey: this.identity ? this.identity.publicKey : null,
         isLocal: true
       })
     } else {
@@ -69,6 +122,8 @@ export class GameManager {
         name: this.playerData.name,
         email: this.playerData.email,
         avatar: this.playerData.avatar,
+        clientId: this.getAnnouncedClientId(),
+        publicKey: this.identity ? this.identity.publicKey : null,
         vote: null,
         reaction: null,
         isLocal: true
@@ -84,12 +139,8 @@ export class GameManager {
     if (peerId === this.localPeerId) return
     
     // Send our player data to the new peer
-    const localPlayer = this.players.get(this.localPeerId)
-    if (localPlayer) {
-      this.sendToPlayer(peerId, {
-        type: 'player_data',
-        player: localPlayer
-      })
+    if (this.players.has(this.localPeerId)) {
+      this.sendSigned(this.getPlayerDataMessage(), message => this.sendToPlayer(peerId, message))
     }
     
     // Request player data from the new peer
@@ -98,9 +149,54 @@ export class GameManager {
     })
   }
 
+  // Returns the peer ID the client used before, if any. Every player_data shows the client ID, so
+  // it only counts from a peer that signed it with the key it was first seen with
+  trackClient(clientId, peerId) {
+    if (!clientId || clientId === this.getAnnouncedClientId()) return null
+    
+    const publicKey = this.peerKeys.get(peerId)
+    if (!publicKey || this.clientKeys.get(clientId) !== publicKey) return null
+    
+    const previousPeerId = this.clientPeers.get(clientId)
+    this.clientPeers.set(clientId, peerId)
+    return previousPeerId
+  }
+
+  // A member knocking under a new peer ID proves itself with a profile signed from that peer ID by
+  // the key its client ID was first seen with
+  async isReturningMember(peerId, data) {
+    const { player } = data
+    if (!this.identity || !player.clientId || !player.publicKey || !data.signature) return false
+    if (this.clientKeys.get(player.clientId) !== player.publicKey) return false
+    return this.identity.verify(player.publicKey, profilePayload(player, peerId, this.sessionId), data.signature)
+  }
+
+  // Keep a player's row, vote and reaction under its new peer ID. The row may already be gone
+  // if the old connection closed first, the vote is kept either way
+  movePlayer(fromPeerId, toPeerId) {
+    this.roomState.moveVote(fromPeerId, toPeerId)
+    this.clearReactionTimer(fromPeerId)
+    
+    if (this.peerKeys.has(fromPeerId)) {
+      this.peerKeys.set(toPeerId, this.peerKeys.get(fromPeerId))
+    }
+    if (this.verifiedPeers.delete(fromPeerId)) {
+      this.verifiedPeers.add(toPeerId)
+    }
+    
+    const player = this.players.get(fromPeerId)
+    if (!player) return
+    this.players.delete(fromPeerId)
+    this.players.set(toPeerId, { ...player, id: toPeerId })
+    if (player.reaction) {
+      this.setReactionTimer(toPeerId, player.reaction)
+    }
+  }
+
   removePeer(peerId) {
     // Clear any reaction timer for this peer
     this.clearReactionTimer(peerId)
+    this.historySources.delete(peerId)
     
     if (this.players.has(peerId)) {
       console.log('Removing disconnected player:', peerId)
@@ -119,25 +215,176 @@ export class GameManager {
   }
 
   handlePeerMessage(peerId, data) {
+    const { valid, error } = validateMessage(data, { deck: this.voteCards })
+    if (!valid) {
+      console.warn('Ignoring invalid message from', peerId, ':', error)
+      return
+    }
+    
+    // Checking a signature takes a while, later messages from the same peer wait for it
+    const pending = this.verifying.get(peerId)
+    if (!pending && !this.needsVerification(peerId, data)) {
+      this.applyPeerMessage(peerId, data)
+      return
+    }
+    
+    const verified = (pending || Promise.resolve())
+      .then(() => this.verifyPeerMessage(peerId, data))
+      .then(message => {
+        if (message) {
+          this.applyPeerMessage(peerId, message)
+        } else {
+          console.warn('Ignoring message with a missing or bad signature from', peerId, ':', data.type)
+        }
+      })
+      .catch(error => console.warn('Failed to handle message from', peerId, ':', error))
+      .finally(() => {
+        if (this.verifying.get(peerId) === verified) {
+          this.verifying.delete(peerId)
+        }
+      })
+    this.verifying.set(peerId, verified)
+    return verified
+  }
+
+  // Without WebCrypto we cannot check anything, and peers without a key are older clients. A client
+  // ID we saw with a key is always checked, whichever peer it comes from
+  needsVerification(peerId, data) {
+    if (!this.identity) return false
+    
+    switch (data.type) {
+      case 'player_data':
+        return Boolean(data.signature || data.player.publicKey || this.peerKeys.has(peerId) ||
+          (data.player.clientId && this.clientKeys.has(data.player.clientId)))
+      case 'vote':
+        return Boolean(data.signature) || this.peerKeys.has(peerId)
+      case 'show_votes':
+        return this.hasSignedVotes(data.allVotes)
+      case 'state_snapshot':
+        return this.hasSignedVotes(data.state.votes)
+      default:
+        return false
+    }
+  }
+
+  hasSignedVotes(allVotes) {
+    return Object.entries(allVotes || {}).some(([ownerId, entry]) => entry.signature || this.getPeerKey(ownerId))
+  }
+
+  getPeerKey(peerId) {
+    if (peerId === this.localPeerId) return this.identity ? this.identity.publicKey : null
+    return this.peerKeys.get(peerId) || null
+  }
+
+  // Resolves to the message to apply, stripped of anything that failed the check, or null to drop it
+  async verifyPeerMessage(peerId, data) {
+    switch (data.type) {
+      case 'player_data':
+        return this.verifyPlayerData(peerId, data)
+        
+      case 'vote': {
+        // A vote always speaks for its sender, so it must carry the sender's signature
+        const publicKey = this.peerKeys.get(peerId)
+        if (!publicKey || !data.signature) return null
+        return await this.identity.verify(publicKey, votePayload(data), data.signature) ? data : null
+      }
+        
+      case 'show_votes':
+        return { ...data, allVotes: await this.verifyVotes(peerId, data.allVotes || {}) }
+        
+      case 'state_snapshot':
+        return { ...data, state: { ...data.state, votes: await this.verifyVotes(peerId, data.state.votes) } }
+        
+      default:
+        return data
+    }
+  }
+
+  async verifyPlayerData(peerId, data) {
+    const { player } = data
+    // Both the peer and the client ID keep the first key they were seen with
+    const boundKeys = [this.peerKeys.get(peerId), player.clientId && this.clientKeys.get(player.clientId)].filter(Boolean)
+    
+    if (!player.publicKey || !data.signature) {
+      // Only older clients go without a key, a peer that had one cannot drop it
+      return boundKeys.length ? null : data
+    }
+    if (boundKeys.some(key => key !== player.publicKey)) {
+      console.warn('Peer', peerId, 'announced a different key than before')
+      return null
+    }
+    if (!await this.identity.verify(player.publicKey, profilePayload(player, peerId, this.sessionId), data.signature)) return null
+    
+    this.peerKeys.set(peerId, player.publicKey)
+    if (player.clientId) {
+      this.clientKeys.set(player.clientId, player.publicKey)
+    }
+    if (this.identity.recognize(player.name, player.publicKey, this.sessionId)) {
+      this.verifiedPeers.add(peerId)
+    }
+    
+    // The vote carried along needs its own signature, without it we only learn the player
+    const entry = { vote: player.vote, commitment: data.commitment, round: data.round, clock: data.clock }
+    if (data.round !== undefined && data.voteSignature &&
+        await this.identity.verify(player.publicKey, votePayload(entry), data.voteSignature)) {
+      return data
+    }
+    return { ...data, round: undefined, clock: undefined, commitment: undefined, voteSignature: undefined, player: { ...player, vote: null } }
+  }
+
+  // Votes in a reveal or snapshot are kept only with their owner's signature. Older clients cannot
+  // sign, their votes are taken from themselves or for players we know have no key
+  async verifyVotes(senderId, allVotes) {
+    const verified = {}
+    for (const [ownerId, entry] of Object.entries(allVotes)) {
+      const publicKey = this.getPeerKey(ownerId)
+      if (publicKey) {
+        if (entry.signature && await this.identity.verify(publicKey, votePayload(entry), entry.signature)) {
+          verified[ownerId] = entry
+        }
+      } else if (!entry.signature && (ownerId === senderId || this.players.has(ownerId))) {
+        verified[ownerId] = entry
+      }
+    }
+    return verified
+  }
+
+  applyPeerMessage(peerId, data) {
     switch (data.type) {
       case 'player_data':
         // Only add the player if it's not our local player
         if (peerId !== this.localPeerId) {
+          // A client that refreshed comes back under a new peer ID, it keeps its row
+          const previousPeerId = this.trackClient(data.player.clientId, peerId)
+          if (previousPeerId && previousPeerId !== peerId) {
+            console.log('Player', previousPeerId, 'reconnected as', peerId)
+            this.movePlayer(previousPeerId, peerId)
+          }
+          
+          const existingPlayer = this.players.get(peerId)
           this.players.set(peerId, {
             ...data.player,
             id: peerId,
+            // A refreshed client does not know its reaction yet
+            reaction: data.player.reaction ?? existingPlayer?.reaction ?? null,
+            verified: this.verifiedPeers.has(peerId),
             isLocal: false
           })
-          this.emit('playersUpdated', Array.from(this.players.values()))
+          // Older clients send neither, their vote counts for the current round and loses to any stamped one
+          this.roomState.mergeVote(peerId, this.checkReveal(peerId, {
+            vote: data.player.vote,
+            commitment: data.commitment,
+            round: data.round ?? this.round,
+            clock: data.clock ?? 0,
+            signature: data.voteSignature
+          }))
+          this.applyRoomState()
         }
         break
         
       case 'request_player_data':
         if (this.players.has(this.localPeerId)) {
-          this.sendToPlayer(peerId, {
-            type: 'player_data',
-            player: this.players.get(this.localPeerId)
-          })
+          this.sendSigned(this.getPlayerDataMessage(), message => this.sendToPlayer(peerId, message))
         }
         break
         
@@ -151,44 +398,100 @@ export class GameManager {
         }
         break
         
-      case 'vote':
-        const player = this.players.get(peerId)
-        if (player) {
-          player.vote = data.vote
-          this.players.set(peerId, player)
-          this.emit('playersUpdated', Array.from(this.players.values()))
-          this.checkVotingComplete()
-        }
+      case 'vote': {
+        // Messages from older clients carry no stamps, they count for the current round in arrival order.
+        // A vote for a later round waits in its register until a clear from the facilitator gets us there,
+        // only clears move the room on
+        const round = data.round ?? this.round
+        // Older clients send the value itself instead of a commitment
+        this.roomState.mergeVote(peerId, this.checkReveal(peerId, {
+          vote: data.vote,
+          commitment: data.commitment,
+          round,
+          clock: data.clock ?? this.roomState.tick(),
+          signature: data.signature
+        }))
+        this.applyRoomState()
+        this.checkVotingComplete()
         break
+      }
+        
+      case 'reveal_vote': {
+        // The value and salt behind the sender's committed vote, a reveal for a vote we do not hold is stale
+        const entry = this.roomState.votes.get(peerId)
+        if (!entry || entry.round !== data.round || entry.clock !== data.clock) break
+        this.roomState.mergeVote(peerId, this.checkReveal(peerId, { ...entry, vote: data.vote, salt: data.salt }))
+        this.applyRoomState()
+        break
+      }
         
       case 'clear_votes':
-        this.clearVotes(false) // Don't broadcast, we received it
+        if (!this.canRunRound(peerId)) {
+          console.warn('Ignoring clear_votes from', peerId, 'who is not the facilitator')
+          break
+        }
+        // A clear for a round we already reached changes nothing, so concurrent clears agree
+        this.roomState.observe(data.clock)
+        this.roomState.mergeRound(data.round ?? this.round + 1, false)
+        this.applyRoomState()
         break
         
-      case 'show_votes':
-        // Sync any missing vote data
+      case 'show_votes': {
+        const round = data.round ?? this.round
+        this.roomState.observe(data.clock)
+        // Stamped votes only replace older ones, the reveal cannot overwrite a vote cast since
         if (data.allVotes) {
-          for (const [peerId, voteData] of Object.entries(data.allVotes)) {
-            if (this.players.has(peerId)) {
-              const player = this.players.get(peerId)
-              player.vote = voteData.vote
-              this.players.set(peerId, player)
-            } else {
-              // Create missing player entry
-              this.players.set(peerId, {
-                id: peerId,
-                name: voteData.name,
-                vote: voteData.vote,
-                isLocal: false
-              })
-            }
-          }
+          this.mergeVotes(data.allVotes, round)
+        }
+        // Another player's automatic reveal we may not have reached yet, we reveal once we have all the votes
+        if (!this.canRunRound(peerId)) {
+          this.applyRoomState()
+          this.checkVotingComplete()
+          break
         }
+        // Revealing a round that was already cleared changes nothing
+        this.roomState.mergeRound(round, true)
+        this.applyRoomState()
+        break
+      }
         
-        this.showVotes(false) // Don't broadcast, we received it
+      case 'room_setting':
+        if (!this.canFacilitate(peerId)) {
+          console.warn('Ignoring room_setting from', peerId, 'who is not the facilitator')
+          break
+        }
+        // Settings are last-writer-wins, the sender's peer ID breaks ties
+        this.roomState.mergeSetting(data.key, { value: data.value, clock: data.clock, peerId })
+        this.applyRoomState()
+        break
+        
+      case 'request_state':
+        this.sendToPlayer(peerId, {
+          type: 'state_snapshot',
+          state: this.getStateSnapshot()
+        })
+        this.sendHistory(peerId)
+        break
+        
+      case 'history_entries':
+        if (!this.canFacilitate(peerId) && !this.historySources.has(peerId)) {
+          console.warn('Ignoring history_entries from', peerId, 'who is not the facilitator')
+          break
+        }
+        data.entries.forEach(entry => this.roomState.mergeHistoryEntry(entry))
+        this.applyRoomState()
+        break
+        
+      case 'state_snapshot':
+        // Only the peer we asked gets to overwrite our picture of the room
+        if (this.stateRequests.delete(peerId)) {
+          this.applyStateSnapshot(peerId, data.state)
+        }
         break
         
       case 'reaction':
+        // Reactions are not replicated, one from a past round is just late
+        if (data.round !== undefined && data.round < this.round) break
         const reactionPlayer = this.players.get(peerId)
         if (reactionPlayer) {
           // Clear any existing reaction timer for this peer
@@ -218,63 +521,447 @@ export class GameManager {
   }
 
   castVote(vote) {
-    const localPlayer = this.players.get(this.localPeerId)
-    if (localPlayer) {
-      localPlayer.vote = vote
-      this.players.set(this.localPeerId, localPlayer)
+    if (this.players.has(this.localPeerId)) {
+      // The other peers only get a commitment, the value and salt stay with us until the reveal
+      const { commitment, salt } = vote === null ? { commitment: null, salt: null } : createCommitment(vote)
+      const { round, clock } = this.roomState.castVote(this.localPeerId, { vote, commitment, salt })
       
       // Broadcast vote to all peers
-      this.broadcast({
-        type: 'vote',
-        vote: vote
-      })
+      this.sendSigned({ type: 'vote', commitment, round, clock }, message => this.broadcast(message))
       
-      this.emit('playersUpdated', Array.from(this.players.values()))
+      this.applyRoomState()
+      // Votes changed after the reveal are shown right away
+      if (this.votesRevealed) {
+        this.revealOwnVote()
+      }
       this.checkVotingComplete()
     }
   }
 
-  clearVotes(shouldBroadcast = true) {
-    this.votesRevealed = false
+  revealOwnVote() {
+    const entry = this.roomState.votes.get(this.localPeerId)
+    if (!entry || entry.round !== this.round || !entry.commitment || entry.vote === null) return
+    
+    // Queued behind our signed messages so the reveal cannot overtake the commitment it opens
+    this.sendSigned({
+      type: 'reveal_vote',
+      vote: entry.vote,
+      salt: entry.salt,
+      round: entry.round,
+      clock: entry.clock
+    }, message => this.broadcast(message))
+  }
+
+  // A value sent with a commitment has to match it, if not the player is flagged and keeps the commitment only
+  checkReveal(peerId, entry) {
+    if (!entry.commitment || entry.vote === null || entry.vote === undefined) return entry
+    if (matchesCommitment(entry.commitment, entry.vote, entry.salt)) return entry
     
+    console.warn('Revealed vote of', peerId, 'does not match its commitment')
+    this.voteMismatches.set(peerId, entry.round)
+    return { ...entry, vote: null, salt: null }
+  }
+
+  // Replaces the cards everyone votes with, late joiners get the deck with the state snapshot.
+  // Cards are labels or { label, value, excluded }, see services/decks.js
+  setDeck(cards) {
+    this.updateSetting('deck', [...cards])
+  }
+
+  // Only the facilitator changes settings, the other peers ignore anyone else's
+  updateSetting(key, value) {
+    if (!this.isFacilitator()) return
+    const entry = this.roomState.setSetting(key, value, this.localPeerId)
+    this.broadcast({
+      type: 'room_setting',
+      key,
+      value: entry.value,
+      clock: entry.clock
+    })
+    
+    this.applyRoomState()
+  }
+
+  // Story queue: the ordered list of stories and the one being estimated are room settings too
+
+  getStories() {
+    return this.roomState.getSetting('stories') || []
+  }
+
+  getCurrentStory() {
+    const currentId = this.roomState.getSetting('currentStory')
+    return this.getStories().find(story => story.id === currentId) || null
+  }
+
+  // { title, key, url, description }, the first story added becomes the current one
+  addStory(story) {
+    if (!this.isFacilitator()) return null
+    const newStory = { id: Math.random().toString(36).slice(2, 10), title: story.title }
+    if (story.key) newStory.key = story.key
+    if (story.url) newStory.url = story.url
+    if (story.description) newStory.description = story.description
+    
+    const hadCurrent = this.getCurrentStory() !== null
+    this.updateSetting('stories', [...this.getStories(), newStory])
+    if (!hadCurrent) {
+      this.updateSetting('currentStory', newStory.id)
+    }
+    return newStory
+  }
+
+  removeStory(storyId) {
+    this.updateSetting('stories', this.getStories().filter(story => story.id !== storyId))
+  }
+
+  moveStory(storyId, direction) {
+    const stories = [...this.getStories()]
+    const index = stories.findIndex(story => story.id === storyId)
+    const target = index + direction
+    if (index === -1 || target < 0 || target >= stories.length) return
+    
+    stories.splice(target, 0, ...stories.splice(index, 1))
+    this.updateSetting('stories', stories)
+  }
+
+  // Estimating another story starts a fresh round
+  selectStory(storyId) {
+    if (!this.isFacilitator()) return
+    this.updateSetting('currentStory', storyId)
+    this.clearVotes()
+  }
+
+  // The story after the current one, or the first when none is current. Returns false at the end of the queue
+  nextStory() {
+    if (!this.isFacilitator()) return false
+    const stories = this.getStories()
+    const current = this.getCurrentStory()
+    const next = current ? stories[stories.indexOf(current) + 1] : stories[0]
+    if (!next) return false
+    
+    this.selectStory(next.id)
+    return true
+  }
+
+  // Round history: every committed estimate with the votes it came from. Entries travel one by one,
+  // the whole history would not fit in a single message
+
+  getHistory() {
+    return this.roomState.getHistory()
+  }
+
+  sendHistory(peerId) {
+    const history = this.getHistory()
+    for (let i = 0; i < history.length; i += HISTORY_CHUNK_SIZE) {
+      this.sendToPlayer(peerId, { type: 'history_entries', entries: history.slice(i, i + HISTORY_CHUNK_SIZE) })
+    }
+  }
+
+  // What the stats point to: the card everybody picked, otherwise the card nearest the average
+  getSuggestedEstimate() {
+    const summary = this.getVotingSummary()
+    if (summary.consensus.type === 'perfect') {
+      const labels = Object.keys(summary.votes)
+      return labels.length === 1 ? labels[0] : summary.medianCard
+    }
+    return summary.averageCard || ''
+  }
+
+  // Records the revealed round with the value the team settled on, against the current story if any
+  commitEstimate(estimate) {
+    const value = String(estimate).trim()
+    if (!this.isFacilitator() || !this.votesRevealed || !value) return null
+    
+    const entry = {
+      id: Math.random().toString(36).slice(2, 10),
+      round: this.round,
+      estimate: value,
+      votes: Array.from(this.players.values())
+        .filter(player => player.vote !== null)
+        .slice(0, MAX_HISTORY_VOTES)
+        .map(player => ({ name: player.name, vote: player.vote })),
+      consensus: this.getVotingSummary().consensus.type,
+      duration: (this.roundRevealedAt || Date.now()) - this.roundStartedAt,
+      committedAt: Date.now()
+    }
+    const story = this.getCurrentStory()
+    if (story) {
+      entry.storyId = story.id
+      entry.title = story.title
+      if (story.key) entry.key = story.key
+    }
+    
+    this.roomState.mergeHistoryEntry(entry)
+    this.broadcast({ type: 'history_entries', entries: [entry] })
+    this.applyRoomState()
+    return entry
+  }
+
+  // Facilitator: the member who reveals, clears, picks the deck and runs the stories. Members are known
+  // by the public key they proved they hold, so the role survives a refresh and cannot be claimed by
+  // copying anything a player sends. Players without a key are known by their peer ID only
+
+  getMemberId(peerId) {
+    return this.getPeerKey(peerId) || peerId
+  }
+
+  // The role we handed out before the player's key was verified stays with its peer ID
+  isMember(peerId, memberId) {
+    return memberId === peerId || memberId === this.getPeerKey(peerId)
+  }
+
+  // The facilitator's peer ID while it is in the room, null otherwise
+  getFacilitatorPeerId() {
+    const facilitator = this.roomState.getSetting('facilitator')
+    if (!facilitator) return null
+    return Array.from(this.players.keys()).find(peerId => this.isMember(peerId, facilitator)) || null
+  }
+
+  // Rooms of older clients have no facilitator, everyone runs them
+  canFacilitate(peerId) {
+    const facilitator = this.roomState.getSetting('facilitator')
+    return !facilitator || this.isMember(peerId, facilitator)
+  }
+
+  isFacilitator() {
+    return this.canFacilitate(this.localPeerId)
+  }
+
+  // While the facilitator is away anyone may reveal and clear so the round does not get stuck.
+  // The settings and the role itself wait for the facilitator to come back
+  canRunRound(peerId = this.localPeerId) {
+    return this.canFacilitate(peerId) || !this.getFacilitatorPeerId()
+  }
+
+  // The creator takes the role, and the facilitator hands it over to another player
+  setFacilitator(peerId) {
+    if (!this.players.has(peerId)) return
+    this.updateSetting('facilitator', this.getMemberId(peerId))
+  }
+
+  clearVotes() {
+    if (!this.canRunRound()) return
+    const { round, clock } = this.roomState.clear()
+    this.broadcast({
+      type: 'clear_votes',
+      round,
+      clock
+    })
+    
+    this.applyRoomState()
+  }
+
+  showVotes() {
+    if (!this.canRunRound()) return
+    this.broadcastReveal()
+  }
+
+  broadcastReveal() {
+    const { round, clock } = this.roomState.reveal()
+    // Include all player vote data to ensure synchronization, values we hold go along with their salts
+    this.broadcast({
+      type: 'show_votes',
+      allVotes: this.getAllVotes(true),
+      round,
+      clock
+    })
+    
+    this.applyRoomState()
+  }
+
+  // Bring the views the app reads (round, reveal, deck, stories, history and player votes) in line with the room state
+  applyRoomState() {
+    const wasRevealed = this.votesRevealed
+    const previousDeck = JSON.stringify(this.deck)
+    const previousStories = JSON.stringify([this.stories, this.currentStory])
+    const previousHistory = JSON.stringify(this.history)
+    
+    this.deck = this.roomState.getSetting('deck').map(toCard)
+    this.voteCards = getLabels(this.deck)
+    this.votesRevealed = this.roomState.revealed
     for (const [peerId, player] of this.players) {
-      player.vote = null
-      this.players.set(peerId, player)
+      // Other players' votes stay null until revealed, voted tells whether they picked a card
+      player.vote = this.roomState.getVote(peerId)
+      player.voted = this.roomState.hasVoted(peerId)
+      player.voteMismatch = this.voteMismatches.get(peerId) === this.roomState.round
     }
     
-    if (shouldBroadcast) {
-      this.broadcast({
-        type: 'clear_votes'
-      })
+    if (this.round !== this.roomState.round) {
+      this.round = this.roomState.round
+      this.roundStartedAt = Date.now()
+      this.roundRevealedAt = null
+      this.emit('roundChanged', this.round)
+    }
+    
+    if (previousDeck !== JSON.stringify(this.deck)) {
+      this.emit('deckChanged', this.getVoteCards())
+    }
+    
+    this.stories = this.getStories()
+    this.currentStory = this.getCurrentStory()
+    if (previousStories !== JSON.stringify([this.stories, this.currentStory])) {
+      this.emit('storiesChanged', this.stories, this.currentStory)
+    }
+    
+    this.history = this.getHistory()
+    if (previousHistory !== JSON.stringify(this.history)) {
+      this.emit('historyChanged', this.history)
     }
     
     this.emit('playersUpdated', Array.from(this.players.values()))
+    if (this.votesRevealed && !wasRevealed) {
+      this.roundRevealedAt = Date.now()
+      this.revealOwnVote()
+      this.emit('votingComplete')
+    }
+  }
+
+  // Our last saved view of the room merges like anyone else's, whatever the room moved past loses
+  restoreState({ round = 1, votesRevealed = false, vote = null, settings = {}, history = [] }) {
+    this.roomState.mergeRound(round, votesRevealed)
+    // Sessions saved before the history was replicated per entry kept it as a setting
+    const { history: savedHistory, ...savedSettings } = settings
+    Object.entries(savedSettings).forEach(([key, entry]) => this.roomState.mergeSetting(key, entry))
+    const entries = [...(savedHistory?.value || []), ...history]
+    entries.forEach(entry => this.roomState.mergeHistoryEntry(entry))
+    if (vote && this.players.has(this.localPeerId)) {
+      const { commitment, salt } = createCommitment(vote)
+      const clock = this.roomState.tick()
+      if (this.roomState.mergeVote(this.localPeerId, { vote, commitment, salt, round, clock })) {
+        this.sendSigned({ type: 'vote', commitment, round, clock }, message => this.broadcast(message))
+      }
+    }
+    this.applyRoomState()
   }
 
-  showVotes(shouldBroadcast = true) {
-    this.votesRevealed = true
+  // Without an identity messages go out as they are, otherwise once signed
+  sendSigned(message, send) {
+    if (!this.identity) {
+      send(message)
+      return
+    }
     
-    if (shouldBroadcast) {
-      // Include all player vote data to ensure synchronization
-      const allVotes = {}
-      for (const [peerId, player] of this.players) {
-        if (player.vote) {
-          allVotes[peerId] = {
-            name: player.name,
-            vote: player.vote
-          }
-        }
+    this.signing = this.signing
+      .then(() => this.signMessage(message))
+      .then(send)
+      .catch(error => console.warn('Failed to sign', message.type, 'message:', error))
+  }
+
+  async signMessage(message) {
+    const ownVote = this.roomState.votes.get(this.localPeerId)
+    
+    if (message.type === 'vote') {
+      const signature = await this.identity.sign(votePayload(message))
+      // Keep the signature with our vote, reveals and snapshots pass it on
+      if (ownVote && ownVote.clock === message.clock) {
+        ownVote.signature = signature
       }
+      return { ...message, signature }
+    }
+    
+    if (message.type === 'player_data') {
+      const signature = await this.identity.sign(profilePayload(message.player, this.localPeerId, this.sessionId))
+      // Our vote was signed before this message was queued
+      const voteSignature = ownVote && ownVote.clock === message.clock ? ownVote.signature : undefined
+      return { ...message, signature, voteSignature }
+    }
+    
+    return message
+  }
+
+  getPlayerDataMessage() {
+    // The stamp of our vote, so a profile update that arrives late cannot bring back an older vote.
+    // The vote goes out as its commitment only, the value follows in reveal_vote
+    const entry = this.roomState.votes.get(this.localPeerId)
+    return {
+      type: 'player_data',
+      player: { ...this.players.get(this.localPeerId), vote: null },
+      commitment: entry ? entry.commitment : null,
+      round: entry ? entry.round : this.round,
+      clock: entry ? entry.clock : 0
+    }
+  }
+
+  // Values and salts are only included once the votes are revealed
+  getAllVotes(includeValues = this.votesRevealed) {
+    const allVotes = {}
+    for (const [peerId, player] of this.players) {
+      if (!this.roomState.hasVoted(peerId)) continue
       
-      
-      this.broadcast({
-        type: 'show_votes',
-        allVotes: allVotes
-      })
+      const { vote, commitment, salt, round, clock, signature } = this.roomState.votes.get(peerId)
+      // Votes of older clients have no commitment to stand in for them
+      if (!includeValues && !commitment) continue
+      allVotes[peerId] = {
+        name: player.name,
+        commitment: commitment ?? undefined,
+        round,
+        clock,
+        signature
+      }
+      if (includeValues && vote !== null) {
+        allVotes[peerId].vote = vote
+        allVotes[peerId].salt = salt ?? undefined
+      }
     }
+    return allVotes
+  }
+
+  // Votes without a stamp come from older clients and only fill in votes we have not heard of
+  mergeVotes(allVotes, round) {
+    for (const [peerId, voteData] of Object.entries(allVotes)) {
+      if (!this.players.has(peerId)) {
+        // Create missing player entry
+        this.players.set(peerId, {
+          id: peerId,
+          name: voteData.name,
+          vote: null,
+          isLocal: false
+        })
+      }
+      this.roomState.mergeVote(peerId, this.checkReveal(peerId, {
+        vote: voteData.vote,
+        commitment: voteData.commitment,
+        salt: voteData.salt,
+        round: voteData.round ?? round,
+        clock: voteData.clock ?? 0,
+        signature: voteData.signature
+      }))
+    }
+  }
+
+  // Newcomers and refreshed clients only hear about players from player_data,
+  // the snapshot tells them where the round stands
+  requestState(peerId) {
+    this.stateRequests.add(peerId)
+    this.sendToPlayer(peerId, { type: 'request_state' })
+  }
+
+  getStateSnapshot() {
+    const { votes, ...state } = this.roomState.toJSON()
+    return {
+      ...state,
+      // Only commitments until the reveal, everyone reveals their own value
+      votes: this.getAllVotes()
+    }
+  }
+
+  // The snapshot is merged like any other update, so it cannot undo what we heard from others meanwhile.
+  // Its settings only count from the facilitator (or in a room without one yet), otherwise any host
+  // could hand itself the role. We then ask the facilitator for the settings we may have missed.
+  // The history follows the snapshot in history_entries messages and counts from the same peers
+  applyStateSnapshot(senderId, state) {
+    const trusted = this.canFacilitate(senderId)
+    if (trusted) this.historySources.add(senderId)
+    this.mergeVotes(state.votes, state.round)
+    this.roomState.merge({ ...state, votes: {}, settings: trusted ? state.settings : {} })
+    this.applyRoomState()
     
-    this.emit('playersUpdated', Array.from(this.players.values()))
-    this.emit('votingComplete')
+    const facilitatorPeerId = this.getFacilitatorPeerId()
+    if (!trusted && facilitatorPeerId && facilitatorPeerId !== this.localPeerId) {
+      this.requestState(facilitatorPeerId)
+    }
+    
+    this.stateSynced = true
+    this.emit('stateSynced', state)
   }
 
   setReaction(reaction) {
@@ -297,7 +984,8 @@ export class GameManager {
       this.broadcast({
         type: 'reaction',
         reaction: newReaction,
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        round: this.round
       })
       
       this.emit('playersUpdated', Array.from(this.players.values()))
@@ -334,7 +1022,8 @@ export class GameManager {
         this.broadcast({
           type: 'reaction',
           reaction: null,
-          timestamp: Date.now()
+          timestamp: Date.now(),
+          round: this.round
         })
         
         // Notify UI to clear reaction selection
@@ -348,24 +1037,24 @@ export class GameManager {
   checkVotingComplete() {
     if (this.votesRevealed) return
     
-    const playersWithVotes = Array.from(this.players.values()).filter(p => p.vote !== null)
+    const playersWithVotes = Array.from(this.players.values()).filter(p => p.voted)
     const totalPlayers = this.players.size
     
     if (totalPlayers > 0 && playersWithVotes.length === totalPlayers) {
+      const round = this.round
       setTimeout(() => {
-        this.showVotes()
+        // Someone may have cleared or revealed in the meantime
+        if (this.round !== round || this.votesRevealed) return
+        // Everyone reveals a complete round on their own, facilitator or not
+        this.broadcastReveal()
         this.emit('votingComplete')
       }, 500) // Small delay for better UX
     }
   }
 
   broadcastPlayerUpdate() {
-    const localPlayer = this.players.get(this.localPeerId)
-    if (localPlayer) {
-      this.broadcast({
-        type: 'player_data',
-        player: localPlayer
-      })
+    if (this.players.has(this.localPeerId)) {
+      this.sendSigned(this.getPlayerDataMessage(), message => this.broadcast(message))
     }
   }
 
@@ -384,10 +1073,24 @@ export class GameManager {
   }
 
   isVotingComplete() {
-    const playersWithVotes = Array.from(this.players.values()).filter(p => p.vote !== null)
+    const playersWithVotes = Array.from(this.players.values()).filter(p => p.voted)
     return this.players.size > 0 && playersWithVotes.length === this.players.size
   }
 
+  // The card behind a vote, votes from outside the deck count as their label would
+  getCard(vote) {
+    return this.deck.find(card => card.label === vote) || toCard(vote)
+  }
+
+  // The numbers behind the votes that count towards the statistics, smallest first
+  getVoteValues(votes) {
+    return votes
+      .map(vote => this.getCard(vote))
+      .filter(card => !card.excluded)
+      .map(card => card.value)
+      .sort((a, b) => a - b)
+  }
+
   getVotingSummary() {
     const votes = Array.from(this.players.values())
       .filter(p => p.vote !== null)
@@ -399,11 +1102,22 @@ export class GameManager {
     })
     
     const consensus = this.detectConsensus(votes)
+    const values = this.getVoteValues(votes)
+    const median = this.calculateMedian(values)
     
     return {
       votes: voteCount,
       total: votes.length,
+      counted: values.length, // Votes like ? or ☕ are left out of average, median and spread
       average: this.calculateAverage(votes),
+      averageCard: values.length > 0 ? nearestCard(this.deck, this.calculateMean(values)) : null,
+      median,
+      medianCard: median === null ? null : nearestCard(this.deck, median),
+      spread: values.length > 0 ? {
+        min: nearestCard(this.deck, values[0]),
+        max: nearestCard(this.deck, values[values.length - 1]),
+        range: values[values.length - 1] - values[0]
+      } : null,
       consensus: consensus
     }
   }
@@ -423,13 +1137,10 @@ export class GameManager {
       }
     }
 
-    // Check numeric consensus (within 1 point for Fibonacci-like scales)
-    const numericVotes = votes
-      .filter(v => !isNaN(parseFloat(v.replace('½', '.5'))))
-      .map(v => parseFloat(v.replace('½', '.5')))
-      .sort((a, b) => a - b)
+    // Check numeric consensus (within 1 point for Fibonacci-like scales), on the values the cards stand for
+    const numericVotes = this.getVoteValues(votes)
     
-    if (numericVotes.length >= votes.length * 0.8) { // At least 80% numeric votes
+    if (numericVotes.length >= votes.length * 0.8) { // At least 80% of the votes count
       const min = numericVotes[0]
       const max = numericVotes[numericVotes.length - 1]
       const range = max - min
@@ -437,7 +1148,7 @@ export class GameManager {
       if (range === 0) {
         return { 
           type: 'perfect', 
-          message: `Perfect consensus on ${min}!`,
+          message: `Perfect consensus on ${nearestCard(this.deck, min)}!`,
           highlight: true
         }
       } else if (range <= 2) {
@@ -449,7 +1160,7 @@ export class GameManager {
       } else if (range >= 10) {
         return { 
           type: 'divergent', 
-          message: `Wide range of estimates (${min}-${max})`,
+          message: `Wide range of estimates (${nearestCard(this.deck, min)}-${nearestCard(this.deck, max)})`,
           highlight: false
         }
       }
@@ -480,22 +1191,48 @@ export class GameManager {
   }
 
   calculateAverage(votes) {
-    const numericVotes = votes.filter(v => !isNaN(parseFloat(v.replace('½', '.5'))))
-    if (numericVotes.length === 0) return null
+    const values = this.getVoteValues(votes)
+    if (values.length === 0) return null
     
-    const sum = numericVotes.reduce((acc, vote) => {
-      return acc + parseFloat(vote.replace('½', '.5'))
-    }, 0)
-    
-    return (sum / numericVotes.length).toFixed(1)
+    return this.calculateMean(values).toFixed(1)
+  }
+
+  calculateMean(values) {
+    return values.reduce((acc, value) => acc + value, 0) / values.length
+  }
+
+  // values are sorted
+  calculateMedian(values) {
+    if (values.length === 0) return null
+    const middle = Math.floor(values.length / 2)
+    return values.length % 2 === 1 ? values[middle] : (values[middle - 1] + values[middle]) / 2
   }
 
   reset() {
     this.sessionId = null
     this.localPeerId = null
     this.playerData = null
+    this.clientId = null
     this.players.clear()
+    this.clientPeers.clear()
+    this.peerKeys.clear()
+    this.clientKeys.clear()
+    this.verifiedPeers.clear()
+    this.verifying.clear()
+    this.voteMismatches.clear()
     this.votesRevealed = false
+    this.stateRequests.clear()
+    this.historySources.clear()
+    this.stateSynced = false
+    this.round = 1
+    this.deck = getDefaultCards().map(toCard)
+    this.voteCards = getLabels(this.deck)
+    this.stories = []
+    this.currentStory = null
+    this.history = []
+    this.roomState = new RoomState(getDefaultCards())
+    this.roundStartedAt = Date.now()
+    this.roundRevealedAt = null
     
     // Clear all reaction timers
     for (const timer of this.reactionTimers.values()) {
@@ -1,13 +1,113 @@
-// PeerJS is loaded globally from CDN
-const Peer = window.Peer;
+import { SettingsManager } from './services/settings-manager.js'
+import { ActionQueue } from './services/action-queue.js'
+import { RateLimiter } from './services/rate-limiter.js'
+import { createMessage, isNewerVersion, getMessageVersion, validateMessage } from './protocol.js'
+import { createTransport } from './transports/index.js'
+
+const HOST_CLAIM_MAX_ATTEMPTS = 5
+const HOST_CLAIM_RETRY_DELAY = 2000 // PeerServer may still hold the old host ID for a moment
+const HOST_MIGRATION_TIMEOUT = 20000
+
+// Every connection is pinged on this interval, a peer that stays silent for
+// PEER_TIMEOUT is considered gone even if its data channel never reported a close
+const HEARTBEAT_INTERVAL = 5000
+const PEER_STALE_AFTER = 12000
+const PEER_TIMEOUT = 20000
+
+// Queued actions are replayed this long after we are back, so the host's peer list
+// has rebuilt the mesh and the replay reaches everyone
+const ACTION_REPLAY_DELAY = 1000
+
+// Messages that change the round are acknowledged and retransmitted until they are,
+// receivers deliver each of them once and in the order they were sent
+const RELIABLE_MESSAGES = ['vote', 'reveal_vote', 'clear_votes', 'show_votes', 'room_setting', 'history_entries']
+const ACK_TIMEOUT = 2000
+const MAX_RETRANSMITS = 3
+const SEQUENCE_GAP_TIMEOUT = ACK_TIMEOUT * (MAX_RETRANSMITS + 1) // The sender has given up by then
+
+// Peer errors that mean the signaling server (PeerServer or relay) cannot be reached
+const SIGNALING_ERRORS = ['network', 'server-error', 'socket-error', 'socket-closed']
+
+// A locked room waits this long for a knocking peer to prove it is a member coming back
+const MEMBER_CHECK_TIMEOUT = 5000
+
+// In 'auto' topology a room switches from mesh to star once it has more participants than this
+const STAR_TOPOLOGY_THRESHOLD = 8
+
+// Messages that drive the mesh and the room admission rather than the game
+const CONTROL_MESSAGES = [
+  'peer_list', 'join_pending', 'join_approved', 'join_rejected', 'room_policy', 'ping', 'pong',
+  'topology', 'peer_joined', 'peer_left', 'relay', 'relayed', 'ack', 'hello'
+]
 
 export class PeerManager {
-  constructor() {
+  // Without an explicit transport the one picked in the settings is used, PeerJS by default
+  constructor(settingsManager = null, transport = null) {
+    this.settingsManager = settingsManager || new SettingsManager()
+    this.transport = transport
     this.peer = null
     this.connections = new Map()
     this.events = {}
     this.sessionId = null
     this.isHost = false
+    this.pendingSuccessor = null
+    this.hostMigrationTimer = null
+    this.roomCrypto = null
+    
+    // Room admission, enforced by whoever holds the host ID
+    this.roomLocked = false
+    this.requireApproval = false
+    this.pendingConnections = new Map() // peerId -> { conn, player, locked } waiting for approval or the member check
+    this.memberCheck = null // (peerId, player_data) -> Promise<boolean>, whether a knocking peer is a member coming back
+    
+    this.peerHealth = new Map() // peerId -> { rtt, lastSeen, heard }
+    this.heartbeatInterval = null
+    
+    // 'mesh': everyone connects to everyone, 'star': clients only connect to the host, which relays
+    this.topology = 'mesh'
+    this.relayedPeers = new Set() // Peers we only reach through the host in star topology
+    this.previousPeerId = null // Our ID before we took over as host
+    
+    // Game actions taken while offline wait here until the session is back
+    this.connectionsPaused = false
+    this.actionQueue = new ActionQueue()
+    this.actionReplayTimer = null
+    
+    // Every connection gets a fresh stream of sequence numbers, named by a random epoch so
+    // the receiver never mixes up the counts of an old and a new connection
+    this.outbound = new Map() // peerId -> { epoch, nextSeq, unacked: Map seq -> { message, attempts, timer } }
+    this.inbound = new Map() // peerId -> Map epoch -> { expectedSeq, buffered: Map seq -> data, gapTimer }
+    this.ackingPeers = new Set() // Peers that run a build with acknowledgements
+    
+    // Flood protection, every peer gets a budget per message type
+    this.rateLimiter = new RateLimiter()
+  }
+
+  // Encrypt and authenticate all room traffic with a passphrase-derived key (null for open rooms)
+  setRoomCrypto(roomCrypto) {
+    this.roomCrypto = roomCrypto
+  }
+
+  // A locked room still lets its members back in, they come back under a new peer ID after a
+  // refresh or reconnect. Checking who is a member is up to the game, which knows their keys
+  setMemberCheck(memberCheck) {
+    this.memberCheck = memberCheck
+  }
+
+  getHostPeerId(sessionId = this.sessionId) {
+    return `host-${sessionId}`
+  }
+
+  getTransport() {
+    return this.transport || createTransport(this.settingsManager.getSettings())
+  }
+
+  getPeerOptions() {
+    // Signaling server and ICE servers come from the settings (self-hosted PeerServer, TURN, ...)
+    return {
+      debug: 1,
+      ...this.settingsManager.getPeerOptions()
+    }
   }
 
   async createSession(sessionId) {
@@ -22,16 +122,8 @@ export class PeerManager {
     
     return new Promise((resolve, reject) => {
       console.log('Creating new peer connection for hosting session')
-      // Try the default PeerJS cloud service first
-      this.peer = new Peer(`host-${sessionId}`, {
-        debug: 1,
-        config: {
-          iceServers: [
-            { urls: 'stun:stun.l.google.com:19302' },
-            { urls: 'stun:global.stun.twilio.com:3478' }
-          ]
-        }
-      })
+      const peer = this.getTransport().createPeer(this.getHostPeerId(), this.getPeerOptions())
+      this.peer = peer
 
       this.peer.on('open', (id) => {
         console.log('Host peer connected with ID:', id)
@@ -39,32 +131,22 @@ export class PeerManager {
         resolve()
       })
 
-      this.peer.on('connection', (conn) => {
-        console.log('Received connection request from:', conn.peer, 'Open:', conn.open)
-        
-        // Set up handlers for the connection
-        this.setupConnectionHandlers(conn)
-        
-        // Handle the connection when it opens
-        if (conn.open) {
-          console.log('Incoming connection already open')
-          this.handleIncomingConnection(conn)
-        } else {
-          // Wait for connection to open
-          conn.on('open', () => {
-            console.log('Incoming connection opened from:', conn.peer)
-            this.handleIncomingConnection(conn)
-          })
-        }
-      })
+      this.peer.on('connection', (conn) => this.handleConnectionRequest(conn))
 
       this.peer.on('error', (error) => {
         console.error('Peer error:', error)
+        if (error.type === 'unavailable-id') {
+          // Another room holds this session ID, drop the peer so the caller can claim a different one
+          peer.destroy()
+          if (this.peer === peer) this.peer = null
+        }
+        this.checkSignaling(error)
         reject(error)
       })
 
       setTimeout(() => {
-        if (!this.peer.open) {
+        if (this.peer === peer && !peer.open) {
+          this.emit('signalingUnavailable')
           reject(new Error('Connection timeout'))
         }
       }, 10000)
@@ -83,22 +165,14 @@ export class PeerManager {
     
     return new Promise((resolve, reject) => {
       console.log('Creating new peer connection for joining session')
-      this.peer = new Peer({
-        debug: 1,
-        config: {
-          iceServers: [
-            { urls: 'stun:stun.l.google.com:19302' },
-            { urls: 'stun:global.stun.twilio.com:3478' }
-          ]
-        }
-      })
+      this.peer = this.getTransport().createPeer(null, this.getPeerOptions())
 
       this.peer.on('open', (id) => {
         console.log('Client peer connected with ID:', id)
         this.emit('connected', id)
         
         // Connect to host
-        const hostConnection = this.peer.connect(`host-${sessionId}`)
+        const hostConnection = this.peer.connect(this.getHostPeerId())
         
         // Check if connection is already open
         if (hostConnection.open) {
@@ -118,6 +192,12 @@ export class PeerManager {
           reject(error)
         })
 
+        // Without a signaling server we wait for the user to bring over the host's invite code
+        if (this.peer.manualSignaling) {
+          this.emit('inviteRequired')
+          return
+        }
+
         setTimeout(() => {
           if (!hostConnection.open) {
             console.error('Connection timeout - host connection did not open')
@@ -126,43 +206,156 @@ export class PeerManager {
         }, 10000)
       })
 
-      this.peer.on('connection', (conn) => {
-        console.log('Received connection request from:', conn.peer, 'Open:', conn.open)
-        
-        // Set up handlers for the connection
-        this.setupConnectionHandlers(conn)
-        
-        // Handle the connection when it opens
-        if (conn.open) {
-          console.log('Incoming connection already open')
-          this.handleIncomingConnection(conn)
-        } else {
-          // Wait for connection to open
-          conn.on('open', () => {
-            console.log('Incoming connection opened from:', conn.peer)
-            this.handleIncomingConnection(conn)
-          })
-        }
-      })
+      this.peer.on('connection', (conn) => this.handleConnectionRequest(conn))
 
       this.peer.on('error', (error) => {
         console.error('Peer error:', error)
+        this.checkSignaling(error)
         reject(error)
       })
     })
   }
 
+  // The broker could not be reached, the app can offer to exchange invite codes by hand instead
+  checkSignaling(error) {
+    if (SIGNALING_ERRORS.includes(error?.type)) {
+      this.emit('signalingUnavailable')
+    }
+  }
+
+  usesManualSignaling() {
+    return Boolean(this.peer && this.peer.manualSignaling)
+  }
+
+  // Manual signaling: the host creates an invite code per participant and accepts their answer code
+  createInvite() {
+    return this.peer.createOffer()
+  }
+
+  acceptAnswer(code) {
+    return this.peer.acceptAnswer(code)
+  }
+
+  // The participant's side, resolves to the answer code for the host
+  acceptInvite(code) {
+    return this.peer.acceptOffer(code)
+  }
+
+  handleConnectionRequest(conn) {
+    console.log('Received connection request from:', conn.peer, 'Open:', conn.open)
+    
+    // Set up handlers for the connection
+    this.setupConnectionHandlers(conn)
+    
+    // Handle the connection when it opens
+    if (conn.open) {
+      console.log('Incoming connection already open')
+      this.admitConnection(conn)
+    } else {
+      // Wait for connection to open
+      conn.on('open', () => {
+        console.log('Incoming connection opened from:', conn.peer)
+        this.admitConnection(conn)
+      })
+    }
+  }
+
+  admitConnection(conn) {
+    // Peers blocked for flooding stay out for the rest of the session
+    if (this.rateLimiter.isBlocked(conn.peer)) {
+      console.warn('Refusing connection from blocked peer:', conn.peer)
+      conn.close()
+      return
+    }
+    
+    // Only the host gates who gets in, the other peers learn about new peers from its peer list
+    if (this.isHost && this.roomLocked) {
+      console.log('Room is locked, waiting for a member to prove itself:', conn.peer)
+      const pending = { conn, player: null, locked: true }
+      pending.timer = setTimeout(() => this.rejectPeer(conn.peer, 'locked'), MEMBER_CHECK_TIMEOUT)
+      this.pendingConnections.set(conn.peer, pending)
+    } else if (this.isHost && this.requireApproval) {
+      console.log('Holding connection until the host approves:', conn.peer)
+      this.pendingConnections.set(conn.peer, { conn, player: null })
+      this.sendOverConnection(conn, { type: 'join_pending' })
+    } else {
+      this.handleIncomingConnection(conn)
+    }
+  }
+
+  approvePeer(peerId) {
+    const pending = this.pendingConnections.get(peerId)
+    if (!pending) return
+    
+    this.pendingConnections.delete(peerId)
+    clearTimeout(pending.timer)
+    this.sendOverConnection(pending.conn, { type: 'join_approved' })
+    this.handleIncomingConnection(pending.conn)
+  }
+
+  rejectPeer(peerId, reason = 'rejected') {
+    const pending = this.pendingConnections.get(peerId)
+    if (!pending) return
+    
+    this.pendingConnections.delete(peerId)
+    clearTimeout(pending.timer)
+    this.rejectConnection(pending.conn, reason)
+  }
+
+  rejectConnection(conn, reason) {
+    this.sendOverConnection(conn, { type: 'join_rejected', reason })
+    // Give the message a moment to go out before hanging up
+    setTimeout(() => conn.close(), 500)
+  }
+
+  setRoomLocked(locked) {
+    this.roomLocked = locked
+    this.broadcastRoomPolicy()
+  }
+
+  setRequireApproval(requireApproval) {
+    this.requireApproval = requireApproval
+    this.broadcastRoomPolicy()
+    
+    // Turning approval off lets everyone who is waiting in, the lock still holds back the others
+    if (!requireApproval) {
+      Array.from(this.pendingConnections.entries())
+        .filter(([, pending]) => !pending.locked)
+        .forEach(([peerId]) => this.approvePeer(peerId))
+    }
+  }
+
+  getRoomPolicy() {
+    return { locked: this.roomLocked, requireApproval: this.requireApproval }
+  }
+
+  // Every peer keeps the policy so that a successor keeps enforcing it after a host migration
+  broadcastRoomPolicy() {
+    this.broadcast({ type: 'room_policy', ...this.getRoomPolicy() })
+    this.emit('roomPolicyChanged', this.getRoomPolicy())
+  }
+
   setupConnectionHandlers(conn) {
     // Set up data, close, and error handlers immediately
     conn.on('data', (data) => {
-      console.log('Data received from', conn.peer, ':', data)
-      this.handlePeerData(conn.peer, data)
+      if (this.pendingConnections.get(conn.peer)?.conn === conn) {
+        this.handlePendingData(conn.peer, data)
+      } else {
+        this.handlePeerData(conn.peer, data)
+      }
     })
 
     conn.on('close', () => {
       console.log('Connection closed for:', conn.peer)
-      this.connections.delete(conn.peer)
-      this.emit('peerDisconnected', conn.peer)
+      const pending = this.pendingConnections.get(conn.peer)
+      if (pending?.conn === conn) {
+        this.pendingConnections.delete(conn.peer)
+        clearTimeout(pending.timer)
+        this.emit('joinRequestCancelled', conn.peer)
+        return
+      }
+      
+      this.removeConnection(conn)
     })
 
     conn.on('error', (error) => {
@@ -171,26 +364,150 @@ export class PeerManager {
     })
   }
 
+  removeConnection(conn) {
+    // Ignore stale connections that were already replaced or dropped on purpose
+    if (this.connections.get(conn.peer) !== conn) return
+    
+    this.connections.delete(conn.peer)
+    this.peerHealth.delete(conn.peer)
+    this.rateLimiter.forget(conn.peer)
+    this.closeInboundStreams(conn.peer)
+    this.emit('peerDisconnected', conn.peer)
+    
+    if (this.isHost && this.topology === 'star') {
+      this.broadcast({ type: 'peer_left', peerId: conn.peer })
+    }
+    
+    if (conn.peer === this.getHostPeerId() && !this.isHost) {
+      this.handleHostLost()
+    }
+  }
+
   handleIncomingConnection(conn) {
     console.log('Handling incoming connection from:', conn.peer)
     
     // Connection should already be open when this is called
     this.connections.set(conn.peer, conn)
+    this.relayedPeers.delete(conn.peer)
+    this.trackPeerHealth(conn.peer)
     this.emit('peerConnected', conn.peer)
     
-    // If we're the host, share the current connection list with new peer
+    // A successor has taken over the host ID, migration is complete
+    if (conn.peer === this.getHostPeerId()) {
+      this.clearHostMigration()
+    }
+    
     if (this.isHost) {
-      this.broadcastConnectionList()
-      
-      // Help establish P2P connections between all peers
-      setTimeout(() => {
-        if (conn.open) {
-          conn.send({
-            type: 'peer_list',
-            peers: Array.from(this.connections.keys()).filter(id => id !== conn.peer)
-          })
+      this.welcomePeer(conn)
+    }
+    this.openStream(conn)
+    this.scheduleActionReplay()
+  }
+
+  // Everything a peer needs from the host when it connects
+  welcomePeer(conn) {
+    this.broadcastConnectionList()
+    this.sendOverConnection(conn, { type: 'room_policy', ...this.getRoomPolicy() })
+    this.updateTopology()
+    this.sendOverConnection(conn, { type: 'topology', mode: this.topology })
+    
+    // Peers that knew us under our old ID should drop that player
+    if (this.previousPeerId) {
+      this.sendOverConnection(conn, { type: 'peer_left', peerId: this.previousPeerId })
+    }
+    
+    const others = Array.from(this.connections.keys()).filter(id => id !== conn.peer)
+    if (this.topology === 'star') {
+      // Introduce the newcomer and the room to each other, we relay between them
+      others.forEach(peerId => {
+        this.sendOverConnection(conn, { type: 'peer_joined', peerId })
+        this.send(peerId, { type: 'peer_joined', peerId: conn.peer })
+      })
+      return
+    }
+    
+    // Help establish P2P connections between all peers
+    setTimeout(() => {
+      if (conn.open) {
+        this.sendOverConnection(conn, {
+          type: 'peer_list',
+          peers: Array.from(this.connections.keys()).filter(id => id !== conn.peer)
+        })
+      }
+    }, 100) // Small delay to ensure connection is stable
+  }
+
+  // The host picks the topology for the room, in auto mode a growing room switches to star and
+  // stays there, going back to mesh would mean rebuilding every connection for little gain
+  updateTopology() {
+    const setting = this.settingsManager.getSettings().topology
+    let topology = this.topology
+    if (this.usesManualSignaling()) {
+      // Every connection takes a pair of codes, participants only connect to us
+      topology = 'star'
+    } else if (setting === 'mesh' || setting === 'star') {
+      topology = setting
+    } else if (this.connections.size + 1 > STAR_TOPOLOGY_THRESHOLD) {
+      topology = 'star'
+    }
+    
+    if (topology !== this.topology) {
+      console.log('Switching room topology to', topology)
+      this.topology = topology
+      this.broadcast({ type: 'topology', mode: topology })
+      this.emit('topologyChanged', topology)
+    }
+  }
+
+  setTopology(mode) {
+    if (mode === this.topology) return
+    this.topology = mode
+    
+    // Back to mesh, the lower ID of each pair dials so we don't end up with two connections
+    if (mode === 'mesh') {
+      this.relayedPeers.forEach(peerId => {
+        if (this.peer.id < peerId) {
+          this.connectToPeer(peerId)
+        }
+      })
+    }
+    this.emit('topologyChanged', mode)
+  }
+
+  // Peers reached through the host look like any other peer to the game
+  addRelayedPeer(peerId) {
+    if (peerId === this.peer.id || this.connections.has(peerId) || this.relayedPeers.has(peerId)) return
+    
+    this.relayedPeers.add(peerId)
+    this.emit('peerConnected', peerId)
+  }
+
+  removeRelayedPeer(peerId) {
+    if (this.relayedPeers.delete(peerId)) {
+      this.emit('peerDisconnected', peerId)
+    }
+  }
+
+  // Game messages only, the host never forwards anything that steers the mesh or the admission
+  isRelayable(data) {
+    return !CONTROL_MESSAGES.includes(data.type) && !isNewerVersion(data)
+  }
+
+  relayMessage(senderId, { to, data }) {
+    if (!this.isRelayable(data)) return
+    
+    if (to && to !== this.peer.id) {
+      this.send(to, { type: 'relayed', from: senderId, data })
+      return
+    }
+    
+    this.emit('dataReceived', senderId, data)
+    if (!to) {
+      this.connections.forEach((conn, peerId) => {
+        if (peerId !== senderId) {
+          this.sendOverConnection(conn, { type: 'relayed', from: senderId, data })
         }
-      }, 100) // Small delay to ensure connection is stable
+      })
     }
   }
 
@@ -202,7 +519,16 @@ export class PeerManager {
     
     // Add to connections
     this.connections.set(conn.peer, conn)
+    this.relayedPeers.delete(conn.peer)
+    this.trackPeerHealth(conn.peer)
     this.emit('peerConnected', conn.peer)
+    
+    // After a host migration we dial the peers ourselves
+    if (this.isHost) {
+      this.welcomePeer(conn)
+    }
+    this.openStream(conn)
+    this.scheduleActionReplay()
   }
 
   handlePeerData(peerId, data) {
@@ -212,23 +538,464 @@ export class PeerManager {
       return
     }
     
-    console.log('Received data from', peerId, ':', data)
+    // Any traffic proves the channel is alive, not only pongs
+    const health = this.peerHealth.get(peerId)
+    if (health) {
+      health.lastSeen = Date.now()
+      health.heard = true
+    }
     
-    if (data.type === 'peer_list' && !this.isHost) {
-      // Connect to other peers in the session
-      data.peers.forEach(peer => {
-        if (!this.connections.has(peer) && peer !== this.peer.id) {
-          const conn = this.peer.connect(peer)
-          conn.on('open', () => {
-            this.handleOutgoingConnection(conn)
-          })
-        }
-      })
+    // A muted or blocked peer costs us neither a decryption nor a log line
+    if (this.rateLimiter.isSilenced(peerId)) return
+    
+    data = this.decodeMessage(peerId, data)
+    if (!data || !this.checkRateLimit(peerId, data)) return
+    
+    if (data.seq !== undefined) {
+      this.receiveSequenced(peerId, data)
+    } else {
+      this.dispatchMessage(peerId, data)
+    }
+  }
+
+  // Relayed messages count against the peer that wrote them rather than the host passing them on.
+  // Peers answer every newcomer on its own, so messages we relay to one peer get that peer's budget
+  checkRateLimit(peerId, data) {
+    const relayed = (data.type === 'relay' || data.type === 'relayed') && data.data
+    const senderId = data.type === 'relayed' && typeof data.from === 'string' ? data.from : peerId
+    const target = data.type === 'relay' && typeof data.to === 'string' ? data.to : null
+    const verdict = this.rateLimiter.check(senderId, relayed ? data.data.type : data.type, target)
+    if (verdict === 'allowed') return true
+    
+    if (verdict === 'muted') {
+      console.warn('Muting', senderId, 'for flooding the room with messages')
+      this.emit('peerFlooding', senderId, 'muted')
+    } else if (verdict === 'blocked') {
+      console.warn('Disconnecting', senderId, 'for flooding the room with messages')
+      this.emit('peerFlooding', senderId, 'blocked')
+      const conn = this.connections.get(senderId)
+      if (conn) {
+        conn.close()
+      }
+    }
+    return false
+  }
+
+  dispatchMessage(peerId, data) {
+    if (CONTROL_MESSAGES.includes(data.type)) {
+      this.handleControlMessage(peerId, data)
     } else {
       this.emit('dataReceived', peerId, data)
     }
   }
 
+  // Acknowledge every copy, our previous ack may be the one that got lost, but only deliver
+  // each message once and hold back anything that overtook a missing one
+  receiveSequenced(peerId, data) {
+    const { valid, error } = validateMessage(data)
+    if (!valid) {
+      console.warn('Ignoring invalid', data.type, 'from', peerId, ':', error)
+      return
+    }
+    
+    this.ackingPeers.add(peerId)
+    this.send(peerId, { type: 'ack', ackSeq: data.seq, epoch: data.epoch })
+    
+    if (!this.inbound.has(peerId)) {
+      this.inbound.set(peerId, new Map())
+    }
+    const streams = this.inbound.get(peerId)
+    let stream = streams.get(data.epoch)
+    if (!stream) {
+      stream = { expectedSeq: 1, buffered: new Map(), gapTimer: null }
+      streams.set(data.epoch, stream)
+    }
+    
+    if (data.seq < stream.expectedSeq || stream.buffered.has(data.seq)) return
+    
+    stream.buffered.set(data.seq, data)
+    this.deliverSequenced(peerId, stream)
+  }
+
+  deliverSequenced(peerId, stream) {
+    while (stream.buffered.has(stream.expectedSeq)) {
+      const data = stream.buffered.get(stream.expectedSeq)
+      stream.buffered.delete(stream.expectedSeq)
+      stream.expectedSeq++
+      this.dispatchMessage(peerId, data)
+    }
+    
+    clearTimeout(stream.gapTimer)
+    stream.gapTimer = null
+    if (stream.buffered.size === 0) return
+    
+    // Something is missing, if it doesn't show up the sender gave up on it and we move on
+    stream.gapTimer = setTimeout(() => {
+      console.warn('Skipping messages from', peerId, 'that never arrived')
+      stream.expectedSeq = Math.min(...stream.buffered.keys())
+      this.deliverSequenced(peerId, stream)
+    }, SEQUENCE_GAP_TIMEOUT)
+  }
+
+  // A peer waiting for approval can only introduce itself, nothing else reaches the game
+  handlePendingData(peerId, data) {
+    data = this.decodeMessage(peerId, data)
+    if (!data || data.type !== 'player_data') return
+    
+    const { valid, error } = validateMessage(data)
+    if (!valid) {
+      console.warn('Ignoring invalid join request from', peerId, ':', error)
+      return
+    }
+    
+    const pending = this.pendingConnections.get(peerId)
+    const isNewRequest = !pending.player
+    pending.player = data.player
+    if (!isNewRequest) return
+    
+    if (pending.locked) {
+      this.checkMember(peerId, data, pending)
+    } else {
+      this.emit('joinRequest', peerId, data.player)
+    }
+  }
+
+  async checkMember(peerId, data, pending) {
+    let isMember = false
+    try {
+      isMember = Boolean(this.memberCheck && await this.memberCheck(peerId, data))
+    } catch (error) {
+      console.warn('Failed to check whether', peerId, 'is a member:', error)
+    }
+    
+    // The peer may have left or timed out meanwhile
+    if (this.pendingConnections.get(peerId) !== pending) return
+    if (isMember) {
+      console.log('Letting member back into the locked room:', peerId)
+      this.approvePeer(peerId)
+    } else {
+      this.rejectPeer(peerId, 'locked')
+    }
+  }
+
+  handleControlMessage(peerId, data) {
+    const { valid, error } = validateMessage(data)
+    if (!valid) {
+      console.warn('Ignoring invalid', data.type, 'from', peerId, ':', error)
+      return
+    }
+    
+    // Admission decisions only count when they come from the host
+    const fromHost = peerId === this.getHostPeerId()
+    
+    switch (data.type) {
+      case 'peer_list':
+        if (this.isHost) return
+        // Connect to other peers in the session
+        data.peers.forEach(peer => {
+          if (!this.connections.has(peer) && peer !== this.peer.id) {
+            this.connectToPeer(peer)
+          }
+        })
+        break
+        
+      case 'join_pending':
+        if (fromHost) this.emit('joinPending')
+        break
+        
+      case 'join_approved':
+        if (fromHost) this.emit('joinApproved', peerId)
+        break
+        
+      case 'join_rejected':
+        if (fromHost) this.emit('joinRejected', data.reason)
+        break
+        
+      case 'room_policy':
+        if (fromHost && !this.isHost) {
+          this.roomLocked = data.locked
+          this.requireApproval = data.requireApproval
+          this.emit('roomPolicyChanged', this.getRoomPolicy())
+        }
+        break
+        
+      case 'topology':
+        if (fromHost && !this.isHost) this.setTopology(data.mode)
+        break
+        
+      case 'peer_joined':
+        if (fromHost && !this.isHost) this.addRelayedPeer(data.peerId)
+        break
+        
+      case 'peer_left':
+        if (fromHost && !this.isHost) this.removeRelayedPeer(data.peerId)
+        break
+        
+      case 'relay':
+        if (this.isHost) this.relayMessage(peerId, data)
+        break
+        
+      case 'relayed':
+        if (fromHost && data.from !== this.peer.id && this.isRelayable(data.data)) {
+          this.emit('dataReceived', data.from, data.data)
+        }
+        break
+        
+      case 'ping':
+        this.send(peerId, { type: 'pong', timestamp: data.timestamp })
+        break
+        
+      case 'ack':
+        this.handleAck(peerId, data)
+        break
+        
+      case 'hello':
+        if (data.acks) this.ackingPeers.add(peerId)
+        break
+        
+      case 'pong':
+        this.handlePong(peerId, data.timestamp)
+        break
+    }
+  }
+
+  trackPeerHealth(peerId) {
+    // lastSeen starts at connect time, a channel that never delivers anything times out from there
+    this.peerHealth.set(peerId, { rtt: null, lastSeen: Date.now(), heard: false })
+    this.startHeartbeat()
+  }
+
+  startHeartbeat() {
+    if (this.heartbeatInterval) return
+    
+    this.heartbeatInterval = setInterval(() => {
+      this.sendHeartbeat()
+    }, HEARTBEAT_INTERVAL)
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval)
+      this.heartbeatInterval = null
+    }
+  }
+
+  sendHeartbeat() {
+    const now = Date.now()
+    
+    Array.from(this.connections.values()).forEach((conn) => {
+      const health = this.peerHealth.get(conn.peer)
+      
+      // Clients released before the heartbeat never answer pings and may stay quiet for long, they
+      // are only evicted when nothing at all came through since the connection opened
+      if (health && (health.rtt !== null || !health.heard) && now - health.lastSeen > PEER_TIMEOUT) {
+        console.warn('No heartbeat from', conn.peer, 'for', now - health.lastSeen, 'ms, dropping the connection')
+        this.removeConnection(conn)
+        conn.close()
+        return
+      }
+      
+      // Pongs stopped coming, let the UI flag the peer before it gets evicted
+      if (health && getLinkQuality(health) === 'lost') {
+        this.emit('peerStatsUpdated', conn.peer, this.getPeerStats(conn.peer))
+      }
+      
+      this.sendOverConnection(conn, { type: 'ping', timestamp: now })
+    })
+  }
+
+  handlePong(peerId, timestamp) {
+    // Builds with the heartbeat also acknowledge messages
+    this.ackingPeers.add(peerId)
+    
+    const health = this.peerHealth.get(peerId)
+    if (!health) return
+    
+    const now = Date.now()
+    health.rtt = Math.max(0, now - timestamp)
+    health.lastSeen = now
+    this.emit('peerStatsUpdated', peerId, this.getPeerStats(peerId))
+  }
+
+  // Round trip time in ms (null until the first pong) and when the peer was last heard from
+  getPeerStats(peerId) {
+    const health = this.peerHealth.get(peerId)
+    if (!health) return null
+    
+    return {
+      peerId,
+      relayed: this.isRelayed(peerId),
+      rtt: health.rtt,
+      lastSeen: health.lastSeen,
+      quality: getLinkQuality(health)
+    }
+  }
+
+  isRelayed(peerId) {
+    return this.connections.get(peerId)?.relayed === true
+  }
+
+  getAllPeerStats() {
+    return Array.from(this.peerHealth.keys()).map(peerId => this.getPeerStats(peerId))
+  }
+
+  decodeMessage(peerId, data) {
+    if (!this.isSupportedMessage(peerId, data)) return null
+    
+    if (data.type === 'encrypted' || this.roomCrypto) {
+      data = this.openEnvelope(peerId, data)
+      if (!data || !this.isSupportedMessage(peerId, data)) return null
+    }
+    
+    return data
+  }
+
+  isSupportedMessage(peerId, data) {
+    if (!data || typeof data !== 'object') {
+      console.warn('Ignoring malformed data from', peerId)
+      return false
+    }
+    
+    if (isNewerVersion(data)) {
+      // We can't safely interpret messages from a newer client, ask the user to refresh instead
+      console.warn('Ignoring message from', peerId, 'using newer protocol version', getMessageVersion(data))
+      this.emit('protocolMismatch', peerId, getMessageVersion(data))
+      return false
+    }
+    
+    return true
+  }
+
+  // In a passphrase-protected room everything must be encrypted with the room key, anything
+  // else is dropped so peers without the passphrase can neither read nor inject messages
+  openEnvelope(peerId, data) {
+    if (!this.roomCrypto) {
+      this.emit('passphraseRequired', peerId)
+      return null
+    }
+    
+    if (data.type !== 'encrypted') {
+      console.warn('Ignoring unencrypted message from', peerId)
+      this.emit('decryptionFailed', peerId, 'unencrypted')
+      return null
+    }
+    
+    try {
+      return this.roomCrypto.decrypt(data)
+    } catch (error) {
+      console.warn('Could not decrypt message from', peerId, ':', error.message)
+      this.emit('decryptionFailed', peerId, 'wrong_passphrase')
+      return null
+    }
+  }
+
+  handleHostLost() {
+    if (this.isHost || !this.peer || this.peer.destroyed) return
+    if (this.usesManualSignaling()) {
+      // Nobody could reach a successor without exchanging new codes
+      console.warn('Host left a session without signaling server, it cannot move to another peer')
+      return
+    }
+    
+    const successor = this.electSuccessor()
+    console.log('Host left the session, elected successor:', successor)
+    this.pendingSuccessor = successor
+    this.emit('hostLost', successor)
+    
+    // If the successor never shows up as the new host, run the election again
+    // with whoever is still connected by then
+    clearTimeout(this.hostMigrationTimer)
+    this.hostMigrationTimer = setTimeout(() => {
+      this.hostMigrationTimer = null
+      if (!this.connections.has(this.getHostPeerId())) {
+        this.handleHostLost()
+      }
+    }, HOST_MIGRATION_TIMEOUT)
+    
+    if (successor === this.peer.id) {
+      this.claimHost()
+    }
+  }
+
+  electSuccessor() {
+    // Every remaining peer runs the same election over its view of the mesh, so
+    // they agree on the successor without exchanging any messages
+    const hostPeerId = this.getHostPeerId()
+    const candidates = [this.peer.id, ...this.connections.keys(), ...this.relayedPeers]
+      .filter(id => id !== hostPeerId)
+    
+    return candidates.sort()[0]
+  }
+
+  claimHost(attempt = 1) {
+    console.log(`Claiming host ID ${this.getHostPeerId()} (attempt ${attempt})`)
+    const hostPeer = this.getTransport().createPeer(this.getHostPeerId(), this.getPeerOptions())
+    
+    hostPeer.on('open', () => {
+      // We may have left the session while the claim was in flight
+      if (!this.peer || this.peer.destroyed) {
+        hostPeer.destroy()
+        return
+      }
+      this.promoteToHost(hostPeer)
+    })
+    
+    hostPeer.on('error', (error) => {
+      if (this.peer === hostPeer) {
+        console.error('Peer error:', error)
+        return
+      }
+      
+      hostPeer.destroy()
+      if (error.type === 'unavailable-id' && attempt < HOST_CLAIM_MAX_ATTEMPTS) {
+        setTimeout(() => this.claimHost(attempt + 1), HOST_CLAIM_RETRY_DELAY)
+      } else {
+        // Another peer won the race (or the broker is unreachable), stay in the mesh as a client
+        console.warn('Could not claim host ID:', error)
+      }
+    })
+  }
+
+  promoteToHost(hostPeer) {
+    const previousPeer = this.peer
+    const peerIds = [...this.connections.keys(), ...this.relayedPeers]
+    
+    // Drop the old connections without reporting the peers as gone, they are
+    // reconnected from the host ID right below
+    const previousConnections = Array.from(this.connections.values())
+    this.connections.clear()
+    this.relayedPeers.clear()
+    previousConnections.forEach(conn => conn.close())
+    previousPeer.destroy()
+    
+    this.previousPeerId = previousPeer.id
+    this.peer = hostPeer
+    this.isHost = true
+    this.clearHostMigration()
+    hostPeer.on('connection', (conn) => this.handleConnectionRequest(conn))
+    
+    console.log('Took over as host with ID:', hostPeer.id)
+    this.emit('connected', hostPeer.id)
+    this.emit('hostMigrated', hostPeer.id)
+    
+    peerIds.forEach(peerId => this.connectToPeer(peerId))
+  }
+
+  clearHostMigration() {
+    this.pendingSuccessor = null
+    if (this.hostMigrationTimer) {
+      clearTimeout(this.hostMigrationTimer)
+      this.hostMigrationTimer = null
+    }
+  }
+
+  connectToPeer(peerId) {
+    const conn = this.peer.connect(peerId)
+    conn.on('open', () => {
+      this.handleOutgoingConnection(conn)
+    })
+  }
+
   broadcastConnectionList() {
     const peerList = Array.from(this.connections.keys())
     this.broadcast({
@@ -238,25 +1005,143 @@ export class PeerManager {
   }
 
   broadcast(data) {
-    this.connections.forEach((conn, peerId) => {
-      if (conn.open) {
-        try {
-          conn.send(data)
-        } catch (error) {
-          console.error('Failed to send data to', peerId, ':', error)
-        }
+    // While offline the game actions wait in the queue, everything else is rebuilt on reconnection
+    if (this.connectionsPaused) {
+      if (this.actionQueue.enqueue(data)) {
+        this.emit('pendingActionsChanged', this.actionQueue.size)
       }
+      return
+    }
+    
+    // In star topology clients hand everything to the host, which fans it out
+    if (this.topology === 'star' && !this.isHost) {
+      this.send(this.getHostPeerId(), { type: 'relay', data: createMessage(data) })
+      return
+    }
+    
+    this.connections.forEach((conn) => {
+      this.sendOverConnection(conn, data)
     })
   }
 
+  // Messages the previous connection to this peer never got acked are sent again on the new one
+  // Every connection starts with a hello saying we acknowledge, so the other side retransmits to us
+  // from its first message on instead of waiting for our first ack or pong
+  openStream(conn) {
+    this.transmit(conn, { type: 'hello', acks: true })
+    
+    const previous = this.outbound.get(conn.peer)
+    this.outbound.set(conn.peer, { epoch: createEpoch(), nextSeq: 1, unacked: new Map() })
+    
+    previous?.unacked.forEach(({ message, timer }) => {
+      clearTimeout(timer)
+      const { seq, epoch, ...data } = message
+      this.sendReliable(conn, data)
+    })
+  }
+
+  closeInboundStreams(peerId) {
+    this.inbound.get(peerId)?.forEach(stream => clearTimeout(stream.gapTimer))
+    this.inbound.delete(peerId)
+  }
+
+  sendReliable(conn, data) {
+    let stream = this.outbound.get(conn.peer)
+    if (!stream) {
+      stream = { epoch: createEpoch(), nextSeq: 1, unacked: new Map() }
+      this.outbound.set(conn.peer, stream)
+    }
+    
+    const message = { ...data, seq: stream.nextSeq++, epoch: stream.epoch }
+    stream.unacked.set(message.seq, { message, attempts: 0, timer: null })
+    this.transmit(conn, message)
+    this.scheduleRetransmit(conn.peer, message.seq)
+  }
+
+  scheduleRetransmit(peerId, seq) {
+    const entry = this.outbound.get(peerId)?.unacked.get(seq)
+    if (!entry) return
+    
+    clearTimeout(entry.timer)
+    entry.timer = setTimeout(() => this.retransmit(peerId, seq), ACK_TIMEOUT)
+  }
+
+  retransmit(peerId, seq) {
+    const stream = this.outbound.get(peerId)
+    const entry = stream?.unacked.get(seq)
+    if (!entry) return
+    
+    entry.timer = null
+    if (entry.attempts >= MAX_RETRANSMITS) {
+      console.warn('Giving up on', entry.message.type, 'to', peerId, 'after', MAX_RETRANSMITS, 'retries')
+      stream.unacked.delete(seq)
+      return
+    }
+    
+    // Older clients never acknowledge and don't filter duplicates, one copy is all they get. Until the
+    // peer's hello arrives we cannot tell, so the retries are spent waiting for it
+    if (!this.ackingPeers.has(peerId)) {
+      entry.attempts++
+      this.scheduleRetransmit(peerId, seq)
+      return
+    }
+    
+    // Without a connection the message waits, it is sent again when the peer reconnects
+    const conn = this.connections.get(peerId)
+    if (!conn || !conn.open) return
+    
+    entry.attempts++
+    this.transmit(conn, entry.message)
+    this.scheduleRetransmit(peerId, seq)
+  }
+
+  handleAck(peerId, { ackSeq, epoch }) {
+    this.ackingPeers.add(peerId)
+    
+    const stream = this.outbound.get(peerId)
+    if (!stream || stream.epoch !== epoch) return
+    
+    const entry = stream.unacked.get(ackSeq)
+    if (entry) {
+      clearTimeout(entry.timer)
+      stream.unacked.delete(ackSeq)
+    }
+  }
+
+  resetSequences() {
+    this.outbound.forEach(stream => {
+      stream.unacked.forEach(entry => clearTimeout(entry.timer))
+    })
+    this.outbound.clear()
+    this.inbound.forEach((streams, peerId) => this.closeInboundStreams(peerId))
+    this.ackingPeers.clear()
+  }
+
   send(peerId, data) {
     const conn = this.connections.get(peerId)
-    if (conn && conn.open) {
-      try {
-        conn.send(data)
-      } catch (error) {
-        console.error('Failed to send data to', peerId, ':', error)
-      }
+    if (conn) {
+      this.sendOverConnection(conn, data)
+    } else if (this.relayedPeers.has(peerId)) {
+      this.send(this.getHostPeerId(), { type: 'relay', to: peerId, data: createMessage(data) })
+    }
+  }
+
+  sendOverConnection(conn, data) {
+    if (!conn.open) return
+    
+    if (isReliable(data)) {
+      this.sendReliable(conn, data)
+    } else {
+      this.transmit(conn, data)
+    }
+  }
+
+  transmit(conn, data) {
+    try {
+      const message = createMessage(data)
+      conn.send(this.roomCrypto ? createMessage(this.roomCrypto.encrypt(message)) : message)
+    } catch (error) {
+      console.error('Failed to send data to', conn.peer, ':', error)
     }
   }
 
@@ -270,13 +1155,63 @@ export class PeerManager {
   resumeConnections() {
     console.log('Resuming peer connections')
     this.connectionsPaused = false
+    this.scheduleActionReplay()
+  }
+
+  // Without any connection yet we wait, the next one to open schedules the replay
+  scheduleActionReplay() {
+    if (this.actionReplayTimer || this.connectionsPaused) return
+    if (this.actionQueue.size === 0 || this.connections.size === 0) return
+    
+    this.actionReplayTimer = setTimeout(() => {
+      this.actionReplayTimer = null
+      this.replayQueuedActions()
+    }, ACTION_REPLAY_DELAY)
+  }
+
+  replayQueuedActions() {
+    if (this.connectionsPaused || this.connections.size === 0) return
+    
+    const actions = this.actionQueue.drain()
+    console.log(`Replaying ${actions.length} action(s) queued while offline`)
+    actions.forEach(({ data }) => this.broadcast(data))
+    this.emit('pendingActionsChanged', 0)
+  }
+
+  clearActionQueue() {
+    if (this.actionReplayTimer) {
+      clearTimeout(this.actionReplayTimer)
+      this.actionReplayTimer = null
+    }
+    this.connectionsPaused = false
+    this.actionQueue.clear()
   }
 
   disconnect() {
-    this.connections.forEach((conn) => {
+    this.clearHostMigration()
+    this.stopHeartbeat()
+    this.clearActionQueue()
+    this.resetSequences()
+    this.roomCrypto = null
+    this.roomLocked = false
+    this.requireApproval = false
+    this.topology = 'mesh'
+    this.relayedPeers.clear()
+    this.previousPeerId = null
+    this.rateLimiter.clear()
+    
+    this.pendingConnections.forEach(({ conn, timer }) => {
+      clearTimeout(timer)
       conn.close()
     })
+    this.pendingConnections.clear()
+    
+    // Forget the connections before closing them, we are the one leaving so the
+    // close events must not report the other peers as gone
+    const connections = Array.from(this.connections.values())
     this.connections.clear()
+    this.peerHealth.clear()
+    connections.forEach(conn => conn.close())
     
     if (this.peer) {
       this.peer.destroy()
@@ -296,4 +1231,23 @@ export class PeerManager {
       this.events[event].forEach(callback => callback(...args))
     }
   }
-}
\ No newline at end of file
+}
+
+// Wrappers of the star topology are as important as the message they carry
+function isReliable(data) {
+  if (data.type === 'relay' || data.type === 'relayed') return isReliable(data.data)
+  return RELIABLE_MESSAGES.includes(data.type)
+}
+
+function createEpoch() {
+  return Math.random().toString(36).slice(2, 10)
+}
+
+// Same quality levels as the ConnectionManager, plus 'lost' for a peer that stopped answering
+function getLinkQuality(health) {
+  if (Date.now() - health.lastSeen > PEER_STALE_AFTER) return 'lost'
+  if (health.rtt === null) return 'unknown'
+  if (health.rtt < 300) return 'good'
+  if (health.rtt < 1000) return 'poor'
+  return 'very-poor'
+}
@@ -0,0 +1,420 @@
+// Peer message protocol: every message exchanged between peers is defined and validated here
+// Bump the version whenever a message changes shape, clients on an older version then ask their
+// user to refresh instead of misreading it. Version 2 stamps votes and sends them as commitments
+export const PROTOCOL_VERSION = 2
+
+// Messages without a version come from clients released before the protocol was versioned,
+// they share the version 1 message shapes so we accept them as a downgrade
+export const LEGACY_PROTOCOL_VERSION = 0
+
+export const MAX_NAME_LENGTH = 70
+export const MAX_EMAIL_LENGTH = 254
+export const MAX_REACTION_LENGTH = 16
+export const MAX_CLIENT_ID_LENGTH = 64
+export const MAX_KEY_LENGTH = 128 // Base64 P-256 public keys and signatures are 88 characters
+export const MAX_DECK_SIZE = 40
+export const MAX_CARD_LENGTH = 16
+export const MAX_SALT_LENGTH = 64
+export const MAX_STORIES = 50
+export const MAX_STORY_ID_LENGTH = 32
+export const MAX_STORY_TITLE_LENGTH = 200
+export const MAX_STORY_KEY_LENGTH = 32
+export const MAX_STORY_URL_LENGTH = 2048
+export const MAX_STORY_DESCRIPTION_LENGTH = 1000
+export const MAX_HISTORY = 100 // Committed rounds kept, older ones fall off
+export const MAX_HISTORY_VOTES = 50
+export const HISTORY_CHUNK_SIZE = 5 // Entries per history_entries message, a full chunk stays well under a 64 KB frame
+export const MAX_ESTIMATE_LENGTH = 32
+export const CONSENSUS_TYPES = ['insufficient', 'perfect', 'close', 'divergent', 'majority', 'none']
+
+const COMMITMENT_PATTERN = /^[a-f0-9]{64}$/
+const CARD_FORBIDDEN_PATTERN = /[<>&"'`]/
+
+const GRAVATAR_URL_PATTERN = /^https:\/\/(www\.)?gravatar\.com\/avatar\/[a-f0-9]{32}(\?[\w=&%.-]*)?$/
+
+const isString = (value) => typeof value === 'string'
+const isTimestamp = (value) => Number.isFinite(value)
+const isPeerId = (value) => isString(value) && value.length > 0 && value.length <= 128
+const isSequenceNumber = (value) => Number.isInteger(value) && value > 0
+const isRound = (value) => Number.isInteger(value) && value > 0
+const isClock = (value) => Number.isInteger(value) && value >= 0
+const isKey = (value) => isString(value) && value.length > 0 && value.length <= MAX_KEY_LENGTH
+
+// Round changing messages name their round, older clients leave it out
+function validateRound(round) {
+  if (round === undefined || isRound(round)) return null
+  return 'round must be a positive integer'
+}
+
+// Signatures are checked by the GameManager, here we only make sure they look like one
+function validateSignature(signature, field = 'signature') {
+  if (signature === undefined || isKey(signature)) return null
+  return `${field} must be a base64 signature`
+}
+
+// Room state updates carry the sender's Lamport clock, older clients leave it out
+function validateStamp(data) {
+  if (data.clock !== undefined && !isClock(data.clock)) return 'clock must be a non-negative integer'
+  return validateRound(data.round)
+}
+
+function validateVote(vote, context) {
+  if (vote === null || vote === undefined) return null
+  if (!isString(vote)) return 'vote must be a string'
+  if (context.deck && !context.deck.includes(vote)) return `vote "${vote}" is not in the deck`
+  return null
+}
+
+// A commitment is the SHA-256 hash of a vote and its salt, the salt only travels once the vote is revealed
+function validateCommitment(data) {
+  if (data.commitment !== null && data.commitment !== undefined &&
+      (!isString(data.commitment) || !COMMITMENT_PATTERN.test(data.commitment))) {
+    return 'commitment must be a SHA-256 hash'
+  }
+  if (data.salt !== null && data.salt !== undefined &&
+      (!isString(data.salt) || data.salt.length === 0 || data.salt.length > MAX_SALT_LENGTH)) {
+    return 'salt must be a short string'
+  }
+  return null
+}
+
+function validateReaction(reaction) {
+  if (reaction === null || reaction === undefined) return null
+  if (!isString(reaction) || reaction.length === 0 || reaction.length > MAX_REACTION_LENGTH) {
+    return 'reaction must be a short string'
+  }
+  return null
+}
+
+function validateName(name) {
+  if (!isString(name) || name.trim().length === 0) return 'name is required'
+  if (name.length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters`
+  return null
+}
+
+function validatePlayer(player, context) {
+  if (!player || typeof player !== 'object') return 'player is required'
+
+  const nameError = validateName(player.name)
+  if (nameError) return nameError
+
+  if (player.email !== null && player.email !== undefined) {
+    if (!isString(player.email) || player.email.length > MAX_EMAIL_LENGTH) return 'email is invalid'
+  }
+
+  if (player.avatar !== null && player.avatar !== undefined) {
+    if (!isString(player.avatar) || !GRAVATAR_URL_PATTERN.test(player.avatar)) {
+      return 'avatar must be a Gravatar URL'
+    }
+  }
+
+  // Older clients have no client ID and get a new row after every refresh
+  if (player.clientId !== null && player.clientId !== undefined) {
+    if (!isString(player.clientId) || player.clientId.length === 0 || player.clientId.length > MAX_CLIENT_ID_LENGTH) {
+      return 'clientId must be a short string'
+    }
+  }
+
+  if (player.publicKey !== null && player.publicKey !== undefined && !isKey(player.publicKey)) {
+    return 'publicKey must be a base64 key'
+  }
+
+  return validateVote(player.vote, context) || validateReaction(player.reaction)
+}
+
+function validateAllVotes(allVotes, context) {
+  if (!allVotes || typeof allVotes !== 'object') return 'allVotes must be an object'
+
+  for (const [peerId, voteData] of Object.entries(allVotes)) {
+    if (!isPeerId(peerId) || !voteData) return 'allVotes entries must be keyed by peer ID'
+    const error = validateName(voteData.name) || validateStamp(voteData) || validateSignature(voteData.signature) ||
+      validateCommitment(voteData) || validateVote(voteData.vote, context)
+    if (error) return error
+  }
+  return null
+}
+
+// A card is its label, or { label, value, excluded } when it stands for a number other than the label
+const getCardLabel = (card) => isString(card) ? card : card?.label
+
+function validateCard(card) {
+  if (!isString(card)) {
+    if (!card || typeof card !== 'object') return 'cards must be labels or { label, value } objects'
+    if (card.value !== undefined && card.value !== null && !Number.isFinite(card.value)) return 'card values must be numbers'
+    if (card.excluded !== undefined && typeof card.excluded !== 'boolean') return 'excluded must be a boolean'
+  }
+  const label = getCardLabel(card)
+  if (!isString(label) || label.trim().length === 0 || label.length > MAX_CARD_LENGTH) {
+    return `cards must be at most ${MAX_CARD_LENGTH} characters`
+  }
+  // Labels end up on everyone's screen, so they are plain text
+  if (CARD_FORBIDDEN_PATTERN.test(label)) return 'cards cannot contain < > & " \' or `'
+  return null
+}
+
+export function validateDeck(deck) {
+  if (!Array.isArray(deck) || deck.length === 0 || deck.length > MAX_DECK_SIZE) {
+    return `deck must be a list of cards, at most ${MAX_DECK_SIZE}`
+  }
+  for (const card of deck) {
+    const error = validateCard(card)
+    if (error) return error
+  }
+  if (new Set(deck.map(getCardLabel)).size !== deck.length) return 'cards must be unique'
+  return null
+}
+
+const isStoryId = (value) => isString(value) && value.length > 0 && value.length <= MAX_STORY_ID_LENGTH
+
+// Links are only followed to web pages, never to javascript: or data: URLs
+export function isStoryUrl(url) {
+  return isString(url) && url.length <= MAX_STORY_URL_LENGTH && /^https?:\/\/[^\s]+$/i.test(url)
+}
+
+function validateStory(story) {
+  if (!story || typeof story !== 'object') return 'stories must be objects'
+  if (!isStoryId(story.id)) return 'story id is required'
+  if (!isString(story.title) || story.title.trim().length === 0 || story.title.length > MAX_STORY_TITLE_LENGTH) {
+    return `story title must be 1 to ${MAX_STORY_TITLE_LENGTH} characters`
+  }
+  if (story.key !== undefined && (!isString(story.key) || story.key.length > MAX_STORY_KEY_LENGTH)) {
+    return `story key must be at most ${MAX_STORY_KEY_LENGTH} characters`
+  }
+  if (story.url !== undefined && !isStoryUrl(story.url)) return 'story url must be an http(s) link'
+  if (story.description !== undefined &&
+      (!isString(story.description) || story.description.length > MAX_STORY_DESCRIPTION_LENGTH)) {
+    return `story description must be at most ${MAX_STORY_DESCRIPTION_LENGTH} characters`
+  }
+  return null
+}
+
+export function validateStories(stories) {
+  if (!Array.isArray(stories) || stories.length > MAX_STORIES) return `stories must be a list of at most ${MAX_STORIES}`
+  for (const story of stories) {
+    const error = validateStory(story)
+    if (error) return error
+  }
+  if (new Set(stories.map(story => story.id)).size !== stories.length) return 'story ids must be unique'
+  return null
+}
+
+// A committed round. Votes are checked against their length only, the deck may have changed since
+function validateHistoryEntry(entry) {
+  if (!entry || typeof entry !== 'object') return 'history entries must be objects'
+  if (!isStoryId(entry.id)) return 'history entry id is required'
+  if (!isRound(entry.round)) return 'history round must be a positive integer'
+  if (!isString(entry.estimate) || entry.estimate.trim().length === 0 || entry.estimate.length > MAX_ESTIMATE_LENGTH) {
+    return `estimate must be 1 to ${MAX_ESTIMATE_LENGTH} characters`
+  }
+  if (!Array.isArray(entry.votes) || entry.votes.length > MAX_HISTORY_VOTES) {
+    return `history votes must be a list of at most ${MAX_HISTORY_VOTES}`
+  }
+  const badVote = entry.votes.some(vote => !vote || !isString(vote.name) || vote.name.length > MAX_NAME_LENGTH ||
+    !isString(vote.vote) || vote.vote.length > MAX_CARD_LENGTH)
+  if (badVote) return 'history votes must be names with their vote'
+  if (!CONSENSUS_TYPES.includes(entry.consensus)) return 'history consensus is not a known type'
+  if (!Number.isFinite(entry.duration) || entry.duration < 0) return 'history duration must be a non-negative number'
+  if (!isTimestamp(entry.committedAt)) return 'history committedAt must be a timestamp'
+  if (entry.storyId !== undefined && !isStoryId(entry.storyId)) return 'history storyId must be a story id'
+  if (entry.title !== undefined && (!isString(entry.title) || entry.title.length > MAX_STORY_TITLE_LENGTH)) {
+    return `history title must be at most ${MAX_STORY_TITLE_LENGTH} characters`
+  }
+  if (entry.key !== undefined && (!isString(entry.key) || entry.key.length > MAX_STORY_KEY_LENGTH)) {
+    return `history key must be at most ${MAX_STORY_KEY_LENGTH} characters`
+  }
+  return null
+}
+
+export function validateHistory(history) {
+  if (!Array.isArray(history) || history.length > MAX_HISTORY) return `history must be a list of at most ${MAX_HISTORY}`
+  for (const entry of history) {
+    const error = validateHistoryEntry(entry)
+    if (error) return error
+  }
+  return null
+}
+
+// Only settings we know of are replicated, each one with its own check
+const SETTING_VALIDATORS = {
+  deck: validateDeck,
+  stories: validateStories,
+  // Public key (or peer ID without one) of the member running the room, see GameManager.canFacilitate
+  facilitator: (value) => isPeerId(value) ? null : 'facilitator must be a public key or peer ID',
+  // The story being estimated, it may have been removed from the list since
+  currentStory: (value) => value === null || isStoryId(value) ? null : 'currentStory must be a story id or null'
+}
+
+function validateSettings(settings) {
+  if (!settings || typeof settings !== 'object') return 'settings must be an object'
+
+  for (const [key, entry] of Object.entries(settings)) {
+    const validator = SETTING_VALIDATORS[key]
+    if (!validator) return `unknown setting "${key}"`
+    if (!entry || !isClock(entry.clock) || !isString(entry.peerId)) return `setting "${key}" must carry a clock and a peer ID`
+    const error = validator(entry.value)
+    if (error) return error
+  }
+  return null
+}
+
+function validatePeerList(peers) {
+  if (!Array.isArray(peers) || !peers.every(isPeerId)) return 'peers must be a list of peer IDs'
+  return null
+}
+
+// Messages forwarded by the host in star topology, the game validates them once unwrapped
+function validateRelayedPayload(payload) {
+  if (!payload || typeof payload !== 'object' || !isString(payload.type)) return 'data must be a message'
+  if (['relay', 'relayed', 'encrypted'].includes(payload.type)) return `"${payload.type}" messages cannot be relayed`
+  return null
+}
+
+// One validator per message type, returning an error message or null when valid
+const MESSAGE_VALIDATORS = {
+  // round and clock stamp the vote carried in the player (or its commitment), voteSignature signs that vote
+  player_data: (data, context) => validateStamp(data) || validateSignature(data.signature) ||
+    validateSignature(data.voteSignature, 'voteSignature') || validateCommitment({ commitment: data.commitment }) ||
+    validatePlayer(data.player, context),
+
+  request_player_data: () => null,
+
+  // Votes travel as commitments, older clients send the value itself
+  vote: (data, context) => validateStamp(data) || validateSignature(data.signature) ||
+    validateCommitment({ commitment: data.commitment }) || validateVote(data.vote, context),
+
+  // The value and salt behind the sender's commitment, stamped like the vote they open
+  reveal_vote: (data, context) => {
+    if (!isRound(data.round) || !isClock(data.clock)) return 'round and clock are required'
+    if (!isString(data.vote)) return 'vote must be a string'
+    if (!isString(data.salt)) return 'salt is required'
+    return validateCommitment({ salt: data.salt }) || validateVote(data.vote, context)
+  },
+
+  clear_votes: (data) => validateStamp(data),
+
+  show_votes: (data, context) => {
+    if (data.allVotes === undefined) return validateStamp(data)
+    return validateStamp(data) || validateAllVotes(data.allVotes, context)
+  },
+
+  // One replicated room setting, stamped like the room state it is part of
+  room_setting: (data) => {
+    const validator = SETTING_VALIDATORS[data.key]
+    if (!validator) return `unknown setting "${data.key}"`
+    if (!isClock(data.clock)) return 'clock must be a non-negative integer'
+    return validator(data.value)
+  },
+
+  request_state: () => null,
+
+  // Committed rounds, one message per commit and a few after each snapshot so no message grows with the history
+  history_entries: (data) => {
+    if (!Array.isArray(data.entries) || data.entries.length === 0 || data.entries.length > HISTORY_CHUNK_SIZE) {
+      return `entries must be a list of 1 to ${HISTORY_CHUNK_SIZE}`
+    }
+    return validateHistory(data.entries)
+  },
+
+  // Votes in a snapshot are checked against the deck it carries, ours may not be the room's yet
+  state_snapshot: (data) => {
+    const state = data.state
+    if (!state || typeof state !== 'object') return 'state is required'
+    if (!isRound(state.round)) return 'round must be a positive integer'
+    if (typeof state.revealed !== 'boolean') return 'revealed must be a boolean'
+    if (!isClock(state.clock)) return 'clock must be a non-negative integer'
+    const settingsError = validateSettings(state.settings)
+    if (settingsError) return settingsError
+    return validateAllVotes(state.votes, { deck: state.settings.deck?.value.map(getCardLabel) })
+  },
+
+  reaction: (data) => {
+    if (data.timestamp !== undefined && typeof data.timestamp !== 'number') return 'timestamp must be a number'
+    return validateRound(data.round) || validateReaction(data.reaction)
+  },
+
+  peer_list: (data) => validatePeerList(data.peers),
+
+  connection_update: (data) => validatePeerList(data.peers),
+
+  player_disconnected: (data) => isPeerId(data.peerId) ? null : 'peerId is required',
+
+  join_pending: () => null,
+
+  join_approved: () => null,
+
+  join_rejected: (data) => ['locked', 'rejected'].includes(data.reason) ? null : 'reason must be "locked" or "rejected"',
+
+  room_policy: (data) => {
+    if (typeof data.locked !== 'boolean' || typeof data.requireApproval !== 'boolean') {
+      return 'locked and requireApproval must be booleans'
+    }
+    return null
+  },
+
+  ping: (data) => isTimestamp(data.timestamp) ? null : 'timestamp must be a number',
+
+  pong: (data) => isTimestamp(data.timestamp) ? null : 'timestamp must be a number',
+
+  topology: (data) => ['mesh', 'star'].includes(data.mode) ? null : 'mode must be "mesh" or "star"',
+
+  peer_joined: (data) => isPeerId(data.peerId) ? null : 'peerId is required',
+
+  peer_left: (data) => isPeerId(data.peerId) ? null : 'peerId is required',
+
+  relay: (data) => {
+    if (data.to !== undefined && !isPeerId(data.to)) return 'to must be a peer ID'
+    return validateRelayedPayload(data.data)
+  },
+
+  relayed: (data) => isPeerId(data.from) ? validateRelayedPayload(data.data) : 'from is required',
+
+  ack: (data) => isString(data.epoch) && isSequenceNumber(data.ackSeq) ? null : 'ackSeq and epoch are required',
+
+  // First message on every connection, tells the other side which features we support
+  hello: (data) => typeof data.acks === 'boolean' ? null : 'acks must be a boolean',
+
+  // Envelope for passphrase-protected rooms, the decrypted message is validated on its own
+  encrypted: (data) => {
+    if (!isString(data.iv) || !isString(data.ciphertext) || !isString(data.mac)) return 'encrypted message is incomplete'
+    return null
+  }
+}
+
+export const MESSAGE_TYPES = Object.keys(MESSAGE_VALIDATORS)
+
+export function getMessageVersion(data) {
+  return Number.isInteger(data?.v) ? data.v : LEGACY_PROTOCOL_VERSION
+}
+
+// Stamp an outgoing message with the protocol version
+export function createMessage(data) {
+  return { ...data, v: PROTOCOL_VERSION }
+}
+
+export function isNewerVersion(data) {
+  return getMessageVersion(data) > PROTOCOL_VERSION
+}
+
+// context.deck restricts votes to the labels of the current deck
+export function validateMessage(data, context = {}) {
+  if (!data || typeof data !== 'object') {
+    return { valid: false, error: 'message must be an object' }
+  }
+
+  if (isNewerVersion(data)) {
+    return { valid: false, error: `unsupported protocol version ${data.v}` }
+  }
+
+  const validator = MESSAGE_VALIDATORS[data.type]
+  if (!validator) {
+    return { valid: false, error: `unknown message type "${data.type}"` }
+  }
+
+  // Messages that need an acknowledgement carry the sender's sequence number for this connection
+  if (data.seq !== undefined && (!isSequenceNumber(data.seq) || !isString(data.epoch))) {
+    return { valid: false, error: 'seq must be a positive integer with an epoch' }
+  }
+
+  const error = validator(data, context)
+  return error ? { valid: false, error } : { valid: true, error: null }
+}
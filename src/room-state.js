@@ -0,0 +1,212 @@
+// Replicated room state: every peer keeps its own copy and merges what the others send, in any
+// order and any number of times, and all copies end up the same.
+//
+// - round and revealed form one register ordered by round, then revealed. A clear moves to the next
+//   round and a reveal only flips the current one, so concurrent clears land on the same round and a
+//   reveal of a round that was already cleared is simply outvoted.
+// - Each vote is a last-writer-wins register stamped with the round it was cast in and a Lamport
+//   clock. Only votes of the current round count, which is how a clear empties the table. Until the
+//   reveal peers only hold the commitment (a salted hash) of other players' votes, learning the value
+//   later only fills in the same register.
+// - Room settings (the deck, the story queue, the current story and the facilitator) are
+//   last-writer-wins registers, ties go to the higher peer ID.
+// - The round history is a set of committed rounds keyed by entry id. An entry never changes once
+//   committed, so merging only adds, and every peer keeps the same newest MAX_HISTORY of them.
+//
+// Player profiles are written by their owner only and membership follows the connections, so they
+// stay in GameManager.
+
+import { MAX_HISTORY } from './protocol.js'
+
+export class RoomState {
+  constructor(deck) {
+    this.clock = 0
+    this.round = 1
+    this.revealed = false
+    this.votes = new Map() // peerId -> { vote, commitment, salt, round, clock, signature }
+    this.settings = new Map() // key -> { value, clock, peerId }
+    this.history = new Map() // entry id -> committed round
+
+    // The default deck loses against any deck someone picked
+    this.settings.set('deck', { value: [...deck], clock: 0, peerId: '' })
+  }
+
+  tick() {
+    this.clock += 1
+    return this.clock
+  }
+
+  // Keep our clock ahead of everything we have seen so our next write wins over it
+  observe(clock) {
+    if (Number.isInteger(clock) && clock > this.clock) {
+      this.clock = clock
+    }
+  }
+
+  // Local operations, each returns the stamp to send along with the message
+
+  castVote(peerId, { vote, commitment = null, salt = null }) {
+    const entry = { vote, commitment, salt, round: this.round, clock: this.tick() }
+    this.votes.set(peerId, entry)
+    return entry
+  }
+
+  clear() {
+    this.round += 1
+    this.revealed = false
+    return { round: this.round, clock: this.tick() }
+  }
+
+  reveal() {
+    this.revealed = true
+    return { round: this.round, clock: this.tick() }
+  }
+
+  setSetting(key, value, peerId) {
+    const entry = { value, clock: this.tick(), peerId }
+    this.settings.set(key, entry)
+    return entry
+  }
+
+  // Merges, all of them commutative, associative and idempotent. Each returns whether anything changed
+
+  mergeRound(round, revealed) {
+    if (round > this.round) {
+      this.round = round
+      this.revealed = revealed
+      return true
+    }
+    if (round === this.round && revealed && !this.revealed) {
+      this.revealed = true
+      return true
+    }
+    return false
+  }
+
+  // The value behind a commitment is trusted as given, GameManager checks it against the commitment first
+  mergeVote(peerId, entry) {
+    this.observe(entry.clock)
+    const current = this.votes.get(peerId)
+    const order = current ? compareVotes(current, entry) : -1
+    if (order > 0) return false
+    if (order === 0) {
+      // Same vote, the copy we received may carry the value its commitment hid
+      if (!current.commitment || current.vote !== null || entry.vote === null || entry.vote === undefined) return false
+      current.vote = entry.vote
+      current.salt = entry.salt ?? null
+      return true
+    }
+
+    // The owner's signature travels with the vote, it is not part of the state we compare
+    this.votes.set(peerId, {
+      vote: entry.vote ?? null,
+      commitment: entry.commitment ?? null,
+      salt: entry.salt ?? null,
+      round: entry.round,
+      clock: entry.clock,
+      signature: entry.signature
+    })
+    return true
+  }
+
+  mergeSetting(key, entry) {
+    this.observe(entry.clock)
+    const current = this.settings.get(key)
+    if (current && compareSettings(current, entry) >= 0) return false
+
+    this.settings.set(key, { value: entry.value, clock: entry.clock, peerId: entry.peerId })
+    return true
+  }
+
+  // Committing a round is the same as merging it, nobody else writes that entry
+  mergeHistoryEntry(entry) {
+    if (this.history.has(entry.id)) return false
+
+    this.history.set(entry.id, { ...entry })
+    if (this.history.size <= MAX_HISTORY) return true
+    const [oldest] = this.getHistory()
+    this.history.delete(oldest.id)
+    return oldest.id !== entry.id
+  }
+
+  // A vote from an earlier round was cleared. Other players' votes stay null until revealed
+  getVote(peerId) {
+    const entry = this.votes.get(peerId)
+    return entry && entry.round === this.round ? entry.vote : null
+  }
+
+  hasVoted(peerId) {
+    const entry = this.votes.get(peerId)
+    return Boolean(entry && entry.round === this.round && (entry.commitment || entry.vote))
+  }
+
+  getSetting(key) {
+    const entry = this.settings.get(key)
+    return entry ? entry.value : undefined
+  }
+
+  // Oldest first, in the same order on every peer
+  getHistory() {
+    return [...this.history.values()].sort(compareHistory)
+  }
+
+  // Our vote follows us when our peer ID changes
+  moveVote(fromPeerId, toPeerId) {
+    const entry = this.votes.get(fromPeerId)
+    if (!entry) return
+    this.votes.delete(fromPeerId)
+    this.mergeVote(toPeerId, entry)
+  }
+
+  // peerIds limits the votes to the given players, a state without votes keeps them private
+  toJSON({ peerIds = [...this.votes.keys()] } = {}) {
+    const votes = {}
+    peerIds.forEach(peerId => {
+      const entry = this.votes.get(peerId)
+      if (entry) votes[peerId] = { ...entry }
+    })
+
+    const settings = {}
+    this.settings.forEach((entry, key) => {
+      settings[key] = { ...entry }
+    })
+
+    return { clock: this.clock, round: this.round, revealed: this.revealed, votes, settings }
+  }
+
+  merge(state) {
+    this.observe(state.clock)
+    let changed = this.mergeRound(state.round, state.revealed)
+    Object.entries(state.votes || {}).forEach(([peerId, entry]) => {
+      changed = this.mergeVote(peerId, entry) || changed
+    })
+    Object.entries(state.settings || {}).forEach(([key, entry]) => {
+      changed = this.mergeSetting(key, entry) || changed
+    })
+    return changed
+  }
+}
+
+// Later round, then later clock. The vote itself only breaks ties so every peer picks the same one,
+// votes of older clients have no commitment and compare by value
+function compareVotes(a, b) {
+  if (a.round !== b.round) return a.round - b.round
+  if (a.clock !== b.clock) return a.clock - b.clock
+  return compareStrings(a.commitment ?? a.vote ?? '', b.commitment ?? b.vote ?? '')
+}
+
+function compareSettings(a, b) {
+  if (a.clock !== b.clock) return a.clock - b.clock
+  if (a.peerId !== b.peerId) return compareStrings(a.peerId, b.peerId)
+  return compareStrings(JSON.stringify(a.value), JSON.stringify(b.value))
+}
+
+function compareHistory(a, b) {
+  if (a.committedAt !== b.committedAt) return a.committedAt - b.committedAt
+  return compareStrings(a.id, b.id)
+}
+
+function compareStrings(a, b) {
+  if (a === b) return 0
+  return a < b ? -1 : 1
+}
@@ -1,3 +1,5 @@
+import { normalizeSessionId, getSessionIdError } from './services/session-code.js'
+
 export class Router {
   constructor() {
     this.events = {}
@@ -11,13 +13,18 @@ export class Router {
 
   handleRouteChange() {
     const params = new URLSearchParams(window.location.search)
-    const sessionId = params.get('session')
+    const sessionId = params.has('session') ? normalizeSessionId(params.get('session')) : null
     const page = params.get('page')
+    const sessionIdError = sessionId ? getSessionIdError(sessionId) : null
     
-    if (sessionId && sessionId.match(/^\d{9}$/)) {
+    if (sessionId && !sessionIdError) {
       // Session route
       this.emit('route:session', sessionId)
       this.currentRoute = `session:${sessionId}`
+    } else if (sessionId) {
+      // Mistyped link, say so instead of trying to reach a host that isn't there
+      this.emit('route:invalidSession', sessionIdError)
+      this.currentRoute = 'home'
     } else if (page === 'about') {
       // About page
       this.emit('route:about')
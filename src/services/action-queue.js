@@ -0,0 +1,39 @@
+// Action Queue for game actions taken while offline, they are replayed in order once we are back in the session
+// Only the latest vote and reaction matter, queueing a new one drops the previous one
+
+// Actions that change the round for everyone, anything else (player data, peer bookkeeping)
+// is rebuilt on its own when the connections come back
+const QUEUEABLE_ACTIONS = ['vote', 'reveal_vote', 'reaction', 'clear_votes', 'show_votes', 'room_setting']
+const LATEST_ONLY_ACTIONS = ['vote', 'reveal_vote', 'reaction']
+
+export class ActionQueue {
+  constructor() {
+    this.actions = [] // { data, queuedAt }, oldest first
+  }
+
+  get size() {
+    return this.actions.length
+  }
+
+  // Returns false for messages that are not worth replaying
+  enqueue(data) {
+    if (!data || !QUEUEABLE_ACTIONS.includes(data.type)) return false
+
+    if (LATEST_ONLY_ACTIONS.includes(data.type)) {
+      this.actions = this.actions.filter(action => action.data.type !== data.type)
+    }
+    this.actions.push({ data, queuedAt: Date.now() })
+    return true
+  }
+
+  // Hand the actions over oldest first and empty the queue
+  drain() {
+    const actions = this.actions
+    this.actions = []
+    return actions
+  }
+
+  clear() {
+    this.actions = []
+  }
+}
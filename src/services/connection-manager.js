@@ -10,6 +10,7 @@ export class ConnectionManager {
     this.lastHeartbeat = Date.now()
     this.heartbeatInterval = null
     this.reconnectTimeout = null
+    this.peerStatsProvider = null
     
     this.setupEventListeners()
     this.startHeartbeat()
@@ -81,29 +82,27 @@ export class ConnectionManager {
     }
   }
 
+  // The peer manager's heartbeat measures the actual data channels, it hands us
+  // one { rtt, quality } entry per connected peer
+  setPeerStatsProvider(provider) {
+    this.peerStatsProvider = provider
+  }
+
   checkConnectionHealth() {
-    if (!this.isOnline) return
-    
-    // Simple connection test using a small image request
-    const startTime = Date.now()
-    const img = new Image()
+    if (!this.isOnline || !this.peerStatsProvider) return
     
-    const timeout = setTimeout(() => {
-      this.handleConnectionTest(false, Date.now() - startTime)
-    }, 5000) // 5 second timeout
-    
-    img.onload = () => {
-      clearTimeout(timeout)
-      this.handleConnectionTest(true, Date.now() - startTime)
-    }
+    const peerStats = this.peerStatsProvider()
+    // Alone in the room, there is nothing to measure
+    if (peerStats.length === 0) return
     
-    img.onerror = () => {
-      clearTimeout(timeout)
-      this.handleConnectionTest(false, Date.now() - startTime)
+    const responsive = peerStats.filter(stats => stats.quality !== 'lost' && stats.rtt !== null)
+    if (responsive.length === 0) {
+      this.handleConnectionTest(false, null)
+      return
     }
     
-    // Use a small, fast-loading image (1x1 pixel)
-    img.src = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7'
+    // One slow teammate says little about our own link, every peer being slow does
+    this.handleConnectionTest(true, Math.min(...responsive.map(stats => stats.rtt)))
   }
 
   handleConnectionTest(success, responseTime) {
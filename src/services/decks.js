@@ -0,0 +1,116 @@
+// Estimation decks: the presets a host can pick from when creating a session, and custom decks
+// typed as a comma-separated list. The room replicates the cards themselves (the 'deck' setting),
+// so everything here works from a list of cards, whichever preset it came from.
+//
+// A card is { label, value, excluded }: value is the number the card stands for in the statistics
+// and excluded cards (?, ☕, pass) are left out of them. A plain label is short for a card whose value
+// is the label itself, which keeps numeric decks readable by clients that only know labels
+import { validateDeck } from '../protocol.js'
+
+export const DECKS = {
+  'modified-fibonacci': {
+    name: 'Modified Fibonacci',
+    cards: ['0', '½', '1', '2', '3', '5', '8', '13', '20', '40', '100', '?']
+  },
+  fibonacci: {
+    name: 'Fibonacci',
+    cards: ['0', '1', '2', '3', '5', '8', '13', '21', '34', '55', '89', '?']
+  },
+  'powers-of-two': {
+    name: 'Powers of two',
+    cards: ['0', '1', '2', '4', '8', '16', '32', '64', '?']
+  },
+  't-shirt': {
+    name: 'T-shirt sizes',
+    cards: [
+      { label: 'XS', value: 1 },
+      { label: 'S', value: 2 },
+      { label: 'M', value: 3 },
+      { label: 'L', value: 5 },
+      { label: 'XL', value: 8 },
+      { label: 'XXL', value: 13 },
+      '?'
+    ]
+  },
+  hours: {
+    name: 'Hours',
+    cards: ['0', '1', '2', '4', '6', '8', '12', '16', '24', '32', '40', '?']
+  }
+}
+
+export const DEFAULT_DECK = 'modified-fibonacci'
+
+export function getDefaultCards() {
+  return [...DECKS[DEFAULT_DECK].cards]
+}
+
+export function toCard(card) {
+  if (typeof card === 'string') {
+    const value = cardValue(card)
+    return { label: card, value, excluded: value === null }
+  }
+  const value = Number.isFinite(card.value) ? card.value : null
+  return { label: card.label, value, excluded: Boolean(card.excluded) || value === null }
+}
+
+// Back to the shortest form that means the same card
+export function fromCard(card) {
+  const { label, value, excluded } = toCard(card)
+  const implied = toCard(label)
+  if (implied.value === value && implied.excluded === excluded) return label
+  return excluded ? { label, value, excluded } : { label, value }
+}
+
+export function getLabels(cards) {
+  return cards.map(card => toCard(card).label)
+}
+
+// The preset a list of cards came from, or 'custom'
+export function findDeck(cards) {
+  const key = JSON.stringify(cards.map(fromCard))
+  return Object.keys(DECKS).find(id => JSON.stringify(DECKS[id].cards) === key) || 'custom'
+}
+
+// "XS=1, S=2, M=3, ?, ☕" -> XS, S and M count as 1, 2 and 3, ? and ☕ stay out of the statistics.
+// A card without a value counts as its label when that is a number. Repeated cards are dropped
+export function parseCustomDeck(text) {
+  const cards = []
+  const labels = new Set()
+  for (const item of String(text ?? '').split(',')) {
+    const [label, valueText] = item.split('=').map(part => part.trim())
+    if (!label || labels.has(label)) continue
+    labels.add(label)
+
+    if (valueText === undefined || valueText === '') {
+      cards.push(label)
+      continue
+    }
+    const value = Number(valueText.replace('½', '0.5'))
+    if (!Number.isFinite(value)) return { cards: null, error: `"${valueText}" is not a number (card ${label})` }
+    cards.push(fromCard({ label, value }))
+  }
+  if (cards.length < 2) return { cards: null, error: 'A deck needs at least two cards' }
+
+  const error = validateDeck(cards)
+  return error ? { cards: null, error } : { cards, error: null }
+}
+
+// The number a label stands for on its own, null for labels like '?' or 'XL'
+export function cardValue(label) {
+  const value = parseFloat(String(label).replace('½', '0.5'))
+  return isNaN(value) ? null : value
+}
+
+// The card whose value is closest, ties go to the larger card
+export function nearestCard(cards, value) {
+  let nearest = null
+  cards.map(toCard).forEach(card => {
+    if (card.excluded) return
+    const distance = Math.abs(card.value - value)
+    const nearestDistance = nearest ? Math.abs(nearest.value - value) : Infinity
+    if (distance < nearestDistance || (distance === nearestDistance && card.value > nearest.value)) {
+      nearest = card
+    }
+  })
+  return nearest ? nearest.label : null
+}
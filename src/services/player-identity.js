@@ -0,0 +1,124 @@
+// Player Identity: an ECDSA key pair kept in this browser. We sign our player data and votes with it
+// so no other peer can speak for us, and players whose key we already saw in an earlier session
+// under the same name are shown as verified (trust on first use)
+
+const IDENTITY_STORAGE_KEY = 'rapidPlanningIdentity'
+const KNOWN_PLAYERS_STORAGE_KEY = 'rapidPlanningKnownPlayers'
+const MAX_KNOWN_PLAYERS = 200
+
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' }
+const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' }
+
+export class PlayerIdentity {
+  constructor(privateKey, publicKey, subtle) {
+    this.privateKey = privateKey
+    this.publicKey = publicKey // Raw public key, base64
+    this.subtle = subtle
+    this.importedKeys = new Map() // base64 public key -> CryptoKey
+  }
+
+  // Resolves to null where WebCrypto is missing (pages not served over HTTPS)
+  static async load(subtle = globalThis.crypto?.subtle) {
+    if (!subtle) return null
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(IDENTITY_STORAGE_KEY) || 'null')
+      if (saved && saved.privateKey && saved.publicKey) {
+        const privateKey = await subtle.importKey('jwk', saved.privateKey, KEY_ALGORITHM, false, ['sign'])
+        return new PlayerIdentity(privateKey, saved.publicKey, subtle)
+      }
+    } catch (e) {
+      console.warn('Failed to load player identity, creating a new one:', e)
+    }
+
+    const keyPair = await subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify'])
+    const publicKey = toBase64(await subtle.exportKey('raw', keyPair.publicKey))
+    try {
+      const privateKey = await subtle.exportKey('jwk', keyPair.privateKey)
+      localStorage.setItem(IDENTITY_STORAGE_KEY, JSON.stringify({ privateKey, publicKey }))
+    } catch (e) {
+      console.warn('Failed to save player identity:', e)
+    }
+    return new PlayerIdentity(keyPair.privateKey, publicKey, subtle)
+  }
+
+  async sign(payload) {
+    const signature = await this.subtle.sign(SIGN_ALGORITHM, this.privateKey, encode(payload))
+    return toBase64(signature)
+  }
+
+  async verify(publicKey, payload, signature) {
+    try {
+      if (!this.importedKeys.has(publicKey)) {
+        const key = await this.subtle.importKey('raw', fromBase64(publicKey), KEY_ALGORITHM, false, ['verify'])
+        this.importedKeys.set(publicKey, key)
+      }
+      return await this.subtle.verify(SIGN_ALGORITHM, this.importedKeys.get(publicKey), fromBase64(signature), encode(payload))
+    } catch (e) {
+      return false
+    }
+  }
+
+  // A key is recognized once we saw it with the same name in another session. The first name a key
+  // shows up with is the one we remember, so a key cannot earn the mark under somebody else's name
+  recognize(name, publicKey, sessionId) {
+    const known = loadKnownPlayers()
+    const entry = known[publicKey]
+    if (!entry) {
+      known[publicKey] = { name, sessionId: String(sessionId), lastSeen: Date.now() }
+      saveKnownPlayers(known)
+      return false
+    }
+
+    entry.lastSeen = Date.now()
+    saveKnownPlayers(known)
+    return entry.name === name && entry.sessionId !== String(sessionId)
+  }
+}
+
+// What gets signed, the profile together with the peer ID and session it is sent from, so a copy
+// replayed from another connection or room does not verify
+export function profilePayload(player, peerId, sessionId) {
+  return JSON.stringify(['player', player.name, player.email ?? null, player.avatar ?? null, player.clientId ?? null,
+    player.publicKey, peerId, String(sessionId)])
+}
+
+// Votes are signed by their commitment, the value revealed later is bound to it by the hash
+export function votePayload(entry) {
+  return JSON.stringify(['vote', entry.commitment ?? entry.vote ?? null, entry.round, entry.clock])
+}
+
+function loadKnownPlayers() {
+  try {
+    return JSON.parse(localStorage.getItem(KNOWN_PLAYERS_STORAGE_KEY) || '{}')
+  } catch (e) {
+    return {}
+  }
+}
+
+function saveKnownPlayers(known) {
+  try {
+    // Forget the players we have not seen for the longest time
+    const keys = Object.keys(known)
+    if (keys.length > MAX_KNOWN_PLAYERS) {
+      keys.sort((a, b) => known[a].lastSeen - known[b].lastSeen)
+        .slice(0, keys.length - MAX_KNOWN_PLAYERS)
+        .forEach(key => delete known[key])
+    }
+    localStorage.setItem(KNOWN_PLAYERS_STORAGE_KEY, JSON.stringify(known))
+  } catch (e) {
+    console.warn('Failed to save known players:', e)
+  }
+}
+
+function encode(text) {
+  return new TextEncoder().encode(text)
+}
+
+function toBase64(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0))
+}
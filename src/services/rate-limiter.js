@@ -0,0 +1,99 @@
+// Rate Limiter for messages from other peers: one token bucket per peer and message type, so a
+// peer spamming reactions or player data cannot keep everyone busy re-rendering the table.
+// A peer that keeps hitting the limits is muted for a while, and blocked after being muted repeatedly
+
+// capacity is the burst a peer may send at once, refill how many messages per second it gets back
+export const RATE_LIMITS = {
+  reaction: { capacity: 5, refill: 1 },
+  player_data: { capacity: 5, refill: 1 },
+  vote: { capacity: 10, refill: 2 },
+  reveal_vote: { capacity: 10, refill: 2 },
+  request_state: { capacity: 3, refill: 0.2 },
+  state_snapshot: { capacity: 3, refill: 0.2 },
+  history_entries: { capacity: 25, refill: 2 }, // A full history follows a snapshot in 20 messages
+  default: { capacity: 30, refill: 10 } // Everything else, heartbeats and acks included
+}
+
+const DROP_WINDOW = 10000
+const MUTE_AFTER_DROPS = 20 // Dropped messages within DROP_WINDOW
+const MUTE_DURATION = 30000
+const BLOCK_AFTER_MUTES = 3
+
+export class RateLimiter {
+  constructor(limits = RATE_LIMITS, now = () => Date.now()) {
+    this.limits = limits
+    this.now = now
+    this.peers = new Map() // peerId -> { buckets: Map type[>scope] -> { tokens, updatedAt }, drops, mutedUntil, mutes, blocked }
+  }
+
+  // 'allowed' lets the message through, anything else drops it. 'muted' and 'blocked' are returned
+  // once, when the peer crosses the line, 'dropped' for every other message that is refused.
+  // scope splits the budget of a type further, e.g. by the peer a relayed message is addressed to
+  check(peerId, type, scope = null) {
+    const peer = this.getPeer(peerId)
+    const now = this.now()
+    if (peer.blocked || peer.mutedUntil > now) return 'dropped'
+
+    const bucket = this.getBucket(peer, type, scope, now)
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1
+      return 'allowed'
+    }
+
+    peer.drops = peer.drops.filter(time => now - time < DROP_WINDOW)
+    peer.drops.push(now)
+    if (peer.drops.length < MUTE_AFTER_DROPS) return 'dropped'
+
+    peer.drops = []
+    peer.mutes += 1
+    if (peer.mutes >= BLOCK_AFTER_MUTES) {
+      peer.blocked = true
+      return 'blocked'
+    }
+    peer.mutedUntil = now + MUTE_DURATION
+    return 'muted'
+  }
+
+  isBlocked(peerId) {
+    return Boolean(this.peers.get(peerId)?.blocked)
+  }
+
+  // Muted or blocked, everything the peer sends is dropped unread
+  isSilenced(peerId) {
+    const peer = this.peers.get(peerId)
+    return Boolean(peer && (peer.blocked || peer.mutedUntil > this.now()))
+  }
+
+  getPeer(peerId) {
+    if (!this.peers.has(peerId)) {
+      this.peers.set(peerId, { buckets: new Map(), drops: [], mutedUntil: 0, mutes: 0, blocked: false })
+    }
+    return this.peers.get(peerId)
+  }
+
+  getBucket(peer, type, scope, now) {
+    const limit = this.limits[type] || this.limits.default
+    const key = scope ? `${type}>${scope}` : type
+    let bucket = peer.buckets.get(key)
+    if (!bucket) {
+      bucket = { tokens: limit.capacity, updatedAt: now }
+      peer.buckets.set(key, bucket)
+    }
+
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.refill)
+    bucket.updatedAt = now
+    return bucket
+  }
+
+  // Peers that left with a clean record start over, muted and blocked ones are remembered for the session
+  forget(peerId) {
+    const peer = this.peers.get(peerId)
+    if (peer && peer.mutes === 0) {
+      this.peers.delete(peerId)
+    }
+  }
+
+  clear() {
+    this.peers.clear()
+  }
+}
@@ -0,0 +1,88 @@
+// Room Crypto for end-to-end encrypted room traffic based on a shared passphrase
+// Messages are encrypted with AES-256-CBC and authenticated with HMAC-SHA256 (encrypt-then-MAC)
+
+// CryptoJS is loaded globally from CDN
+const CryptoJS = window.CryptoJS;
+
+const KEY_DERIVATION_ITERATIONS = 10000
+const KEY_SIZE_WORDS = 256 / 32
+
+export class RoomCrypto {
+  constructor(encryptionKey, macKey) {
+    this.encryptionKey = CryptoJS.enc.Hex.parse(encryptionKey)
+    this.macKey = CryptoJS.enc.Hex.parse(macKey)
+  }
+
+  // The session ID salts the derivation so the same passphrase yields different keys per room
+  static fromPassphrase(passphrase, sessionId) {
+    const derived = CryptoJS.PBKDF2(passphrase, `rapidplanning:${sessionId}`, {
+      keySize: KEY_SIZE_WORDS * 2,
+      iterations: KEY_DERIVATION_ITERATIONS,
+      hasher: CryptoJS.algo.SHA256
+    })
+    const hex = derived.toString(CryptoJS.enc.Hex)
+    const half = hex.length / 2
+
+    return new RoomCrypto(hex.slice(0, half), hex.slice(half))
+  }
+
+  // Restore keys saved with exportKeys(), so a refresh doesn't need the passphrase again
+  static fromKeys(keys) {
+    if (!keys || !keys.encryptionKey || !keys.macKey) return null
+    return new RoomCrypto(keys.encryptionKey, keys.macKey)
+  }
+
+  exportKeys() {
+    return {
+      encryptionKey: this.encryptionKey.toString(CryptoJS.enc.Hex),
+      macKey: this.macKey.toString(CryptoJS.enc.Hex)
+    }
+  }
+
+  encrypt(message) {
+    const iv = CryptoJS.lib.WordArray.random(16)
+    const encrypted = CryptoJS.AES.encrypt(JSON.stringify(message), this.encryptionKey, { iv })
+    const ciphertext = encrypted.ciphertext.toString(CryptoJS.enc.Base64)
+    const ivText = iv.toString(CryptoJS.enc.Base64)
+
+    return {
+      type: 'encrypted',
+      iv: ivText,
+      ciphertext,
+      mac: this.computeMac(ivText, ciphertext)
+    }
+  }
+
+  decrypt(envelope) {
+    if (!envelope || typeof envelope.iv !== 'string' || typeof envelope.ciphertext !== 'string') {
+      throw new Error('Malformed encrypted message')
+    }
+
+    // Check the MAC before touching the ciphertext
+    if (!constantTimeEquals(this.computeMac(envelope.iv, envelope.ciphertext), envelope.mac)) {
+      throw new Error('Message authentication failed')
+    }
+
+    const decrypted = CryptoJS.AES.decrypt(
+      { ciphertext: CryptoJS.enc.Base64.parse(envelope.ciphertext) },
+      this.encryptionKey,
+      { iv: CryptoJS.enc.Base64.parse(envelope.iv) }
+    )
+
+    return JSON.parse(decrypted.toString(CryptoJS.enc.Utf8))
+  }
+
+  computeMac(iv, ciphertext) {
+    return CryptoJS.HmacSHA256(`${iv}.${ciphertext}`, this.macKey).toString(CryptoJS.enc.Base64)
+  }
+}
+
+function constantTimeEquals(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false
+
+  let difference = 0
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  }
+  return difference === 0
+}
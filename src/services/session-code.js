@@ -0,0 +1,77 @@
+// Session codes: rooms are named either by a 9 digit number or by a word code like
+// brave-otter-lamp-parrot, which is easier to read out over a call. The last word of a word code
+// is a checksum of the others, so a misheard word is caught before we try to reach the host.
+// Either way the code becomes the host's peer ID (host-<code>)
+
+// 256 words that are hard to confuse with each other, each word carries one byte
+export const CODE_WORDS = [
+  'able', 'acid', 'acorn', 'actor', 'adobe', 'agent', 'alarm', 'album', 'alpha', 'amber', 'anchor', 'angle',
+  'ankle', 'apple', 'apron', 'arch', 'arena', 'arrow', 'aspen', 'atlas', 'attic', 'audio', 'autumn', 'bacon',
+  'badge', 'bagel', 'baker', 'balloon', 'bamboo', 'banana', 'banjo', 'barn', 'basil', 'basket', 'beach', 'beacon',
+  'beetle', 'bell', 'bench', 'berry', 'bison', 'blanket', 'blaze', 'blossom', 'bonus', 'boots', 'border', 'bottle',
+  'boulder', 'bracket', 'brave', 'breeze', 'brick', 'bridge', 'bronze', 'brook', 'bubble', 'bucket', 'bugle', 'butter',
+  'button', 'cabin', 'cactus', 'camel', 'camera', 'candle', 'canoe', 'canyon', 'carbon', 'cargo', 'carpet', 'castle',
+  'cedar', 'cello', 'chalk', 'cherry', 'chess', 'cider', 'cinema', 'circus', 'citrus', 'clever', 'cliff', 'clover',
+  'cobra', 'cocoa', 'comet', 'copper', 'coral', 'cotton', 'cougar', 'crane', 'crayon', 'cricket', 'crystal', 'cuckoo',
+  'curry', 'dancer', 'delta', 'denim', 'desert', 'dolphin', 'donkey', 'dragon', 'drum', 'eagle', 'echo', 'elbow',
+  'ember', 'engine', 'falcon', 'feather', 'fiddle', 'fig', 'fossil', 'fox', 'galaxy', 'garden', 'garlic', 'gecko',
+  'ginger', 'glacier', 'globe', 'gold', 'gopher', 'granite', 'grape', 'gravel', 'guitar', 'hammer', 'harbor', 'hazel',
+  'helmet', 'heron', 'honey', 'hornet', 'husky', 'igloo', 'indigo', 'iris', 'island', 'ivory', 'jacket', 'jaguar',
+  'jelly', 'jigsaw', 'jungle', 'kayak', 'kettle', 'kiwi', 'koala', 'ladder', 'lagoon', 'lamp', 'lantern', 'lava',
+  'lemon', 'lily', 'linen', 'lizard', 'llama', 'locket', 'lotus', 'magnet', 'mango', 'maple', 'marble', 'meadow',
+  'melon', 'meteor', 'mint', 'mitten', 'mosaic', 'moss', 'nectar', 'needle', 'nickel', 'noodle', 'nutmeg', 'oasis',
+  'ocean', 'olive', 'onion', 'orbit', 'orchid', 'otter', 'oyster', 'paddle', 'panda', 'panther', 'paper', 'parrot',
+  'peach', 'pebble', 'pepper', 'piano', 'pickle', 'pilot', 'pine', 'planet', 'plum', 'polar', 'pony', 'poppy',
+  'puzzle', 'quartz', 'quill', 'rabbit', 'radar', 'radish', 'raven', 'ribbon', 'river', 'robin', 'rocket', 'ruby',
+  'saddle', 'salmon', 'scarf', 'shadow', 'shovel', 'silver', 'sketch', 'sleigh', 'sloth', 'spider', 'spruce', 'squid',
+  'stable', 'summit', 'sunset', 'swan', 'tablet', 'tango', 'teapot', 'tiger', 'timber', 'toast', 'tomato', 'topaz',
+  'tulip', 'tunnel', 'turtle', 'valley', 'velvet', 'violet', 'walnut', 'walrus', 'willow', 'window', 'winter', 'yarn',
+  'yeti', 'zebra', 'zenith', 'zigzag'
+]
+
+const CODE_LENGTH = 3 // Words before the checksum word
+const NUMERIC_ID_PATTERN = /^\d{9}$/
+
+export function generateNumericId(random = Math.random) {
+  return Math.floor(random() * 900000000) + 100000000
+}
+
+export function generateWordCode(random = Math.random) {
+  const indexes = Array.from({ length: CODE_LENGTH }, () => Math.floor(random() * CODE_WORDS.length))
+  return [...indexes, checksum(indexes)].map(index => CODE_WORDS[index]).join('-')
+}
+
+// Odd weights keep every single misheard word visible, and most swapped pairs too
+function checksum(indexes) {
+  return indexes.reduce((sum, index, position) => sum + index * (2 * position + 1), 101) % CODE_WORDS.length
+}
+
+// People type codes the way they hear them: "Brave Otter Lamp Parrot", "123 456 789"
+export function normalizeSessionId(input) {
+  const text = String(input ?? '').trim().toLowerCase()
+  if (/^[\d\s-]+$/.test(text)) return text.replace(/[\s-]/g, '')
+  return text.split(/[\s\-_.]+/).filter(Boolean).join('-')
+}
+
+// Why a session ID can't be right, or null when it looks fine
+export function getSessionIdError(sessionId) {
+  const text = String(sessionId ?? '')
+  if (NUMERIC_ID_PATTERN.test(text)) return null
+
+  const words = text.split('-')
+  if (/^\d+$/.test(text) || words.length !== CODE_LENGTH + 1) {
+    return 'Session IDs are 9 digits or four words'
+  }
+  const unknown = words.find(word => !CODE_WORDS.includes(word))
+  if (unknown) return `"${unknown}" is not a session code word, check its spelling`
+
+  const indexes = words.map(word => CODE_WORDS.indexOf(word))
+  if (checksum(indexes.slice(0, CODE_LENGTH)) !== indexes[CODE_LENGTH]) {
+    return 'These words do not belong together, one of them was probably misheard'
+  }
+  return null
+}
+
+export function isValidSessionId(sessionId) {
+  return getSessionIdError(sessionId) === null
+}
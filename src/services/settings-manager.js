@@ -0,0 +1,217 @@
+// Settings Manager for signaling server and ICE server configuration
+// Settings are layered: built-in defaults < config.json next to index.html < saved settings < query params
+export const DEFAULT_SETTINGS = {
+  transport: 'peerjs', // 'local' keeps the session inside this browser, across tabs
+  relayUrl: '', // WebSocket relay (server/relay-server.js) for peers that can't connect directly
+  topology: 'auto', // 'mesh', 'star' (clients only connect to the host), or 'auto' to pick by room size
+  peerServer: {
+    host: '', // Empty host means the public PeerJS cloud
+    port: '',
+    path: '/',
+    key: 'peerjs',
+    secure: true
+  },
+  iceServers: [
+    { urls: 'stun:stun.l.google.com:19302' },
+    { urls: 'stun:global.stun.twilio.com:3478' }
+  ]
+}
+
+const STORAGE_KEY = 'rapidPlanningSettings'
+const CONFIG_FILE_URL = './config.json'
+
+// Query params that map onto peerServer fields, e.g. ?peerHost=peer.example.com&peerPort=9000
+const PEER_SERVER_PARAMS = {
+  peerHost: 'host',
+  peerPort: 'port',
+  peerPath: 'path',
+  peerKey: 'key',
+  peerSecure: 'secure'
+}
+
+export class SettingsManager {
+  constructor() {
+    this.events = {}
+    this.fileSettings = {}
+    this.savedSettings = {}
+    this.querySettings = {}
+    this.settings = mergeSettings(DEFAULT_SETTINGS)
+  }
+
+  async load(search = window.location.search) {
+    this.fileSettings = await this.loadConfigFile()
+    this.savedSettings = this.loadSavedSettings()
+    // Settings passed in a link only apply to this page load, anyone can craft a link. They are
+    // stored once the user saves them in the settings dialog
+    this.querySettings = SettingsManager.parseQueryParams(search)
+
+    this.settings = mergeSettings(DEFAULT_SETTINGS, this.fileSettings, this.savedSettings, this.querySettings)
+    this.emit('settingsChanged', this.getSettings())
+    return this.getSettings()
+  }
+
+  async loadConfigFile() {
+    try {
+      const response = await fetch(CONFIG_FILE_URL, { cache: 'no-cache' })
+      if (!response || !response.ok) return {}
+      return await response.json()
+    } catch (e) {
+      // No config file deployed, use the defaults
+      return {}
+    }
+  }
+
+  loadSavedSettings() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') || {}
+    } catch (e) {
+      console.warn('Failed to load settings:', e)
+      return {}
+    }
+  }
+
+  persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.savedSettings))
+    } catch (e) {
+      console.warn('Failed to save settings:', e)
+    }
+  }
+
+  getSettings() {
+    return mergeSettings(this.settings)
+  }
+
+  // The dialog shows the settings in use, link settings included, so saving confirms them
+  save(settings) {
+    this.savedSettings = mergeSettings(this.savedSettings, settings)
+    this.querySettings = {}
+    this.persist()
+    this.settings = mergeSettings(DEFAULT_SETTINGS, this.fileSettings, this.savedSettings)
+    this.emit('settingsChanged', this.getSettings())
+  }
+
+  reset() {
+    this.savedSettings = {}
+    this.querySettings = {}
+    try {
+      localStorage.removeItem(STORAGE_KEY)
+    } catch (e) {
+      // Ignore
+    }
+    this.settings = mergeSettings(DEFAULT_SETTINGS, this.fileSettings)
+    this.emit('settingsChanged', this.getSettings())
+  }
+
+  // Options for `new Peer(...)`, shared by host and client peers
+  getPeerOptions() {
+    const { peerServer, iceServers } = this.settings
+    const options = {
+      config: {
+        iceServers: iceServers.map(server => ({ ...server }))
+      }
+    }
+
+    if (peerServer.host) {
+      options.host = peerServer.host
+      options.path = peerServer.path || '/'
+      options.key = peerServer.key || DEFAULT_SETTINGS.peerServer.key
+      options.secure = peerServer.secure !== false
+      if (peerServer.port) {
+        options.port = Number(peerServer.port)
+      }
+    }
+
+    return options
+  }
+
+  static parseQueryParams(search) {
+    const params = new URLSearchParams(search)
+    const settings = {}
+
+    for (const [param, field] of Object.entries(PEER_SERVER_PARAMS)) {
+      if (!params.has(param)) continue
+      settings.peerServer = settings.peerServer || {}
+      const value = params.get(param)
+      settings.peerServer[field] = field === 'secure' ? value !== 'false' && value !== '0' : value
+    }
+
+    if (params.has('transport')) {
+      settings.transport = params.get('transport')
+    }
+
+    if (params.has('relayUrl')) {
+      settings.relayUrl = params.get('relayUrl')
+    }
+
+    if (params.has('topology')) {
+      settings.topology = params.get('topology')
+    }
+
+    if (params.has('iceServers')) {
+      settings.iceServers = SettingsManager.parseIceServers(params.get('iceServers'))
+    }
+
+    return settings
+  }
+
+  // One server per line (or comma separated): "<url> [username credential]"
+  static parseIceServers(text) {
+    return (text || '')
+      .split(/[\n,]/)
+      .map(line => line.trim())
+      .filter(line => line.length > 0)
+      .map(line => {
+        const [urls, username, credential] = line.split(/\s+/)
+        const server = { urls }
+        if (username) server.username = username
+        if (credential) server.credential = credential
+        return server
+      })
+  }
+
+  static formatIceServers(iceServers) {
+    return (iceServers || [])
+      .map(server => [server.urls, server.username, server.credential].filter(Boolean).join(' '))
+      .join('\n')
+  }
+
+  on(event, callback) {
+    if (!this.events[event]) {
+      this.events[event] = []
+    }
+    this.events[event].push(callback)
+  }
+
+  emit(event, ...args) {
+    if (this.events[event]) {
+      this.events[event].forEach(callback => callback(...args))
+    }
+  }
+}
+
+// Layers may be partial, later layers win field by field
+function mergeSettings(...layers) {
+  const result = {}
+
+  for (const layer of layers) {
+    if (!layer) continue
+    if (layer.transport) {
+      result.transport = layer.transport
+    }
+    if (typeof layer.relayUrl === 'string') {
+      result.relayUrl = layer.relayUrl
+    }
+    if (layer.topology) {
+      result.topology = layer.topology
+    }
+    if (layer.peerServer) {
+      result.peerServer = { ...result.peerServer, ...layer.peerServer }
+    }
+    if (Array.isArray(layer.iceServers) && layer.iceServers.length > 0) {
+      result.iceServers = layer.iceServers.map(server => ({ ...server }))
+    }
+  }
+
+  return result
+}
@@ -0,0 +1,20 @@
+// Vote Commitment: during a round peers only see a salted SHA-256 hash of each vote, the value and
+// salt are published on the reveal and anyone can check that they match what was committed
+
+// CryptoJS is loaded globally from CDN
+const CryptoJS = window.CryptoJS;
+
+const SALT_BYTES = 16
+
+export function createCommitment(vote) {
+  const salt = CryptoJS.lib.WordArray.random(SALT_BYTES).toString(CryptoJS.enc.Hex)
+  return { commitment: hashVote(vote, salt), salt }
+}
+
+export function matchesCommitment(commitment, vote, salt) {
+  return typeof vote === 'string' && typeof salt === 'string' && hashVote(vote, salt) === commitment
+}
+
+function hashVote(vote, salt) {
+  return CryptoJS.SHA256(`${salt}:${vote}`).toString(CryptoJS.enc.Hex)
+}
@@ -0,0 +1,225 @@
+// PeerJS-like peer on top of a message channel (BroadcastChannel, in-memory hub or relay socket)
+// Every peer on the channel sees claim/connect messages, data and close are addressed with `to`
+
+const CONNECT_TIMEOUT = 3000
+
+export class ChannelPeer {
+  // claimTimeout: how long another holder of the ID has to object, when the channel
+  // confirms claims (the relay server does) the timeout only guards against no answer
+  constructor(id, channel, { claimTimeout = 100, confirmsClaims = false, relayed = false } = {}) {
+    this.events = {}
+    this.id = id
+    this.open = false
+    this.destroyed = false
+    this.channel = channel
+    this.relayed = relayed
+    this.confirmsClaims = confirmsClaims
+    this.connections = new Map() // connectionId -> ChannelConnection
+    this.claimNonce = generateId()
+
+    this.onMessage = (event) => this.handleMessage(event.data)
+    this.channel.addEventListener('message', this.onMessage)
+
+    // Like a PeerServer, refuse an ID somebody else already holds
+    this.post({ kind: 'claim', id: this.id, nonce: this.claimNonce })
+    this.claimTimer = setTimeout(() => {
+      this.claimTimer = null
+      if (this.confirmsClaims) {
+        this.emit('error', createError('The relay did not answer', 'network'))
+      } else {
+        this.markOpen()
+      }
+    }, claimTimeout)
+  }
+
+  markOpen() {
+    clearTimeout(this.claimTimer)
+    this.claimTimer = null
+    this.open = true
+    this.emit('open', this.id)
+  }
+
+  connect(peerId) {
+    const conn = new ChannelConnection(this, peerId, generateId())
+    this.connections.set(conn.connectionId, conn)
+    this.post({ kind: 'connect', from: this.id, to: peerId, connectionId: conn.connectionId })
+
+    conn.connectTimer = setTimeout(() => {
+      if (conn.open || conn.closed) return
+      this.connections.delete(conn.connectionId)
+      const error = createError(`Could not connect to peer ${peerId}`, 'peer-unavailable')
+      conn.emit('error', error)
+      this.emit('error', error)
+    }, CONNECT_TIMEOUT)
+
+    return conn
+  }
+
+  destroy() {
+    if (this.destroyed) return
+
+    Array.from(this.connections.values()).forEach(conn => conn.close())
+    clearTimeout(this.claimTimer)
+    this.destroyed = true
+    this.open = false
+    this.channel.removeEventListener('message', this.onMessage)
+    this.channel.close()
+  }
+
+  handleMessage(message) {
+    if (this.destroyed || !message) return
+
+    switch (message.kind) {
+      case 'claim':
+        // Simultaneous claims are settled by the lower nonce
+        if (!this.confirmsClaims && message.id === this.id && message.nonce !== this.claimNonce &&
+            (this.open || this.claimNonce < message.nonce)) {
+          this.post({ kind: 'taken', id: this.id, nonce: message.nonce })
+        }
+        break
+
+      case 'claimed':
+        if (message.nonce === this.claimNonce && this.claimTimer) {
+          this.markOpen()
+        }
+        break
+
+      case 'taken':
+        if (message.nonce === this.claimNonce && this.claimTimer) {
+          clearTimeout(this.claimTimer)
+          this.claimTimer = null
+          this.emit('error', createError(`ID "${this.id}" is taken`, 'unavailable-id'))
+        }
+        break
+
+      case 'connect':
+        if (message.to === this.id && this.open) {
+          this.acceptConnection(message)
+        }
+        break
+
+      // The channel itself went away (relay socket dropped), every connection over it is gone
+      case 'channel_closed':
+        Array.from(this.connections.values()).forEach(conn => conn.handleClosed())
+        if (this.claimTimer) {
+          clearTimeout(this.claimTimer)
+          this.claimTimer = null
+          this.emit('error', createError('Lost the connection to the relay', 'network'))
+        }
+        break
+
+      default: {
+        if (message.to !== this.id) return
+        const conn = this.connections.get(message.connectionId)
+        if (conn) {
+          conn.handleMessage(message)
+        }
+      }
+    }
+  }
+
+  acceptConnection(message) {
+    const conn = new ChannelConnection(this, message.from, message.connectionId)
+    this.connections.set(conn.connectionId, conn)
+    this.emit('connection', conn)
+
+    // The accept goes out before any data, so the other side is open when the data arrives
+    this.post({ kind: 'accept', from: this.id, to: message.from, connectionId: conn.connectionId })
+    conn.markOpen()
+  }
+
+  post(message) {
+    if (this.destroyed) return
+    this.channel.postMessage(message)
+  }
+
+  on(event, callback) {
+    if (!this.events[event]) {
+      this.events[event] = []
+    }
+    this.events[event].push(callback)
+  }
+
+  emit(event, ...args) {
+    if (this.events[event]) {
+      this.events[event].forEach(callback => callback(...args))
+    }
+  }
+}
+
+class ChannelConnection {
+  constructor(localPeer, remotePeerId, connectionId) {
+    this.events = {}
+    this.localPeer = localPeer
+    this.peer = remotePeerId
+    this.connectionId = connectionId
+    this.relayed = localPeer.relayed
+    this.open = false
+    this.closed = false
+    this.connectTimer = null
+  }
+
+  markOpen() {
+    clearTimeout(this.connectTimer)
+    this.open = true
+    this.emit('open')
+  }
+
+  send(data) {
+    if (!this.open) return
+    this.localPeer.post({ kind: 'data', from: this.localPeer.id, to: this.peer, connectionId: this.connectionId, data })
+  }
+
+  close() {
+    if (this.closed) return
+    this.localPeer.post({ kind: 'close', from: this.localPeer.id, to: this.peer, connectionId: this.connectionId })
+    this.handleClosed()
+  }
+
+  handleClosed() {
+    if (this.closed) return
+
+    clearTimeout(this.connectTimer)
+    this.closed = true
+    this.open = false
+    this.localPeer.connections.delete(this.connectionId)
+    this.emit('close')
+  }
+
+  handleMessage(message) {
+    switch (message.kind) {
+      case 'accept':
+        this.markOpen()
+        break
+      case 'data':
+        if (this.open) this.emit('data', message.data)
+        break
+      case 'close':
+        this.handleClosed()
+        break
+    }
+  }
+
+  on(event, callback) {
+    if (!this.events[event]) {
+      this.events[event] = []
+    }
+    this.events[event].push(callback)
+  }
+
+  emit(event, ...args) {
+    if (this.events[event]) {
+      this.events[event].forEach(callback => callback(...args))
+    }
+  }
+}
+
+export function generateId() {
+  return Math.random().toString(36).slice(2, 10) + Date.now().toString(36)
+}
+
+function createError(message, type) {
+  const error = new Error(message)
+  error.type = type
+  return error
+}
@@ -0,0 +1,184 @@
+// Fallback transport: connect directly (PeerJS) and switch a connection over to the relay when
+// its data channel does not open in time. Every peer also registers on the relay under the same
+// ID, so it can be reached both ways.
+
+const RELAY_FALLBACK_DELAY = 5000
+
+export class FallbackTransport {
+  constructor(primary, fallback) {
+    this.name = `${primary.name}+${fallback.name}`
+    this.primary = primary
+    this.fallback = fallback
+  }
+
+  createPeer(id, options) {
+    return new FallbackPeer(this.primary, this.fallback, id, options)
+  }
+}
+
+class FallbackPeer {
+  constructor(primaryTransport, fallbackTransport, id, options) {
+    this.events = {}
+    this.id = id
+    this.open = false
+    this.destroyed = false
+    this.fallbackTransport = fallbackTransport
+    this.fallbackPeer = null
+
+    this.primaryPeer = primaryTransport.createPeer(id, options)
+    this.primaryPeer.on('open', (openedId) => {
+      this.id = openedId
+      this.open = true
+      this.startFallbackPeer(options)
+      this.emit('open', openedId)
+    })
+    this.primaryPeer.on('connection', (conn) => this.emit('connection', conn))
+    this.primaryPeer.on('error', (error) => {
+      // An unreachable peer is retried over the relay, which reports it again if it fails there too
+      if (error.type === 'peer-unavailable' && this.fallbackPeer?.open) return
+      this.emit('error', error)
+    })
+  }
+
+  startFallbackPeer(options) {
+    if (this.destroyed) return
+
+    this.fallbackPeer = this.fallbackTransport.createPeer(this.id, options)
+    this.fallbackPeer.on('connection', (conn) => {
+      conn.relayed = true
+      this.emit('connection', conn)
+    })
+    this.fallbackPeer.on('error', (error) => {
+      if (error.type === 'peer-unavailable') {
+        this.emit('error', error)
+      } else {
+        // Without the relay we still have the direct path, nothing to tell the app
+        console.warn('Relay unavailable:', error.message)
+      }
+    })
+  }
+
+  connect(peerId) {
+    const conn = new FallbackConnection(peerId)
+    const direct = this.primaryPeer.connect(peerId)
+    conn.use(direct)
+
+    const fallBack = (error) => {
+      clearTimeout(timer)
+      if (conn.inner !== direct || conn.open || conn.closed) return
+
+      if (!this.fallbackPeer || !this.fallbackPeer.open) {
+        conn.emit('error', error || new Error(`Could not connect to peer ${peerId}`))
+        return
+      }
+
+      console.log('Direct connection to', peerId, 'did not open, using the relay')
+      conn.use(this.fallbackPeer.connect(peerId), true)
+      direct.close()
+    }
+
+    let directOpened = false
+    const timer = setTimeout(() => fallBack(null), RELAY_FALLBACK_DELAY)
+    direct.on('open', () => {
+      directOpened = true
+      clearTimeout(timer)
+    })
+    direct.on('error', (error) => fallBack(error))
+    direct.on('close', () => {
+      if (!directOpened) fallBack(null)
+    })
+
+    return conn
+  }
+
+  destroy() {
+    if (this.destroyed) return
+
+    this.destroyed = true
+    this.open = false
+    this.primaryPeer.destroy()
+    if (this.fallbackPeer) {
+      this.fallbackPeer.destroy()
+    }
+  }
+
+  on(event, callback) {
+    if (!this.events[event]) {
+      this.events[event] = []
+    }
+    this.events[event].push(callback)
+  }
+
+  emit(event, ...args) {
+    if (this.events[event]) {
+      this.events[event].forEach(callback => callback(...args))
+    }
+  }
+}
+
+// Stays the same object for PeerManager while the underlying connection is swapped
+class FallbackConnection {
+  constructor(peerId) {
+    this.events = {}
+    this.peer = peerId
+    this.inner = null
+    this.relayed = false
+    this.closed = false
+  }
+
+  get open() {
+    return !this.closed && Boolean(this.inner && this.inner.open)
+  }
+
+  use(inner, relayed = false) {
+    this.inner = inner
+    this.relayed = relayed
+    let opened = false
+
+    // Events from a connection we already switched away from are ignored
+    inner.on('open', () => {
+      if (this.inner !== inner) return
+      opened = true
+      this.emit('open')
+    })
+    inner.on('data', (data) => {
+      if (this.inner === inner) this.emit('data', data)
+    })
+    inner.on('close', () => {
+      // A direct attempt that never opened is handled by the fallback, not reported as a close
+      if (this.inner !== inner || (!opened && !relayed)) return
+      this.closed = true
+      this.emit('close')
+    })
+    if (relayed) {
+      inner.on('error', (error) => {
+        if (this.inner === inner) this.emit('error', error)
+      })
+    }
+  }
+
+  send(data) {
+    if (this.inner) {
+      this.inner.send(data)
+    }
+  }
+
+  close() {
+    if (this.inner) {
+      this.inner.close()
+    }
+  }
+
+  on(event, callback) {
+    if (!this.events[event]) {
+      this.events[event] = []
+    }
+    this.events[event].push(callback)
+  }
+
+  emit(event, ...args) {
+    if (this.events[event]) {
+      this.events[event].forEach(callback => callback(...args))
+    }
+  }
+}
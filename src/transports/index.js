@@ -0,0 +1,31 @@
+// Transports create peers that behave like a PeerJS Peer, PeerManager only relies on:
+//   peer:       id, open, destroyed, on('open' | 'connection' | 'error'), connect(peerId), destroy()
+//   connection: peer, open, relayed, on('open' | 'data' | 'close' | 'error'), send(data), close()
+import { PeerJSTransport } from './peerjs-transport.js'
+import { LocalTransport } from './local-transport.js'
+import { RelayTransport } from './relay-transport.js'
+import { FallbackTransport } from './fallback-transport.js'
+import { ManualTransport } from './manual-transport.js'
+
+export const TRANSPORT_NAMES = ['peerjs', 'local', 'relay', 'manual']
+
+export function createTransport(settings = {}) {
+  switch (settings.transport) {
+    case 'local':
+      return new LocalTransport()
+    case 'relay':
+      // Forced relay, for networks where WebRTC never works
+      return new RelayTransport({ url: settings.relayUrl })
+    case 'manual':
+      // No signaling server at all, invite codes are exchanged by hand
+      return new ManualTransport()
+    default:
+      // With a relay configured, connections that don't open directly go through it
+      if (settings.relayUrl) {
+        return new FallbackTransport(new PeerJSTransport(), new RelayTransport({ url: settings.relayUrl }))
+      }
+      return new PeerJSTransport()
+  }
+}
+
+export { PeerJSTransport, LocalTransport, RelayTransport, FallbackTransport, ManualTransport }
@@ -0,0 +1,67 @@
+// Local transport: peers in the same browser talk over a BroadcastChannel, so several tabs
+// can run a real session without any network. Tests use an in-memory hub with the same surface.
+import { ChannelPeer, generateId } from './channel-peer.js'
+
+const DEFAULT_CHANNEL_NAME = 'rapidplanning-local'
+
+export class LocalTransport {
+  constructor({ channelName = DEFAULT_CHANNEL_NAME, hub = null } = {}) {
+    this.name = 'local'
+    this.channelName = channelName
+    this.hub = hub
+  }
+
+  // Options are only meaningful for PeerJS, there is no server or ICE involved here
+  createPeer(id, options) {
+    return new ChannelPeer(id || generateId(), this.createChannel())
+  }
+
+  createChannel() {
+    if (this.hub) return this.hub.createChannel(this.channelName)
+    if (typeof BroadcastChannel !== 'undefined') return new BroadcastChannel(this.channelName)
+    return defaultHub.createChannel(this.channelName)
+  }
+}
+
+// Stand-in for BroadcastChannel within a single page, channels never hear their own messages
+export class MemoryChannelHub {
+  constructor() {
+    this.channels = new Set()
+  }
+
+  createChannel(name) {
+    const hub = this
+    const listeners = new Set()
+    const channel = {
+      name,
+      closed: false,
+      postMessage(data) {
+        // Copy like structured clone does, and deliver asynchronously in order
+        const message = JSON.parse(JSON.stringify(data))
+        hub.channels.forEach(other => {
+          if (other !== channel && other.name === name) {
+            Promise.resolve().then(() => other.deliver(message))
+          }
+        })
+      },
+      deliver(data) {
+        if (channel.closed) return
+        listeners.forEach(listener => listener({ data }))
+      },
+      addEventListener(event, listener) {
+        if (event === 'message') listeners.add(listener)
+      },
+      removeEventListener(event, listener) {
+        listeners.delete(listener)
+      },
+      close() {
+        channel.closed = true
+        hub.channels.delete(channel)
+      }
+    }
+    this.channels.add(channel)
+    return channel
+  }
+}
+
+const defaultHub = new MemoryChannelHub()
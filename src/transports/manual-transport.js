@@ -0,0 +1,243 @@
+// Manual transport: WebRTC data channels without any signaling server. The host hands out an
+// invite code (the WebRTC offer) which a participant pastes or scans, and the participant's answer
+// code goes back to the host the same way. Every connection needs its own pair of codes, so rooms
+// run in star topology where participants only connect to the host.
+import { generateId } from './channel-peer.js'
+
+const ICE_GATHER_TIMEOUT = 5000 // STUN servers may be unreachable, host candidates are enough on a LAN
+const CODE_PREFIX = 'RP1:'
+
+export class ManualTransport {
+  constructor({ RTCPeerConnectionImpl = null } = {}) {
+    this.name = 'manual'
+    this.RTCPeerConnectionImpl = RTCPeerConnectionImpl
+  }
+
+  // Only the ICE servers of the options apply, there is no PeerServer to talk to
+  createPeer(id, options = {}) {
+    return new ManualPeer(id || generateId(), {
+      config: options.config || {},
+      RTCPeerConnectionImpl: this.RTCPeerConnectionImpl || globalThis.RTCPeerConnection
+    })
+  }
+}
+
+export class ManualPeer {
+  constructor(id, { config, RTCPeerConnectionImpl }) {
+    this.events = {}
+    this.id = id
+    this.open = false
+    this.destroyed = false
+    this.manualSignaling = true
+    this.config = config
+    this.RTCPeerConnectionImpl = RTCPeerConnectionImpl
+    this.offers = new Map() // offerId -> { pc, channel } waiting for the answer code
+    this.dialing = new Map() // peerId -> connection from connect(), waiting for that peer's invite
+    this.connections = new Set()
+
+    // Nobody has to confirm our ID, we are open right away
+    setTimeout(() => {
+      if (this.destroyed) return
+      this.open = true
+      this.emit('open', this.id)
+    }, 0)
+  }
+
+  // The connection opens once the other side's invite code is accepted with acceptOffer()
+  connect(peerId) {
+    const conn = this.createConnection(peerId)
+    this.dialing.set(peerId, conn)
+    return conn
+  }
+
+  // Resolves to the invite code to hand to a participant
+  async createOffer() {
+    const pc = new this.RTCPeerConnectionImpl(this.config)
+    const channel = pc.createDataChannel('rapidplanning')
+    const offerId = generateId()
+    this.offers.set(offerId, { pc, channel })
+
+    await pc.setLocalDescription(await pc.createOffer())
+    await waitForIceGathering(pc)
+    return encodeCode({ type: 'offer', id: offerId, from: this.id, sdp: pc.localDescription.sdp })
+  }
+
+  // Takes an invite code and resolves to the answer code to send back to its author
+  async acceptOffer(code) {
+    const offer = decodeCode(code, 'offer')
+    let conn = this.dialing.get(offer.from)
+    this.dialing.delete(offer.from)
+    if (!conn) {
+      conn = this.createConnection(offer.from)
+      this.emit('connection', conn)
+    }
+
+    const pc = new this.RTCPeerConnectionImpl(this.config)
+    pc.ondatachannel = (event) => conn.attach(pc, event.channel)
+    await pc.setRemoteDescription({ type: 'offer', sdp: offer.sdp })
+    await pc.setLocalDescription(await pc.createAnswer())
+    await waitForIceGathering(pc)
+    return encodeCode({ type: 'answer', id: offer.id, from: this.id, sdp: pc.localDescription.sdp })
+  }
+
+  // Takes the answer code to one of our invites, the connection opens shortly after
+  async acceptAnswer(code) {
+    const answer = decodeCode(code, 'answer')
+    const offer = this.offers.get(answer.id)
+    if (!offer) throw createError('This answer does not belong to an open invite', 'invalid-code')
+    this.offers.delete(answer.id)
+
+    const conn = this.createConnection(answer.from)
+    conn.attach(offer.pc, offer.channel)
+    this.emit('connection', conn)
+    await offer.pc.setRemoteDescription({ type: 'answer', sdp: answer.sdp })
+  }
+
+  createConnection(peerId) {
+    const conn = new ManualConnection(peerId)
+    this.connections.add(conn)
+    conn.on('close', () => this.connections.delete(conn))
+    return conn
+  }
+
+  destroy() {
+    if (this.destroyed) return
+
+    Array.from(this.connections).forEach(conn => conn.close())
+    this.offers.forEach(({ pc }) => pc.close())
+    this.offers.clear()
+    this.dialing.clear()
+    this.destroyed = true
+    this.open = false
+  }
+
+  on(event, callback) {
+    if (!this.events[event]) {
+      this.events[event] = []
+    }
+    this.events[event].push(callback)
+  }
+
+  emit(event, ...args) {
+    if (this.events[event]) {
+      this.events[event].forEach(callback => callback(...args))
+    }
+  }
+}
+
+class ManualConnection {
+  constructor(remotePeerId) {
+    this.events = {}
+    this.peer = remotePeerId
+    this.relayed = false
+    this.open = false
+    this.closed = false
+    this.pc = null
+    this.channel = null
+  }
+
+  attach(pc, channel) {
+    this.pc = pc
+    this.channel = channel
+
+    channel.onopen = () => this.markOpen()
+    channel.onmessage = (event) => {
+      let data
+      try {
+        data = JSON.parse(event.data)
+      } catch (e) {
+        return
+      }
+      this.emit('data', data)
+    }
+    channel.onclose = () => this.handleClosed()
+    channel.onerror = (event) => this.emit('error', event.error || createError('Data channel error', 'webrtc'))
+    pc.onconnectionstatechange = () => {
+      if (pc.connectionState === 'failed' || pc.connectionState === 'closed') this.handleClosed()
+    }
+
+    if (channel.readyState === 'open') this.markOpen()
+  }
+
+  markOpen() {
+    if (this.open || this.closed) return
+    this.open = true
+    this.emit('open')
+  }
+
+  send(data) {
+    if (!this.open) return
+    this.channel.send(JSON.stringify(data))
+  }
+
+  close() {
+    if (this.closed) return
+    if (this.channel) this.channel.close()
+    if (this.pc) this.pc.close()
+    this.handleClosed()
+  }
+
+  handleClosed() {
+    if (this.closed) return
+    this.closed = true
+    this.open = false
+    this.emit('close')
+  }
+
+  on(event, callback) {
+    if (!this.events[event]) {
+      this.events[event] = []
+    }
+    this.events[event].push(callback)
+  }
+
+  emit(event, ...args) {
+    if (this.events[event]) {
+      this.events[event].forEach(callback => callback(...args))
+    }
+  }
+}
+
+// Codes carry the complete session description, candidates included, since there is no way
+// to trickle more of them later
+function waitForIceGathering(pc) {
+  if (pc.iceGatheringState === 'complete') return Promise.resolve()
+
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ICE_GATHER_TIMEOUT)
+    function done() {
+      clearTimeout(timer)
+      pc.removeEventListener('icegatheringstatechange', onChange)
+      resolve()
+    }
+    function onChange() {
+      if (pc.iceGatheringState === 'complete') done()
+    }
+    pc.addEventListener('icegatheringstatechange', onChange)
+  })
+}
+
+export function encodeCode(description) {
+  return CODE_PREFIX + btoa(JSON.stringify(description))
+}
+
+export function decodeCode(code, type) {
+  const text = String(code).trim()
+  let description = null
+  try {
+    if (text.startsWith(CODE_PREFIX)) description = JSON.parse(atob(text.slice(CODE_PREFIX.length)))
+  } catch (e) {
+    // Not ours, reported below
+  }
+  if (!description || description.type !== type || typeof description.id !== 'string' ||
+      typeof description.from !== 'string' || typeof description.sdp !== 'string') {
+    throw createError(type === 'offer' ? 'This is not an invite code' : 'This is not an answer code', 'invalid-code')
+  }
+  return description
+}
+
+function createError(message, type) {
+  const error = new Error(message)
+  error.type = type
+  return error
+}
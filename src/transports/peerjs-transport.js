@@ -0,0 +1,15 @@
+// PeerJS transport: WebRTC data channels, brokered by the configured PeerServer
+
+// PeerJS is loaded globally from CDN
+const Peer = window.Peer;
+
+export class PeerJSTransport {
+  constructor() {
+    this.name = 'peerjs'
+  }
+
+  // A PeerJS Peer is the reference shape every other transport mimics
+  createPeer(id, options) {
+    return id ? new Peer(id, options) : new Peer(options)
+  }
+}
@@ -0,0 +1,78 @@
+// Relay transport: peers talk through the WebSocket relay in server/relay-server.js, for networks
+// where WebRTC data channels never open (symmetric NATs, strict firewalls)
+import { ChannelPeer, generateId } from './channel-peer.js'
+
+const RELAY_CLAIM_TIMEOUT = 10000
+
+export class RelayTransport {
+  constructor({ url, WebSocketImpl = null } = {}) {
+    this.name = 'relay'
+    this.url = url
+    this.WebSocketImpl = WebSocketImpl
+  }
+
+  createPeer(id, options) {
+    const channel = new WebSocketChannel(this.url, this.WebSocketImpl || globalThis.WebSocket)
+    return new ChannelPeer(id || generateId(), channel, {
+      claimTimeout: RELAY_CLAIM_TIMEOUT,
+      confirmsClaims: true,
+      relayed: true
+    })
+  }
+}
+
+// Gives a WebSocket the BroadcastChannel surface ChannelPeer expects
+export class WebSocketChannel {
+  constructor(url, WebSocketImpl) {
+    this.listeners = new Set()
+    this.queue = [] // Messages posted before the socket opened
+    this.closed = false
+
+    this.socket = new WebSocketImpl(url)
+    this.socket.onopen = () => {
+      this.queue.forEach(message => this.socket.send(message))
+      this.queue = []
+    }
+    this.socket.onmessage = (event) => {
+      let data
+      try {
+        data = JSON.parse(event.data)
+      } catch (e) {
+        return
+      }
+      this.deliver(data)
+    }
+    this.socket.onclose = () => {
+      this.deliver({ kind: 'channel_closed' })
+    }
+  }
+
+  postMessage(data) {
+    if (this.closed) return
+
+    const message = JSON.stringify(data)
+    if (this.socket.readyState === 1) {
+      this.socket.send(message)
+    } else {
+      this.queue.push(message)
+    }
+  }
+
+  deliver(data) {
+    if (this.closed) return
+    this.listeners.forEach(listener => listener({ data }))
+  }
+
+  addEventListener(event, listener) {
+    if (event === 'message') this.listeners.add(listener)
+  }
+
+  removeEventListener(event, listener) {
+    this.listeners.delete(listener)
+  }
+
+  close() {
+    this.closed = true
+    this.socket.close()
+  }
+}
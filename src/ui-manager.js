@@ -1,3 +1,16 @@
+import { SettingsManager } from './services/settings-manager.js'
+import {
+  MAX_NAME_LENGTH,
+  MAX_STORY_TITLE_LENGTH,
+  MAX_STORY_KEY_LENGTH,
+  MAX_STORY_URL_LENGTH,
+  MAX_STORY_DESCRIPTION_LENGTH,
+  MAX_ESTIMATE_LENGTH,
+  isStoryUrl
+} from './protocol.js'
+import { normalizeSessionId, getSessionIdError } from './services/session-code.js'
+import { DECKS, DEFAULT_DECK, getDefaultCards, getLabels, parseCustomDeck, cardValue } from './services/decks.js'
+
 // CryptoJS is loaded globally from CDN
 const CryptoJS = window.CryptoJS;
 
@@ -9,6 +22,19 @@ export class UIManager {
     this.selectedVote = null
     this.selectedReaction = null
     this.votesRevealed = false
+    this.versionNoticeShown = false
+    this.isHost = false
+    this.isFacilitator = true // Rooms without a facilitator let everyone reveal and clear
+    this.facilitatorId = null // Peer ID of the facilitator while it is in the room
+    this.canRunRound = true // Reveal and clear, also open to everyone while the facilitator is away
+    this.roomPolicy = { locked: false, requireApproval: false }
+    this.joinRequests = new Map() // peerId -> player waiting for the host's approval
+    this.manualSignaling = false // No signaling server, the host invites participants with codes
+    this.codeScanner = null // Camera stream and timer while reading a QR code
+    this.peerStats = new Map() // peerId -> { rtt, quality } from the peer heartbeat
+    this.stories = [] // The room's story queue, in order
+    this.currentStory = null // The story being estimated
+    this.history = [] // Committed rounds, oldest first
     this.gameManager = gameManager
     this.connectionManager = connectionManager
     
@@ -19,7 +45,7 @@ export class UIManager {
   }
 
   setupKeyboardNavigation() {
-    this.voteOptions = ['0', '½', '1', '2', '3', '5', '8', '13', '20', '40', '100', '?']
+    this.voteOptions = getLabels(getDefaultCards()) // The room's deck, see setDeck
     this.keyBuffer = ''
     this.keyTimeout = null
     this.keyDelay = 500 // 0.5 second delay to prevent accidental voting
@@ -40,14 +66,19 @@ export class UIManager {
     
     // Handle special keys
     switch (key) {
+      // Only the facilitator reveals and clears, a stray key press should not wipe everyone's votes
       case 'Escape':
         e.preventDefault()
-        this.clearVotes()
+        if (this.canRunRound) {
+          this.clearVotes()
+        }
         return
         
       case 'Enter':
         e.preventDefault()
-        this.showVotes()
+        if (this.canRunRound) {
+          this.showVotes()
+        }
         return
         
       case '+':
@@ -63,13 +94,18 @@ export class UIManager {
         return
     }
     
-    // Handle number input for voting (including ½ and ? symbols)
-    if (/^[0-9½?]$/.test(key) || key === '½' || key === '?') {
+    // Handle number input for voting, and keys that start a card such as ½, ? or the letters of T-shirt sizes
+    if (/^[0-9]$/.test(key) || (key.length === 1 && this.findVoteOptions(this.keyBuffer + key).length > 0)) {
       e.preventDefault()
       this.handleNumberInput(key)
     }
   }
 
+  findVoteOptions(prefix) {
+    const text = prefix.toLowerCase()
+    return this.voteOptions.filter(vote => vote.toLowerCase().startsWith(text))
+  }
+
   handleNumberInput(key) {
     // Add to buffer
     this.keyBuffer += key
@@ -89,7 +125,7 @@ export class UIManager {
     if (!this.keyBuffer) return
     
     // Try to find exact match first
-    let matchedVote = this.voteOptions.find(vote => vote === this.keyBuffer)
+    let matchedVote = this.voteOptions.find(vote => vote.toLowerCase() === this.keyBuffer.toLowerCase())
     
     // If no exact match, try partial matches for numbers
     if (!matchedVote && /^[0-9]+$/.test(this.keyBuffer)) {
@@ -109,7 +145,8 @@ export class UIManager {
         }
       }
       
-      matchedVote = closest.toString()
+      // Decks without numbers have nothing close
+      matchedVote = closest === undefined ? null : closest.toString()
     }
     
     if (matchedVote) {
@@ -200,6 +237,13 @@ export class UIManager {
     `
     statusBar.appendChild(statusIndicator)
     
+    // Actions taken while offline that are still waiting to reach the room
+    const pendingActions = document.createElement('div')
+    pendingActions.id = 'pending-actions'
+    pendingActions.className = 'connection-indicator warning pending-actions'
+    pendingActions.style.display = 'none'
+    statusBar.appendChild(pendingActions)
+    
     document.body.appendChild(statusBar)
     
     // Trigger initial connection status update
@@ -229,6 +273,15 @@ export class UIManager {
     }
   }
 
+  updatePendingActions(count) {
+    const element = document.getElementById('pending-actions')
+    if (!element) return
+    
+    element.style.display = count > 0 ? 'flex' : 'none'
+    element.textContent = count === 1
+      ? '1 action waiting to sync'
+      : `${count} actions waiting to sync`
+  }
 
   showOfflineMessage() {
     // Offline message - handled silently
@@ -289,6 +342,18 @@ export class UIManager {
     return modal
   }
 
+  showVersionNotice() {
+    // One notice is enough, every message from the newer client would trigger it again
+    if (this.versionNoticeShown) return
+    this.versionNoticeShown = true
+    
+    this.showErrorModal({
+      title: 'New Version Available',
+      message: 'Please refresh, your teammate runs a newer version of RapidPlanning.',
+      action: 'refresh'
+    })
+  }
+
   getActionButtonText(action) {
     switch (action) {
       case 'retry': return 'Retry'
@@ -389,6 +454,16 @@ export class UIManager {
                     Enter your name or email address (for Gravatar)
                   </small>
                 </div>
+                <div class="form-group">
+                  <label for="join-prompt-passphrase">
+                    Room Passphrase (if any)
+                  </label>
+                  <input type="password" id="join-prompt-passphrase" maxlength="128" autocomplete="current-password"
+                         placeholder="Only needed if the host set one">
+                  <small style="color: #666; font-size: 0.85em; margin-top: 0.25rem; display: block;">
+                    Ask the host if the session is protected
+                  </small>
+                </div>
                 <button type="submit" class="btn">
                   Join Session
                 </button>
@@ -405,6 +480,8 @@ export class UIManager {
             <span>Created by <a href="https://github.com/lucascoelhof" target="_blank" rel="noopener noreferrer">Lucas Coelho Figueiredo</a></span>
             <span class="footer-separator">•</span>
             <a href="/about" id="terms-link">Terms of Use</a>
+            <span class="footer-separator">•</span>
+            <a href="#" class="settings-link">Connection Settings</a>
           </div>
         </footer>
       </div>
@@ -430,6 +507,35 @@ export class UIManager {
                     Enter your name or email address (for Gravatar)
                   </small>
                 </div>
+                <div class="form-group">
+                  <label for="create-passphrase">
+                    Room Passphrase (optional)
+                  </label>
+                  <input type="password" id="create-passphrase" maxlength="128" autocomplete="new-password"
+                         placeholder="Leave empty for an open room">
+                  <small style="color: #666; font-size: 0.85em; margin-top: 0.25rem; display: block;">
+                    Encrypts all room traffic. Share it separately from the session link.
+                  </small>
+                </div>
+                <div class="form-group">
+                  <label for="create-deck">
+                    Estimation Deck
+                  </label>
+                  <select id="create-deck">
+                    ${Object.entries(DECKS).map(([id, deck]) => `
+                      <option value="${id}" ${id === DEFAULT_DECK ? 'selected' : ''}>${deck.name} (${getLabels(deck.cards).join(', ')})</option>
+                    `).join('')}
+                    <option value="custom">Custom</option>
+                  </select>
+                  <input type="text" id="create-custom-deck" class="hidden" maxlength="400"
+                         placeholder="Cards separated by commas, e.g. 1, 2, 3, 5, ? or S=1, M=3, L=5, ☕">
+                </div>
+                <div class="form-group checkbox-group">
+                  <label>
+                    <input type="checkbox" id="create-word-code">
+                    Use a word code instead of digits
+                  </label>
+                </div>
                 <button type="submit" class="btn">
                   Create Session
                 </button>
@@ -443,7 +549,8 @@ export class UIManager {
                   <label for="join-session">
                     Session ID
                   </label>
-                  <input type="text" id="join-session" required pattern="\\d{9}" maxlength="9" placeholder="123456789">
+                  <input type="text" id="join-session" required maxlength="60" autocomplete="off"
+                         placeholder="123456789 or brave-otter-lamp-parrot">
                 </div>
                 <div class="form-group">
                   <label for="join-identity">
@@ -455,6 +562,16 @@ export class UIManager {
                     Enter your name or email address (for Gravatar)
                   </small>
                 </div>
+                <div class="form-group">
+                  <label for="join-passphrase">
+                    Room Passphrase (if any)
+                  </label>
+                  <input type="password" id="join-passphrase" maxlength="128" autocomplete="current-password"
+                         placeholder="Only needed if the host set one">
+                  <small style="color: #666; font-size: 0.85em; margin-top: 0.25rem; display: block;">
+                    Ask the host if the session is protected
+                  </small>
+                </div>
                 <button type="submit" class="btn">
                   Join Session
                 </button>
@@ -471,6 +588,8 @@ export class UIManager {
             <span>Created by <a href="https://github.com/lucascoelhof" target="_blank" rel="noopener noreferrer">Lucas Coelho Figueiredo</a></span>
             <span class="footer-separator">•</span>
             <a href="/about" id="terms-link">Terms of Use</a>
+            <span class="footer-separator">•</span>
+            <a href="#" class="settings-link">Connection Settings</a>
           </div>
         </footer>
       </div>
@@ -484,6 +603,7 @@ export class UIManager {
           <div class="session-info">
             <h2>⚡ RapidPlanning ⚡</h2>
             <div class="session-id">Session: ${sessionId}</div>
+            <div id="round-counter" class="round-counter">Round ${this.gameManager ? this.gameManager.round : 1}</div>
           </div>
         </div>
         
@@ -495,6 +615,42 @@ export class UIManager {
               <div id="players-table" class="players-table">
                 <!-- Players table will be rendered here -->
               </div>
+              <div id="room-controls" class="room-controls hidden">
+                <label class="room-control">
+                  <input type="checkbox" id="require-approval">
+                  Ask before letting people in
+                </label>
+                <label class="room-control">
+                  <input type="checkbox" id="lock-room">
+                  Lock room
+                </label>
+                <button id="create-invite" class="btn btn-secondary btn-small hidden">
+                  Invite with a Code
+                </button>
+                <div id="join-requests" class="join-requests">
+                  <!-- Pending join requests will be rendered here -->
+                </div>
+              </div>
+            </div>
+            
+            <div class="stories-section">
+              <div class="stories-header">
+                <h3>Stories</h3>
+                <button id="next-story" class="btn btn-small hidden">Next Story</button>
+              </div>
+              <ol id="story-list" class="story-list">
+                <!-- Story queue will be rendered here -->
+              </ol>
+              <form id="story-form" class="story-form hidden">
+                <input type="text" id="story-title" required maxlength="${MAX_STORY_TITLE_LENGTH}" placeholder="Story title">
+                <div class="story-form-row">
+                  <input type="text" id="story-key" maxlength="${MAX_STORY_KEY_LENGTH}" placeholder="Key (PROJ-123)">
+                  <input type="url" id="story-url" maxlength="${MAX_STORY_URL_LENGTH}" placeholder="https://...">
+                </div>
+                <textarea id="story-description" rows="2" maxlength="${MAX_STORY_DESCRIPTION_LENGTH}"
+                          placeholder="Description (optional)"></textarea>
+                <button type="submit" class="btn btn-secondary btn-small">Add Story</button>
+              </form>
             </div>
           </div>
           
@@ -502,7 +658,7 @@ export class UIManager {
           <div class="stats-column">
             <div class="voting-stats-section">
               <h3>Voting Statistics</h3>
-              <div class="stats-actions">
+              <div id="stats-actions" class="stats-actions">
                 <button id="clear-votes" class="btn btn-secondary btn-small">
                   Clear Votes
                 </button>
@@ -519,6 +675,7 @@ export class UIManager {
                 <div class="average-section">
                   <strong>Average:</strong>
                   <div class="average-value" id="average-value">-</div>
+                  <div class="stats-details" id="stats-details"></div>
                 </div>
                 <div class="votes-breakdown">
                   <div class="breakdown-header">
@@ -530,11 +687,26 @@ export class UIManager {
                   </div>
                 </div>
               </div>
+              <form id="commit-estimate" class="commit-estimate hidden">
+                <input type="text" id="final-estimate" required maxlength="${MAX_ESTIMATE_LENGTH}" placeholder="Final estimate">
+                <button type="submit" class="btn btn-small">Commit Estimate</button>
+              </form>
             </div>
+            
+            <details id="round-history" class="history-section">
+              <summary>History <span id="history-count" class="history-count"></span></summary>
+              <ol id="history-list" class="history-list">
+                <!-- Committed rounds will be rendered here -->
+              </ol>
+            </details>
           </div>
           
           <!-- Right Column: Controls -->
           <div class="controls-column">
+            <div id="current-story" class="current-story hidden">
+              <!-- The story being estimated will be rendered here -->
+            </div>
+            
             <div class="voting-cards-section">
               <h3>Cast Your Vote</h3>
               <div id="voting-cards" class="voting-cards">
@@ -582,6 +754,8 @@ export class UIManager {
             <span>Created by <a href="https://github.com/lucascoelhof" target="_blank" rel="noopener noreferrer">Lucas Coelho Figueiredo</a></span>
             <span class="footer-separator">•</span>
             <a href="/about" id="game-terms-link">Terms of Use</a>
+            <span class="footer-separator">•</span>
+            <a href="#" class="settings-link">Connection Settings</a>
           </div>
         </footer>
       </div>
@@ -595,6 +769,13 @@ export class UIManager {
     createForm.addEventListener('submit', async (e) => {
       e.preventDefault()
       const identity = document.getElementById('create-identity').value.trim()
+      const passphrase = document.getElementById('create-passphrase').value
+      const useWordCode = document.getElementById('create-word-code').checked
+      const deck = this.getSelectedDeck()
+      if (deck.error) {
+        this.showError(deck.error)
+        return
+      }
       
       if (identity) {
         this.showLoading(true)
@@ -605,20 +786,33 @@ export class UIManager {
         this.players = []
         const { name, email } = this.parseIdentity(identity)
         const playerData = await this.createPlayerData(name, email)
-        this.emit('createSession', playerData)
+        this.emit('createSession', playerData, passphrase || null, { useWordCode, deck: deck.cards })
       }
     })
+    
+    const deckSelect = document.getElementById('create-deck')
+    deckSelect.addEventListener('change', () => {
+      document.getElementById('create-custom-deck').classList.toggle('hidden', deckSelect.value !== 'custom')
+    })
 
     joinForm.addEventListener('submit', async (e) => {
       e.preventDefault()
-      const sessionId = document.getElementById('join-session').value.trim()
+      const sessionId = normalizeSessionId(document.getElementById('join-session').value)
       const identity = document.getElementById('join-identity').value.trim()
+      const passphrase = document.getElementById('join-passphrase').value
+      
+      // Typos are caught here rather than by a connection timeout
+      const sessionIdError = getSessionIdError(sessionId)
+      if (sessionIdError) {
+        this.showError(sessionIdError)
+        return
+      }
       
-      if (sessionId && identity && sessionId.match(/^\d{9}$/)) {
+      if (sessionId && identity) {
         this.showLoading(true)
         const { name, email } = this.parseIdentity(identity)
         const playerData = await this.createPlayerData(name, email)
-        this.emit('joinSession', sessionId, playerData)
+        this.emit('joinSession', sessionId, playerData, passphrase || null)
       }
     })
     
@@ -630,6 +824,15 @@ export class UIManager {
         this.emit('navigate', '/about')
       })
     }
+    this.bindSettingsLink()
+  }
+
+  getSelectedDeck() {
+    const deckId = document.getElementById('create-deck').value
+    if (deckId === 'custom') {
+      return parseCustomDeck(document.getElementById('create-custom-deck').value)
+    }
+    return { cards: [...DECKS[deckId].cards], error: null }
   }
 
   bindJoinPromptEvents(sessionId) {
@@ -638,6 +841,7 @@ export class UIManager {
     joinPromptForm.addEventListener('submit', async (e) => {
       e.preventDefault()
       const identity = document.getElementById('join-prompt-identity').value.trim()
+      const passphrase = document.getElementById('join-prompt-passphrase').value
       
       if (identity) {
         this.showLoading(true)
@@ -648,7 +852,7 @@ export class UIManager {
         this.players = []
         const { name, email } = this.parseIdentity(identity)
         const playerData = await this.createPlayerData(name, email)
-        this.emit('joinSession', sessionId, playerData)
+        this.emit('joinSession', sessionId, playerData, passphrase || null)
       }
     })
     
@@ -660,6 +864,7 @@ export class UIManager {
         this.emit('navigate', '/about')
       })
     }
+    this.bindSettingsLink()
   }
 
   getAboutPageHTML() {
@@ -758,6 +963,692 @@ export class UIManager {
         this.emit('navigate', '/about')
       })
     }
+    this.bindSettingsLink()
+    this.bindRoomControls()
+    this.bindStoryControls()
+    this.renderStories()
+    this.renderHistory()
+    this.renderFacilitatorControls()
+  }
+
+  bindStoryControls() {
+    const storyForm = document.getElementById('story-form')
+    const nextStory = document.getElementById('next-story')
+    
+    if (storyForm) {
+      storyForm.addEventListener('submit', (e) => {
+        e.preventDefault()
+        const story = {
+          title: document.getElementById('story-title').value.trim(),
+          key: document.getElementById('story-key').value.trim(),
+          url: document.getElementById('story-url').value.trim(),
+          description: document.getElementById('story-description').value.trim()
+        }
+        if (!story.title) return
+        if (story.url && !isStoryUrl(story.url)) {
+          this.showError('Story links must start with http:// or https://')
+          return
+        }
+        
+        this.emit('addStory', story)
+        storyForm.reset()
+      })
+    }
+    if (nextStory) {
+      nextStory.addEventListener('click', () => this.emit('nextStory'))
+    }
+    
+    const commitForm = document.getElementById('commit-estimate')
+    if (commitForm) {
+      commitForm.addEventListener('submit', (e) => {
+        e.preventDefault()
+        const estimate = document.getElementById('final-estimate').value.trim()
+        if (estimate) {
+          this.emit('commitEstimate', estimate)
+        }
+      })
+    }
+  }
+
+  bindRoomControls() {
+    const requireApproval = document.getElementById('require-approval')
+    const lockRoom = document.getElementById('lock-room')
+    
+    if (requireApproval) {
+      requireApproval.addEventListener('change', (e) => {
+        this.emit('setRequireApproval', e.target.checked)
+      })
+    }
+    if (lockRoom) {
+      lockRoom.addEventListener('change', (e) => {
+        this.emit('setRoomLocked', e.target.checked)
+      })
+    }
+    
+    const createInvite = document.getElementById('create-invite')
+    if (createInvite) {
+      createInvite.addEventListener('click', () => this.emit('createInvite'))
+    }
+    
+    this.renderRoomControls()
+  }
+
+  setHostControls(isHost) {
+    this.isHost = isHost
+    if (!isHost) {
+      this.joinRequests.clear()
+    }
+    this.renderRoomControls()
+  }
+
+  setFacilitator(isFacilitator, facilitatorId, canRunRound = isFacilitator) {
+    if (this.isFacilitator === isFacilitator && this.facilitatorId === facilitatorId && this.canRunRound === canRunRound) return
+    this.isFacilitator = isFacilitator
+    this.facilitatorId = facilitatorId
+    this.canRunRound = canRunRound
+    this.renderFacilitatorControls()
+    this.renderStories()
+    this.renderCommitEstimate()
+    this.renderPlayers()
+  }
+
+  // Revealing and clearing are the facilitator's, everyone else only sees the results unless it is away
+  renderFacilitatorControls() {
+    const statsActions = document.getElementById('stats-actions')
+    if (statsActions) {
+      statsActions.classList.toggle('hidden', !this.canRunRound)
+    }
+  }
+
+  updateStories(stories, currentStory) {
+    this.stories = stories
+    this.currentStory = currentStory
+    this.renderStories()
+  }
+
+  // Stories come from the room, so none of their text goes through innerHTML
+  renderStories() {
+    if (this.currentPage !== 'game') return
+    
+    const list = document.getElementById('story-list')
+    const storyForm = document.getElementById('story-form')
+    const nextStory = document.getElementById('next-story')
+    if (!list || !storyForm || !nextStory) return
+    
+    // Only the facilitator builds the queue and moves through it
+    storyForm.classList.toggle('hidden', !this.isFacilitator)
+    const currentIndex = this.stories.indexOf(this.currentStory)
+    nextStory.classList.toggle('hidden', !this.isFacilitator || currentIndex === this.stories.length - 1)
+    nextStory.textContent = this.currentStory ? 'Next Story' : 'Start First Story'
+    
+    list.innerHTML = ''
+    this.stories.forEach((story, index) => {
+      const item = document.createElement('li')
+      item.className = `story-item ${story === this.currentStory ? 'current' : ''} ${index < currentIndex ? 'done' : ''}`
+      
+      const title = document.createElement('span')
+      title.className = 'story-item-title'
+      title.textContent = story.key ? `${story.key} ${story.title}` : story.title
+      item.appendChild(title)
+      
+      const estimate = this.getStoryEstimate(story.id)
+      if (estimate) {
+        const badge = document.createElement('span')
+        badge.className = 'story-item-estimate'
+        badge.textContent = estimate
+        item.appendChild(badge)
+      }
+      
+      if (this.isFacilitator) {
+        const actions = document.createElement('span')
+        actions.className = 'story-item-actions'
+        actions.append(
+          this.createStoryButton('▶', 'Estimate this story', () => this.emit('selectStory', story.id), story === this.currentStory),
+          this.createStoryButton('↑', 'Move up', () => this.emit('moveStory', story.id, -1), index === 0),
+          this.createStoryButton('↓', 'Move down', () => this.emit('moveStory', story.id, 1), index === this.stories.length - 1),
+          this.createStoryButton('✕', 'Remove', () => this.emit('removeStory', story.id), false)
+        )
+        item.appendChild(actions)
+      }
+      list.appendChild(item)
+    })
+    
+    this.renderCurrentStory()
+  }
+
+  // The last estimate committed for the story, a story may be estimated again
+  getStoryEstimate(storyId) {
+    const entry = this.history.filter(entry => entry.storyId === storyId).pop()
+    return entry ? entry.estimate : null
+  }
+
+  createStoryButton(text, title, onClick, disabled) {
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.className = 'story-button'
+    button.textContent = text
+    button.title = title
+    button.disabled = disabled
+    button.onclick = onClick
+    return button
+  }
+
+  renderCurrentStory() {
+    const container = document.getElementById('current-story')
+    if (!container) return
+    
+    container.innerHTML = ''
+    container.classList.toggle('hidden', !this.currentStory)
+    if (!this.currentStory) return
+    
+    const { key, title, url, description } = this.currentStory
+    const label = document.createElement('div')
+    label.className = 'current-story-label'
+    label.textContent = key ? `Now estimating · ${key}` : 'Now estimating'
+    
+    const heading = document.createElement('h3')
+    heading.className = 'current-story-title'
+    if (url && isStoryUrl(url)) {
+      const link = document.createElement('a')
+      link.href = url
+      link.target = '_blank'
+      link.rel = 'noopener noreferrer'
+      link.textContent = title
+      heading.appendChild(link)
+    } else {
+      heading.textContent = title
+    }
+    container.append(label, heading)
+    
+    if (description) {
+      const text = document.createElement('p')
+      text.className = 'current-story-description'
+      text.textContent = description
+      container.appendChild(text)
+    }
+  }
+
+  updateHistory(history) {
+    this.history = history
+    this.renderHistory()
+    this.renderStories()
+    this.renderCommitEstimate()
+  }
+
+  // Facilitator only, once the votes are shown and until the round is committed. Pre-filled with the card the stats point to
+  renderCommitEstimate() {
+    const form = document.getElementById('commit-estimate')
+    const input = document.getElementById('final-estimate')
+    if (!form || !input) return
+    
+    const round = this.gameManager ? this.gameManager.round : null
+    const committed = this.history.some(entry => entry.round === round)
+    const show = this.isFacilitator && this.votesRevealed && !committed
+    if (show && form.classList.contains('hidden')) {
+      input.value = this.gameManager ? this.gameManager.getSuggestedEstimate() : ''
+    }
+    form.classList.toggle('hidden', !show)
+  }
+
+  // History entries come from the room, newest first and without innerHTML like the stories
+  renderHistory() {
+    const list = document.getElementById('history-list')
+    const count = document.getElementById('history-count')
+    if (!list || !count) return
+    
+    count.textContent = this.history.length > 0 ? `(${this.history.length})` : ''
+    list.innerHTML = ''
+    this.history.slice().reverse().forEach(entry => {
+      const item = document.createElement('li')
+      item.className = 'history-item'
+      
+      const header = document.createElement('div')
+      header.className = 'history-item-header'
+      const title = document.createElement('span')
+      title.className = 'history-item-title'
+      if (entry.title) {
+        title.textContent = entry.key ? `${entry.key} ${entry.title}` : entry.title
+      } else {
+        title.textContent = `Round ${entry.round}`
+      }
+      const estimate = document.createElement('span')
+      estimate.className = 'history-item-estimate'
+      estimate.textContent = entry.estimate
+      header.append(title, estimate)
+      
+      const details = document.createElement('div')
+      details.className = 'history-item-details'
+      details.textContent = `${entry.consensus} · ${this.formatDuration(entry.duration)} · ` +
+        (entry.votes.map(vote => `${vote.name} ${vote.vote}`).join(', ') || 'no votes')
+      
+      item.append(header, details)
+      list.appendChild(item)
+    })
+  }
+
+  // 75000 -> "1:15"
+  formatDuration(ms) {
+    const seconds = Math.round(ms / 1000)
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+  }
+
+  updateRoomPolicy(policy) {
+    this.roomPolicy = { ...policy }
+    this.renderRoomControls()
+  }
+
+  addJoinRequest(peerId, player) {
+    this.joinRequests.set(peerId, player)
+    this.renderRoomControls()
+  }
+
+  removeJoinRequest(peerId) {
+    this.joinRequests.delete(peerId)
+    this.renderRoomControls()
+  }
+
+  renderRoomControls() {
+    if (this.currentPage !== 'game') return
+    
+    const controls = document.getElementById('room-controls')
+    if (!controls) return
+    
+    // Only the host decides who gets in
+    controls.classList.toggle('hidden', !this.isHost)
+    document.getElementById('require-approval').checked = this.roomPolicy.requireApproval
+    document.getElementById('lock-room').checked = this.roomPolicy.locked
+    document.getElementById('create-invite').classList.toggle('hidden', !this.manualSignaling)
+    
+    const list = document.getElementById('join-requests')
+    list.innerHTML = ''
+    this.joinRequests.forEach((player, peerId) => {
+      const row = document.createElement('div')
+      row.className = 'join-request'
+      
+      // Names come from whoever knocks, so they never go through innerHTML
+      const name = document.createElement('span')
+      name.className = 'join-request-name'
+      name.textContent = `${player.name} wants to join`
+      
+      const approve = document.createElement('button')
+      approve.className = 'btn btn-small'
+      approve.textContent = 'Let in'
+      approve.onclick = () => this.emit('approveJoin', peerId)
+      
+      const reject = document.createElement('button')
+      reject.className = 'btn btn-secondary btn-small'
+      reject.textContent = 'Decline'
+      reject.onclick = () => this.emit('rejectJoin', peerId)
+      
+      row.append(name, approve, reject)
+      list.appendChild(row)
+    })
+  }
+
+  setManualSignaling(manualSignaling) {
+    this.manualSignaling = manualSignaling
+    this.renderRoomControls()
+  }
+
+  // The broker cannot be reached, offer to bootstrap the room by exchanging codes instead
+  offerManualSignaling() {
+    if (document.getElementById('manual-signaling-modal')) return
+    
+    const modal = this.createManualSignalingModal('Signaling Server Unreachable', `
+      <p>The server that introduces players to each other can't be reached. You can still play by
+         exchanging invite codes with the host by hand, as text or QR code.</p>
+    `, `
+      <button class="btn btn-secondary" id="manual-signaling-cancel">Cancel</button>
+      <button class="btn btn-primary" id="manual-signaling-use">Exchange Codes</button>
+    `)
+    
+    modal.querySelector('#manual-signaling-cancel').onclick = () => modal.remove()
+    modal.querySelector('#manual-signaling-use').onclick = () => {
+      modal.remove()
+      this.emit('useManualSignaling')
+    }
+  }
+
+  // Host side: hand out the invite code, then take the participant's answer code
+  showInvite(inviteCode) {
+    this.hideManualSignalingDialog()
+    
+    const modal = this.createManualSignalingModal('Invite a Participant', `
+      <p>1. Send this invite code to the participant, or let them scan it.</p>
+      ${this.getCodeHTML('invite-code', inviteCode)}
+      <p>2. Paste the answer code they send back.</p>
+      ${this.getCodeInputHTML('answer-code-input', 'Answer code')}
+    `, `
+      <button class="btn btn-secondary" id="manual-signaling-cancel">Cancel</button>
+      <button class="btn btn-primary" id="manual-signaling-connect">Connect</button>
+    `)
+    
+    this.bindCodeCopy(modal, 'invite-code')
+    this.bindCodeInput(modal, 'answer-code-input')
+    modal.querySelector('#manual-signaling-cancel').onclick = () => this.hideManualSignalingDialog()
+    modal.querySelector('#manual-signaling-connect').onclick = () => {
+      const code = modal.querySelector('#answer-code-input').value.trim()
+      if (code) this.emit('acceptAnswer', code)
+    }
+  }
+
+  // Participant side: take the host's invite code, then show the answer code to send back
+  showInviteEntry() {
+    this.hideManualSignalingDialog()
+    
+    const modal = this.createManualSignalingModal('Join Without a Server', `
+      <p>Paste the invite code the host sent you, or scan it.</p>
+      ${this.getCodeInputHTML('invite-code-input', 'Invite code')}
+      <div id="answer-code-section"></div>
+    `, `
+      <button class="btn btn-secondary" id="manual-signaling-leave">Leave</button>
+      <button class="btn btn-primary" id="manual-signaling-answer">Create Answer</button>
+    `)
+    
+    this.bindCodeInput(modal, 'invite-code-input')
+    modal.querySelector('#manual-signaling-leave').onclick = () => this.emit('leaveSession')
+    modal.querySelector('#manual-signaling-answer').onclick = () => {
+      const code = modal.querySelector('#invite-code-input').value.trim()
+      if (code) this.emit('acceptInvite', code)
+    }
+  }
+
+  showAnswerCode(answerCode) {
+    const section = document.getElementById('answer-code-section')
+    if (!section) return
+    
+    section.innerHTML = `
+      <p>Send this answer code back to the host. You join as soon as they paste it.</p>
+      ${this.getCodeHTML('answer-code', answerCode)}
+    `
+    this.bindCodeCopy(section, 'answer-code')
+  }
+
+  hideManualSignalingDialog() {
+    const modal = document.getElementById('manual-signaling-modal')
+    if (modal) {
+      this.stopCodeScanner()
+      modal.remove()
+    }
+  }
+
+  createManualSignalingModal(title, body, footer) {
+    const modal = document.createElement('div')
+    modal.className = 'error-modal-backdrop'
+    modal.id = 'manual-signaling-modal'
+    modal.innerHTML = `
+      <div class="error-modal settings-modal manual-signaling-modal">
+        <div class="error-modal-header">
+          <h3>${title}</h3>
+        </div>
+        <div class="error-modal-body">${body}</div>
+        <div class="error-modal-footer">${footer}</div>
+      </div>
+    `
+    
+    document.body.appendChild(modal)
+    return modal
+  }
+
+  // Codes are base64 and never need escaping
+  getCodeHTML(id, code) {
+    return `
+      <div class="manual-code">
+        ${this.getQRCodeHTML(code)}
+        <textarea id="${id}" rows="3" readonly>${code}</textarea>
+        <button type="button" class="btn btn-secondary btn-small" data-copy="${id}">Copy</button>
+      </div>
+    `
+  }
+
+  getCodeInputHTML(id, label) {
+    const canScan = typeof window.BarcodeDetector !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia)
+    return `
+      <div class="form-group manual-code-input">
+        <textarea id="${id}" rows="3" placeholder="${label}"></textarea>
+        ${canScan ? `<button type="button" class="btn btn-secondary btn-small" data-scan="${id}">Scan QR Code</button>` : ''}
+        <video class="manual-code-scanner hidden" playsinline muted></video>
+      </div>
+    `
+  }
+
+  // qrcode-generator is loaded globally from CDN, long codes may not fit and stay text only
+  getQRCodeHTML(text) {
+    const qrcode = window.qrcode
+    if (!qrcode) return ''
+    
+    try {
+      const qr = qrcode(0, 'L')
+      qr.addData(text)
+      qr.make()
+      return `<div class="manual-code-qr">${qr.createSvgTag(3, 8)}</div>`
+    } catch (e) {
+      return ''
+    }
+  }
+
+  bindCodeCopy(container, id) {
+    const button = container.querySelector(`[data-copy="${id}"]`)
+    if (!button) return
+    
+    button.onclick = () => {
+      const textarea = container.querySelector(`#${id}`)
+      textarea.select()
+      navigator.clipboard?.writeText(textarea.value).catch(() => document.execCommand('copy'))
+      button.textContent = 'Copied'
+    }
+  }
+
+  // Reads a QR code from the camera into the textarea, where the browser has a barcode detector
+  bindCodeInput(modal, id) {
+    const button = modal.querySelector(`[data-scan="${id}"]`)
+    if (!button) return
+    
+    button.onclick = async () => {
+      const video = modal.querySelector('.manual-code-scanner')
+      try {
+        this.stopCodeScanner()
+        const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+        const detector = new window.BarcodeDetector({ formats: ['qr_code'] })
+        video.srcObject = stream
+        video.classList.remove('hidden')
+        await video.play()
+        
+        const timer = setInterval(async () => {
+          const [barcode] = await detector.detect(video).catch(() => [])
+          if (!barcode || !this.codeScanner) return
+          modal.querySelector(`#${id}`).value = barcode.rawValue
+          this.stopCodeScanner()
+          video.classList.add('hidden')
+        }, 300)
+        this.codeScanner = { stream, timer }
+      } catch (e) {
+        console.warn('Could not scan a QR code:', e)
+        this.showError('The camera is not available, please paste the code instead.')
+      }
+    }
+  }
+
+  stopCodeScanner() {
+    if (!this.codeScanner) return
+    clearInterval(this.codeScanner.timer)
+    this.codeScanner.stream.getTracks().forEach(track => track.stop())
+    this.codeScanner = null
+  }
+
+  showWaitingForApproval() {
+    if (document.getElementById('waiting-approval-modal')) return
+    
+    const modal = document.createElement('div')
+    modal.className = 'error-modal-backdrop'
+    modal.id = 'waiting-approval-modal'
+    modal.innerHTML = `
+      <div class="error-modal">
+        <div class="error-modal-header">
+          <h3>Waiting for the Host</h3>
+        </div>
+        <div class="error-modal-body">
+          <p>The host will let you in shortly.</p>
+        </div>
+        <div class="error-modal-footer">
+          <button class="btn btn-secondary" id="waiting-approval-leave">
+            Leave
+          </button>
+        </div>
+      </div>
+    `
+    
+    document.body.appendChild(modal)
+    
+    modal.querySelector('#waiting-approval-leave').onclick = () => {
+      this.emit('leaveSession')
+    }
+  }
+
+  hideWaitingForApproval() {
+    const modal = document.getElementById('waiting-approval-modal')
+    if (modal) {
+      modal.remove()
+    }
+  }
+
+  bindSettingsLink() {
+    document.querySelectorAll('.settings-link').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault()
+        this.emit('openSettings')
+      })
+    })
+  }
+
+  showSettingsDialog(settings) {
+    const { transport, relayUrl, topology, peerServer, iceServers } = settings
+    
+    const modal = document.createElement('div')
+    modal.className = 'error-modal-backdrop'
+    modal.innerHTML = `
+      <div class="error-modal settings-modal">
+        <div class="error-modal-header">
+          <h3>Connection Settings</h3>
+        </div>
+        <form id="settings-form">
+          <div class="error-modal-body">
+            <p class="settings-hint">
+              Leave the host empty to use the public PeerJS cloud. Changes apply the next time you create or join a session.
+            </p>
+            <div class="form-group">
+              <label for="settings-transport">Network</label>
+              <select id="settings-transport">
+                <option value="peerjs">Internet (PeerJS)</option>
+                <option value="local">This browser only (tabs, offline)</option>
+                <option value="relay">Relay server only</option>
+                <option value="manual">No server (exchange invite codes)</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="settings-relay-url">Relay Server</label>
+              <input type="text" id="settings-relay-url" placeholder="wss://relay.example.com">
+              <small>Used when a direct connection to a teammate can't be established</small>
+            </div>
+            <div class="form-group">
+              <label for="settings-topology">Room Layout</label>
+              <select id="settings-topology">
+                <option value="auto">Automatic</option>
+                <option value="mesh">Everyone connects to everyone</option>
+                <option value="star">Everyone connects to the host</option>
+              </select>
+              <small>Applies to rooms you host, large rooms switch to the host automatically</small>
+            </div>
+            <div class="form-group">
+              <label for="settings-peer-host">PeerServer Host</label>
+              <input type="text" id="settings-peer-host" placeholder="peer.example.com">
+            </div>
+            <div class="settings-row">
+              <div class="form-group">
+                <label for="settings-peer-port">Port</label>
+                <input type="number" id="settings-peer-port" min="1" max="65535" placeholder="443">
+              </div>
+              <div class="form-group">
+                <label for="settings-peer-path">Path</label>
+                <input type="text" id="settings-peer-path" placeholder="/">
+              </div>
+            </div>
+            <div class="settings-row">
+              <div class="form-group">
+                <label for="settings-peer-key">API Key</label>
+                <input type="text" id="settings-peer-key" placeholder="peerjs">
+              </div>
+              <div class="form-group checkbox-group">
+                <label>
+                  <input type="checkbox" id="settings-peer-secure">
+                  Use TLS
+                </label>
+              </div>
+            </div>
+            <div class="form-group">
+              <label for="settings-ice-servers">STUN / TURN Servers</label>
+              <textarea id="settings-ice-servers" rows="4"
+                        placeholder="stun:stun.example.com:3478&#10;turn:turn.example.com:3478 username credential"></textarea>
+              <small>One server per line: URL, then username and credential for TURN</small>
+            </div>
+          </div>
+          <div class="error-modal-footer">
+            <button type="button" class="btn btn-secondary" id="settings-reset">Reset</button>
+            <button type="button" class="btn btn-secondary" id="settings-cancel">Cancel</button>
+            <button type="submit" class="btn btn-primary">Save</button>
+          </div>
+        </form>
+      </div>
+    `
+    
+    document.body.appendChild(modal)
+    
+    // Fill values programmatically so they never need escaping in the template
+    modal.querySelector('#settings-transport').value = transport || 'peerjs'
+    modal.querySelector('#settings-relay-url').value = relayUrl || ''
+    modal.querySelector('#settings-topology').value = topology || 'auto'
+    modal.querySelector('#settings-peer-host').value = peerServer.host || ''
+    modal.querySelector('#settings-peer-port').value = peerServer.port || ''
+    modal.querySelector('#settings-peer-path').value = peerServer.path || '/'
+    modal.querySelector('#settings-peer-key').value = peerServer.key || ''
+    modal.querySelector('#settings-peer-secure').checked = peerServer.secure !== false
+    modal.querySelector('#settings-ice-servers').value = SettingsManager.formatIceServers(iceServers)
+    
+    modal.querySelector('#settings-form').addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.emit('saveSettings', {
+        transport: modal.querySelector('#settings-transport').value,
+        relayUrl: modal.querySelector('#settings-relay-url').value.trim(),
+        topology: modal.querySelector('#settings-topology').value,
+        peerServer: {
+          host: modal.querySelector('#settings-peer-host').value.trim(),
+          port: modal.querySelector('#settings-peer-port').value.trim(),
+          path: modal.querySelector('#settings-peer-path').value.trim() || '/',
+          key: modal.querySelector('#settings-peer-key').value.trim(),
+          secure: modal.querySelector('#settings-peer-secure').checked
+        },
+        iceServers: SettingsManager.parseIceServers(modal.querySelector('#settings-ice-servers').value)
+      })
+      modal.remove()
+    })
+    
+    modal.querySelector('#settings-reset').onclick = () => {
+      this.emit('resetSettings')
+      modal.remove()
+    }
+    
+    modal.querySelector('#settings-cancel').onclick = () => {
+      modal.remove()
+    }
+    
+    // Close on backdrop click
+    modal.onclick = (e) => {
+      if (e.target === modal) {
+        modal.remove()
+      }
+    }
+    
+    return modal
   }
 
   bindVotingStatsEvents() {
@@ -780,11 +1671,22 @@ export class UIManager {
     }
   }
 
+  // The room settled on a deck, a selected card that is not in it goes away
+  setDeck(cards) {
+    this.voteOptions = [...cards]
+    if (this.selectedVote !== null && !this.voteOptions.includes(this.selectedVote)) {
+      this.selectedVote = null
+    }
+    if (this.currentPage === 'game') {
+      this.renderVoteCards()
+    }
+  }
+
   renderVoteCards() {
     const container = document.getElementById('voting-cards')
-    const voteCards = ['0', '½', '1', '2', '3', '5', '8', '13', '20', '40', '100', '?']
     
-    container.innerHTML = voteCards.map(card => `
+    // Cards are plain labels, the protocol rejects decks with markup characters
+    container.innerHTML = this.voteOptions.map(card => `
       <div class="vote-card ${this.selectedVote === card ? 'selected' : ''}" data-vote="${card}">
         ${card}
       </div>
@@ -851,7 +1753,7 @@ export class UIManager {
     this.renderPlayers()
     
     // Check if all votes have been cleared
-    const hasAnyVotes = players.some(player => player.vote !== null)
+    const hasAnyVotes = players.some(player => player.voted)
     if (!hasAnyVotes && this.selectedVote !== null) {
       // All votes were cleared, clear local selection
       this.selectedVote = null
@@ -872,41 +1774,156 @@ export class UIManager {
     const container = document.getElementById('players-table')
     if (!container) return
     
-    const hasVotes = this.players.some(player => player.vote)
-    
-    container.innerHTML = `
-      <table class="players-data-table">
-        <tbody>
-          ${this.players.map(player => `
-            <tr class="player-row ${player.vote ? 'voted' : ''} ${this.votesRevealed && player.vote ? 'revealed' : ''}">
-              <td class="player-info">
-                <div class="player-avatar">
-                  ${player.avatar ? 
-                    `<img src="${player.avatar}" alt="${player.name}" onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';">
-                     <span style="display: none;">${this.getInitials(player.name)}</span>` : 
-                    `<span>${this.getInitials(player.name)}</span>`
-                  }
-                  ${player.reaction ? `<div class="player-reaction">${player.reaction}</div>` : ''}
-                </div>
-                <div class="player-name">${player.name}</div>
-              </td>
-              <td class="player-vote-cell">
-                ${this.votesRevealed && player.vote ? 
-                  `<span class="player-vote-value">${player.vote}</span>` : 
-                  (player.vote ? '<span class="player-voted-indicator">✓</span>' : '<span class="player-no-vote">-</span>')
-                }
-              </td>
-            </tr>
-          `).join('')}
-        </tbody>
-      </table>
-    `
+    // Names, reactions and peer IDs come from other players, so none of them goes through innerHTML
+    const table = document.createElement('table')
+    table.className = 'players-data-table'
+    const body = document.createElement('tbody')
+    this.players.forEach(player => body.appendChild(this.createPlayerRow(player)))
+    table.appendChild(body)
+    
+    container.innerHTML = ''
+    container.appendChild(table)
+  }
+
+  createPlayerRow(player) {
+    const row = document.createElement('tr')
+    row.className = `player-row ${player.voted ? 'voted' : ''} ${this.votesRevealed && player.vote ? 'revealed' : ''}`
+    
+    const info = document.createElement('td')
+    info.className = 'player-info'
+    
+    const avatar = document.createElement('div')
+    avatar.className = 'player-avatar'
+    const initials = document.createElement('span')
+    initials.textContent = this.getInitials(player.name)
+    if (player.avatar) {
+      const image = document.createElement('img')
+      image.src = player.avatar
+      image.alt = player.name
+      // Gravatar has no picture for this email, show the initials instead
+      image.onerror = () => {
+        image.style.display = 'none'
+        initials.style.display = 'flex'
+      }
+      initials.style.display = 'none'
+      avatar.appendChild(image)
+    }
+    avatar.appendChild(initials)
+    if (player.reaction) {
+      avatar.appendChild(this.createPlayerBadge('div', 'player-reaction', player.reaction))
+    }
+    
+    info.append(avatar, this.createPlayerBadge('div', 'player-name', player.name))
+    if (player.verified) {
+      info.appendChild(this.createPlayerBadge('span', 'player-verified', '✔', 'Same key as in an earlier session'))
+    }
+    if (player.id === this.facilitatorId) {
+      info.appendChild(this.createPlayerBadge('span', 'player-facilitator', '🎯', 'Facilitator'))
+    }
+    if (this.isFacilitator && !player.isLocal && player.id !== this.facilitatorId) {
+      const button = this.createPlayerBadge('button', 'make-facilitator', '🎯', 'Make facilitator')
+      button.type = 'button'
+      button.onclick = () => this.emit('makeFacilitator', player.id)
+      info.appendChild(button)
+    }
+    const badge = this.createConnectionBadge(player)
+    if (badge) {
+      info.appendChild(badge)
+    }
+    
+    const voteCell = document.createElement('td')
+    voteCell.className = 'player-vote-cell'
+    if (this.votesRevealed && player.vote) {
+      voteCell.appendChild(this.createPlayerBadge('span', 'player-vote-value', player.vote))
+    } else if (player.voted) {
+      voteCell.appendChild(this.createPlayerBadge('span', 'player-voted-indicator', '✓'))
+    } else {
+      voteCell.appendChild(this.createPlayerBadge('span', 'player-no-vote', '-'))
+    }
+    if (player.voteMismatch) {
+      voteCell.appendChild(this.createPlayerBadge('span', 'player-vote-mismatch', '⚠', 'Revealed vote does not match the committed one'))
+    }
+    
+    row.append(info, voteCell)
+    return row
+  }
+
+  createPlayerBadge(tag, className, text, title = null) {
+    const element = document.createElement(tag)
+    element.className = className
+    element.textContent = text
+    if (title) {
+      element.title = title
+    }
+    return element
+  }
+
+  createConnectionBadge(player) {
+    const stats = this.peerStats.get(player.id)
+    if (player.isLocal || !stats) return null
+    
+    const badge = document.createElement('span')
+    badge.className = `connection-badge quality-${stats.quality}${stats.relayed ? ' relayed' : ''}`
+    badge.dataset.peerId = player.id
+    badge.title = this.getConnectionBadgeTitle(stats)
+    return badge
+  }
+
+  getConnectionBadgeTitle(stats) {
+    const via = stats.relayed ? 'Relayed, ' : ''
+    switch (stats.quality) {
+      case 'lost': return 'Not responding'
+      case 'unknown': return `${via}measuring connection...`
+      default: return `${via}${stats.rtt} ms round trip`
+    }
+  }
+
+  updatePeerStats(peerId, stats) {
+    const previous = this.peerStats.get(peerId)
+    this.peerStats.set(peerId, stats)
+    
+    // Pongs arrive every few seconds, only rebuild the table when the badge changes colour
+    if (previous && previous.quality === stats.quality && previous.relayed === stats.relayed) {
+      const badge = Array.from(document.querySelectorAll('.connection-badge'))
+        .find(el => el.dataset.peerId === peerId)
+      if (badge) {
+        badge.title = this.getConnectionBadgeTitle(stats)
+        return
+      }
+    }
+    this.renderPlayers()
+  }
+
+  removePeerStats(peerId) {
+    this.peerStats.delete(peerId)
   }
 
   revealVotes() {
     this.votesRevealed = true
     this.renderPlayers()
     this.showVotingStats()
+    this.renderCommitEstimate()
+  }
+
+  updateRound(round) {
+    const counter = document.getElementById('round-counter')
+    if (counter) {
+      counter.textContent = `Round ${round}`
+    }
+  }
+
+  // Match the room after a state snapshot from the host
+  syncRoundState(votesRevealed, localVote) {
+    this.selectedVote = localVote
+    this.renderVoteCards()
+    
+    if (votesRevealed) {
+      this.revealVotes()
+    } else {
+      this.votesRevealed = false
+      this.hideVotingStats()
+      this.renderPlayers()
+    }
   }
 
   parseIdentity(identity) {
@@ -954,7 +1971,8 @@ export class UIManager {
     }
     
     return {
-      name: displayName,
+      // Gravatar display names are not bound by the form's maxlength
+      name: displayName.slice(0, MAX_NAME_LENGTH),
       email: email || null,
       avatar
     }
@@ -1018,7 +2036,7 @@ export class UIManager {
     this.hideLoading()
     console.error('RapidPlanning Error:', message)
     
-    if (this.currentPage === 'home') {
+    if (this.currentPage === 'home' || this.currentPage === 'join-prompt') {
       const errorEl = document.getElementById('error-message')
       if (errorEl) {
         errorEl.textContent = message
@@ -1061,13 +2079,25 @@ export class UIManager {
     }, 10000)
   }
 
+  // The host hears about peers that flood the room, their names never go through innerHTML
+  showFloodWarning(name, action) {
+    const warning = document.createElement('div')
+    warning.className = 'error flood-warning'
+    warning.textContent = action === 'blocked'
+      ? `${name} kept flooding the room with messages and was disconnected.`
+      : `${name} is sending too many messages and is muted for 30 seconds.`
+    document.body.appendChild(warning)
+    
+    setTimeout(() => warning.remove(), 10000)
+  }
+
   showSuccess(message) {
     this.hideLoading()
     // Could implement success notifications here
   }
 
   showLoading(show = true) {
-    if (this.currentPage === 'home') {
+    if (this.currentPage === 'home' || this.currentPage === 'join-prompt') {
       const loadingEl = document.getElementById('loading-message')
       if (loadingEl) {
         if (show) {
@@ -1118,24 +2148,27 @@ export class UIManager {
       consensusEl.style.display = 'none'
     }
 
-    // Show average
-    if (votingSummary.average !== null) {
-      averageEl.textContent = votingSummary.average
-    } else {
+    // Show average, as the nearest card when the cards are not numbers themselves (T-shirt sizes, emoji)
+    if (votingSummary.average === null) {
       averageEl.textContent = 'N/A'
+    } else if (votingSummary.averageCard && cardValue(votingSummary.averageCard) === null) {
+      averageEl.textContent = `≈ ${votingSummary.averageCard}`
+    } else {
+      averageEl.textContent = votingSummary.average
+    }
+    
+    const detailsEl = document.getElementById('stats-details')
+    if (detailsEl) {
+      detailsEl.textContent = this.getStatsDetailsText(votingSummary)
     }
 
-    // Show vote breakdown
+    // Show vote breakdown in the order of the deck, votes from outside it last
+    const deckIndex = (vote) => {
+      const index = this.voteOptions.indexOf(vote)
+      return index === -1 ? Infinity : index
+    }
     const sortedVotes = Object.entries(votingSummary.votes)
-      .sort(([a], [b]) => {
-        // Sort by numeric value, handling special cases
-        const numA = this.getNumericValue(a)
-        const numB = this.getNumericValue(b)
-        if (numA === null && numB === null) return a.localeCompare(b)
-        if (numA === null) return 1
-        if (numB === null) return -1
-        return numA - numB
-      })
+      .sort(([a], [b]) => deckIndex(a) - deckIndex(b) || a.localeCompare(b))
 
     breakdownEl.innerHTML = sortedVotes.map(([vote, count]) => `
       <div class="vote-breakdown-row">
@@ -1145,11 +2178,28 @@ export class UIManager {
     `).join('')
   }
 
+  // "Median 5 · Spread 3–8 · 1 not counted", the parts GameManager could work out
+  getStatsDetailsText(votingSummary) {
+    const parts = []
+    if (votingSummary.medianCard) {
+      parts.push(`Median ${votingSummary.medianCard}`)
+    }
+    if (votingSummary.spread && votingSummary.spread.min !== votingSummary.spread.max) {
+      parts.push(`Spread ${votingSummary.spread.min}–${votingSummary.spread.max}`)
+    }
+    const notCounted = votingSummary.counted === undefined ? 0 : votingSummary.total - votingSummary.counted
+    if (notCounted > 0) {
+      parts.push(`${notCounted} not counted`)
+    }
+    return parts.join(' · ')
+  }
+
   hideVotingStats() {
     const statsContent = document.querySelector('.stats-content')
     if (statsContent) {
       statsContent.style.display = 'none'
     }
+    this.renderCommitEstimate()
   }
   
   clearVoteSelection() {
@@ -1175,23 +2225,14 @@ export class UIManager {
   }
 
   calculateAverage(votes) {
-    const numericVotes = votes.filter(v => !isNaN(parseFloat(v.replace('½', '0.5'))))
+    const numericVotes = votes.map(cardValue).filter(value => value !== null)
     if (numericVotes.length === 0) return null
     
-    const sum = numericVotes.reduce((acc, vote) => {
-      return acc + parseFloat(vote.replace('½', '0.5'))
-    }, 0)
+    const sum = numericVotes.reduce((acc, value) => acc + value, 0)
     
     return (sum / numericVotes.length).toFixed(1)
   }
 
-  getNumericValue(vote) {
-    if (vote === '½') return 0.5
-    if (vote === '?') return null
-    const num = parseFloat(vote)
-    return isNaN(num) ? null : num
-  }
-
   on(event, callback) {
     if (!this.events[event]) {
       this.events[event] = []
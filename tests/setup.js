@@ -1,5 +1,6 @@
 // Jest setup file for global test configuration
 import { jest } from '@jest/globals';
+import RealCryptoJS from 'crypto-js';
 
 // Mock localStorage
 const localStorageMock = {
@@ -20,9 +21,12 @@ global.Peer = jest.fn().mockImplementation(() => ({
   id: 'mock-peer-id'
 }));
 
-// Mock CryptoJS
+// Mock CryptoJS, vote commitments need the real hashing and random salts
 global.CryptoJS = {
-  MD5: jest.fn().mockReturnValue({ toString: () => 'mock-hash' })
+  MD5: jest.fn().mockReturnValue({ toString: () => 'mock-hash' }),
+  SHA256: RealCryptoJS.SHA256,
+  lib: RealCryptoJS.lib,
+  enc: RealCryptoJS.enc
 };
 
 // Mock fetch for API calls
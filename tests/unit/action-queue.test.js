@@ -0,0 +1,53 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { ActionQueue } from '../../src/services/action-queue.js';
+
+describe('ActionQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new ActionQueue();
+  });
+
+  test('should queue game actions with a timestamp', () => {
+    expect(queue.enqueue({ type: 'vote', vote: '5' })).toBe(true);
+
+    const [action] = queue.drain();
+    expect(action.data).toEqual({ type: 'vote', vote: '5' });
+    expect(typeof action.queuedAt).toBe('number');
+  });
+
+  test('should ignore messages that are not worth replaying', () => {
+    expect(queue.enqueue({ type: 'player_data', player: { name: 'Alice' } })).toBe(false);
+    expect(queue.enqueue({ type: 'player_disconnected', peerId: 'peer-a' })).toBe(false);
+    expect(queue.size).toBe(0);
+  });
+
+  test('should only keep the latest vote and reaction', () => {
+    queue.enqueue({ type: 'vote', vote: '3' });
+    queue.enqueue({ type: 'reaction', reaction: '👍' });
+    queue.enqueue({ type: 'vote', vote: '8' });
+    queue.enqueue({ type: 'reaction', reaction: null });
+
+    expect(queue.drain().map(action => action.data)).toEqual([
+      { type: 'vote', vote: '8' },
+      { type: 'reaction', reaction: null }
+    ]);
+  });
+
+  test('should keep facilitator actions in order around the votes', () => {
+    queue.enqueue({ type: 'vote', vote: '3' });
+    queue.enqueue({ type: 'clear_votes' });
+    queue.enqueue({ type: 'vote', vote: '5' });
+    queue.enqueue({ type: 'show_votes', allVotes: {} });
+
+    expect(queue.drain().map(action => action.data.type)).toEqual(['clear_votes', 'vote', 'show_votes']);
+  });
+
+  test('should be empty after draining', () => {
+    queue.enqueue({ type: 'clear_votes' });
+    queue.drain();
+
+    expect(queue.size).toBe(0);
+    expect(queue.drain()).toEqual([]);
+  });
+});
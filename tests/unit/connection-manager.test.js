@@ -131,6 +131,35 @@ describe('ConnectionManager', () => {
       expect(connectionManager.connectionQuality).toBe('offline');
       expect(connectionDegradedSpy).toHaveBeenCalled();
     });
+
+    test('should measure the connection through the peer heartbeat', () => {
+      connectionManager.setPeerStatsProvider(() => [
+        { peerId: 'peer-a', rtt: 2500, quality: 'very-poor' },
+        { peerId: 'peer-b', rtt: 1500, quality: 'very-poor' }
+      ]);
+
+      connectionManager.checkConnectionHealth();
+
+      expect(connectionManager.connectionQuality).toBe('poor');
+    });
+
+    test('should count a failed check when no peer answers', () => {
+      connectionManager.setPeerStatsProvider(() => [{ peerId: 'peer-a', rtt: 80, quality: 'lost' }]);
+
+      connectionManager.checkConnectionHealth();
+
+      expect(connectionManager.retryAttempts).toBe(1);
+    });
+
+    test('should skip the check when alone in the room', () => {
+      const heartbeatSpy = jest.fn();
+      connectionManager.on('heartbeat', heartbeatSpy);
+      connectionManager.setPeerStatsProvider(() => []);
+
+      connectionManager.checkConnectionHealth();
+
+      expect(heartbeatSpy).not.toHaveBeenCalled();
+    });
   });
 
   describe('status messages', () => {
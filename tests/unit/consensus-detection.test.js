@@ -111,6 +111,61 @@ describe('Consensus Detection', () => {
       const summary = gameManager.getVotingSummary();
       expect(summary.average).toBe('6.0'); // (5 + 8 + 5) / 3 = 6
     });
+
+    test('should report median and spread as cards of the deck', () => {
+      const summary = gameManager.getVotingSummary();
+
+      expect(summary.averageCard).toBe('5');
+      expect(summary.median).toBe(5);
+      expect(summary.medianCard).toBe('5');
+      expect(summary.spread).toEqual({ min: '5', max: '8', range: 3 });
+    });
+  });
+
+  describe('non-numeric decks', () => {
+    const setVotes = (...votes) => {
+      gameManager.players.clear();
+      votes.forEach((vote, index) => {
+        gameManager.players.set(`player${index}`, { id: `player${index}`, name: `Player ${index}`, vote, isLocal: false });
+      });
+    };
+
+    beforeEach(() => {
+      gameManager.roomState.setSetting('deck', [
+        { label: 'S', value: 2 },
+        { label: 'M', value: 3 },
+        { label: 'L', value: 5 },
+        { label: 'XL', value: 8 },
+        '☕'
+      ], 'test-peer-1');
+      gameManager.applyRoomState();
+    });
+
+    test('should compute statistics on the values behind the labels', () => {
+      setVotes('S', 'M', 'L', '☕');
+      const summary = gameManager.getVotingSummary();
+
+      expect(summary.total).toBe(4);
+      expect(summary.counted).toBe(3);
+      expect(summary.average).toBe('3.3');
+      expect(summary.averageCard).toBe('M');
+      expect(summary.medianCard).toBe('M');
+      expect(summary.spread).toEqual({ min: 'S', max: 'L', range: 3 });
+    });
+
+    test('should detect consensus on the mapped values', () => {
+      expect(gameManager.detectConsensus(['S', 'M', 'M']).type).toBe('close');
+      expect(gameManager.detectConsensus(['S', 'XL', 'L', 'M']).message).toBe('No consensus - discussion needed');
+    });
+
+    test('should have no average when only excluded cards were played', () => {
+      setVotes('☕', '☕');
+      const summary = gameManager.getVotingSummary();
+
+      expect(summary.average).toBeNull();
+      expect(summary.averageCard).toBeNull();
+      expect(summary.spread).toBeNull();
+    });
   });
 });
 
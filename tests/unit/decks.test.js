@@ -0,0 +1,70 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  DECKS,
+  DEFAULT_DECK,
+  getDefaultCards,
+  toCard,
+  fromCard,
+  findDeck,
+  parseCustomDeck,
+  cardValue,
+  nearestCard
+} from '../../src/services/decks.js';
+import { validateDeck } from '../../src/protocol.js';
+
+describe('Decks', () => {
+  test('should only offer presets the protocol accepts', () => {
+    Object.values(DECKS).forEach(deck => expect(validateDeck(deck.cards)).toBeNull());
+  });
+
+  test('should start rooms with the modified Fibonacci deck', () => {
+    expect(DEFAULT_DECK).toBe('modified-fibonacci');
+    expect(getDefaultCards()).toEqual(['0', '½', '1', '2', '3', '5', '8', '13', '20', '40', '100', '?']);
+  });
+
+  test('should recognize the preset a deck came from', () => {
+    expect(findDeck(DECKS['t-shirt'].cards)).toBe('t-shirt');
+    expect(findDeck(['1', '2', '3'])).toBe('custom');
+  });
+
+  test('should read a custom deck from a comma-separated list', () => {
+    expect(parseCustomDeck(' 1, 2,3 ,, 5, ?, 2 ')).toEqual({ cards: ['1', '2', '3', '5', '?'], error: null });
+    expect(parseCustomDeck('1').error).toMatch(/at least two cards/);
+    expect(parseCustomDeck('1, <i>2</i>').error).toMatch(/cannot contain/);
+  });
+
+  test('should map custom labels onto values', () => {
+    const { cards } = parseCustomDeck('🐜=1, 🐶=3, 🐘=8, ☕, 5');
+
+    expect(cards).toEqual([{ label: '🐜', value: 1 }, { label: '🐶', value: 3 }, { label: '🐘', value: 8 }, '☕', '5']);
+    expect(parseCustomDeck('S=small, M=3').error).toMatch(/"small" is not a number/);
+  });
+
+  test('should leave cards without a value out of the statistics', () => {
+    expect(toCard('8')).toEqual({ label: '8', value: 8, excluded: false });
+    expect(toCard('☕')).toEqual({ label: '☕', value: null, excluded: true });
+    expect(toCard({ label: 'pass', value: 0, excluded: true })).toEqual({ label: 'pass', value: 0, excluded: true });
+  });
+
+  test('should write cards in their shortest form', () => {
+    expect(fromCard({ label: '8', value: 8, excluded: false })).toBe('8');
+    expect(fromCard({ label: '?', value: null, excluded: true })).toBe('?');
+    expect(fromCard({ label: 'M', value: 3, excluded: false })).toEqual({ label: 'M', value: 3 });
+  });
+
+  test('should find the card nearest to a value', () => {
+    const tshirts = DECKS['t-shirt'].cards;
+
+    expect(nearestCard(tshirts, 3.4)).toBe('M');
+    expect(nearestCard(tshirts, 4)).toBe('L'); // Halfway between M and L rounds up
+    expect(nearestCard(tshirts, 100)).toBe('XXL');
+    expect(nearestCard(['?'], 3)).toBeNull();
+  });
+
+  test('should give labels their numeric value', () => {
+    expect(cardValue('½')).toBe(0.5);
+    expect(cardValue('13')).toBe(13);
+    expect(cardValue('?')).toBeNull();
+    expect(cardValue('XL')).toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { FallbackTransport } from '../../src/transports/fallback-transport.js';
+import { LocalTransport, MemoryChannelHub } from '../../src/transports/local-transport.js';
+import { PeerManager } from '../../src/peer-manager.js';
+import { SettingsManager } from '../../src/services/settings-manager.js';
+
+function createStuckConnection(peerId) {
+  const handlers = {};
+  return {
+    peer: peerId,
+    open: false,
+    on: (event, callback) => {
+      (handlers[event] = handlers[event] || []).push(callback);
+    },
+    send: jest.fn(),
+    close: jest.fn()
+  };
+}
+
+// Peers register fine but their data channels never open, like two peers behind symmetric NATs
+class BlockedTransport extends LocalTransport {
+  createPeer(id, options) {
+    const peer = super.createPeer(id, options);
+    peer.connect = (peerId) => createStuckConnection(peerId);
+    return peer;
+  }
+}
+
+describe('FallbackTransport', () => {
+  let directHub;
+  let relayHub;
+  let managers;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    directHub = new MemoryChannelHub();
+    relayHub = new MemoryChannelHub();
+    managers = [];
+  });
+
+  afterEach(() => {
+    managers.forEach(manager => manager.disconnect());
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+
+  function createManager(direct) {
+    const transport = new FallbackTransport(direct, new LocalTransport({ hub: relayHub }));
+    const manager = new PeerManager(new SettingsManager(), transport);
+    managers.push(manager);
+    return manager;
+  }
+
+  async function startSession(direct) {
+    const host = createManager(direct);
+    const created = host.createSession('123456789');
+    await jest.advanceTimersByTimeAsync(200);
+    await created;
+    return host;
+  }
+
+  test('should connect directly when the data channel opens', async () => {
+    const host = await startSession(new LocalTransport({ hub: directHub }));
+    const client = createManager(new LocalTransport({ hub: directHub }));
+
+    const joined = client.joinSession('123456789');
+    await jest.advanceTimersByTimeAsync(200);
+    await joined;
+
+    expect(client.connections.has('host-123456789')).toBe(true);
+    expect(client.isRelayed('host-123456789')).toBe(false);
+    expect(host.isRelayed(client.peer.id)).toBe(false);
+  });
+
+  test('should fall back to the relay when the data channel never opens', async () => {
+    const host = await startSession(new BlockedTransport({ hub: directHub }));
+    const client = createManager(new BlockedTransport({ hub: directHub }));
+    const dataSpy = jest.fn();
+    host.on('dataReceived', dataSpy);
+
+    const joined = client.joinSession('123456789');
+    await jest.advanceTimersByTimeAsync(5200);
+    await joined;
+    client.send('host-123456789', { type: 'clear_votes' });
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(client.isRelayed('host-123456789')).toBe(true);
+    expect(host.isRelayed(client.peer.id)).toBe(true);
+    expect(dataSpy).toHaveBeenCalledWith(client.peer.id, expect.objectContaining({ type: 'clear_votes' }));
+  });
+
+  test('should report relayed peers in the connection stats', async () => {
+    await startSession(new BlockedTransport({ hub: directHub }));
+    const client = createManager(new BlockedTransport({ hub: directHub }));
+
+    const joined = client.joinSession('123456789');
+    await jest.advanceTimersByTimeAsync(5200);
+    await joined;
+
+    expect(client.getPeerStats('host-123456789')).toMatchObject({ relayed: true });
+  });
+});
@@ -0,0 +1,829 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import { GameManager } from '../../src/game-manager.js';
+import { validateMessage, MAX_HISTORY_VOTES, HISTORY_CHUNK_SIZE } from '../../src/protocol.js';
+import { PlayerIdentity } from '../../src/services/player-identity.js';
+import { createCommitment, matchesCommitment } from '../../src/services/vote-commitment.js';
+
+// jsdom has neither WebCrypto nor TextEncoder, signed identities use the ones from Node
+global.TextEncoder = TextEncoder;
+
+async function createIdentity() {
+  localStorage.removeItem('rapidPlanningIdentity');
+  return PlayerIdentity.load(webcrypto.subtle);
+}
+
+// Another player in the same session with a key of its own, what it sends is collected in sent
+async function createSignedPeer(peerId, name, clientId) {
+  const manager = new GameManager();
+  const sent = [];
+  manager.on('broadcast', (data) => sent.push(data));
+  manager.setIdentity(await createIdentity());
+  manager.setClientId(clientId);
+  manager.setLocalPeerId(peerId);
+  manager.createSession('123456789', { name });
+  return { manager, sent };
+}
+
+describe('GameManager', () => {
+  let gameManager;
+  let broadcasts;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    gameManager = new GameManager();
+    broadcasts = [];
+    gameManager.on('broadcast', (data) => broadcasts.push(data));
+    gameManager.setLocalPeerId('peer-local');
+    gameManager.createSession('123456789', { name: 'Alice' });
+    gameManager.handlePeerMessage('peer-bob', { type: 'player_data', player: { name: 'Bob', vote: null } });
+    gameManager.handlePeerMessage('peer-carol', { type: 'player_data', player: { name: 'Carol', vote: null } });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+
+  const voteOf = (peerId) => gameManager.players.get(peerId).vote;
+
+  describe('rounds', () => {
+    test('should start the next round when clearing votes', () => {
+      const roundSpy = jest.fn();
+      gameManager.on('roundChanged', roundSpy);
+      broadcasts = [];
+
+      gameManager.castVote('5');
+      gameManager.clearVotes();
+
+      expect(gameManager.round).toBe(2);
+      expect(roundSpy).toHaveBeenCalledWith(2);
+      expect(broadcasts.map(({ type, round }) => [type, round])).toEqual([['vote', 1], ['clear_votes', 2]]);
+    });
+
+    test('should discard votes from a round that was already cleared', () => {
+      gameManager.clearVotes();
+      gameManager.handlePeerMessage('peer-bob', { type: 'vote', vote: '8', round: 1 });
+
+      expect(voteOf('peer-bob')).toBeNull();
+    });
+
+    test('should ignore a late clear for the current round', () => {
+      gameManager.handlePeerMessage('peer-bob', { type: 'clear_votes', round: 2 });
+      gameManager.handlePeerMessage('peer-carol', { type: 'vote', vote: '3', round: 2 });
+      gameManager.handlePeerMessage('peer-carol', { type: 'clear_votes', round: 2 });
+
+      expect(gameManager.round).toBe(2);
+      expect(voteOf('peer-carol')).toBe('3');
+    });
+
+    test('should hold a vote for a later round until that round starts', () => {
+      gameManager.castVote('5');
+      gameManager.handlePeerMessage('peer-bob', { type: 'vote', vote: '8', round: 2, clock: 3 });
+
+      expect(gameManager.round).toBe(1);
+      expect(voteOf('peer-local')).toBe('5');
+      expect(voteOf('peer-bob')).toBeNull();
+
+      gameManager.handlePeerMessage('peer-carol', { type: 'clear_votes', round: 2, clock: 4 });
+
+      expect(voteOf('peer-bob')).toBe('8');
+    });
+
+    test('should only move to the next round on a clear', () => {
+      gameManager.setFacilitator('peer-local');
+      gameManager.castVote('5');
+
+      gameManager.handlePeerMessage('peer-bob', { type: 'reaction', reaction: '👍', timestamp: Date.now(), round: 7 });
+      gameManager.handlePeerMessage('peer-bob', { type: 'vote', vote: '8', round: 7, clock: 20 });
+
+      expect(gameManager.round).toBe(1);
+      expect(voteOf('peer-local')).toBe('5');
+    });
+
+    test('should ignore reveals and reactions from past rounds', () => {
+      gameManager.clearVotes();
+      gameManager.handlePeerMessage('peer-bob', { type: 'show_votes', allVotes: {}, round: 1 });
+      gameManager.handlePeerMessage('peer-bob', { type: 'reaction', reaction: '👍', round: 1 });
+
+      expect(gameManager.votesRevealed).toBe(false);
+      expect(gameManager.players.get('peer-bob').reaction).toBeFalsy();
+    });
+
+    test('should treat messages from older clients as current', () => {
+      gameManager.clearVotes();
+      gameManager.handlePeerMessage('peer-bob', { type: 'vote', vote: '8' });
+      gameManager.handlePeerMessage('peer-carol', { type: 'clear_votes' });
+
+      expect(gameManager.round).toBe(3);
+      expect(voteOf('peer-bob')).toBeNull();
+    });
+  });
+
+  describe('replicated state', () => {
+    test('should not let a reveal overwrite a vote cast since', () => {
+      gameManager.handlePeerMessage('peer-bob', { type: 'vote', vote: '8', round: 1, clock: 6 });
+      gameManager.handlePeerMessage('peer-carol', {
+        type: 'show_votes',
+        round: 1,
+        clock: 5,
+        allVotes: { 'peer-bob': { name: 'Bob', vote: '3', round: 1, clock: 2 } }
+      });
+
+      expect(voteOf('peer-bob')).toBe('8');
+      expect(gameManager.votesRevealed).toBe(true);
+    });
+
+    test('should agree with the other peers on a clear and a reveal sent at the same time', () => {
+      gameManager.castVote('5');
+      gameManager.showVotes();
+      gameManager.handlePeerMessage('peer-bob', { type: 'clear_votes', round: 2, clock: 1 });
+
+      expect(gameManager.round).toBe(2);
+      expect(gameManager.votesRevealed).toBe(false);
+      expect(voteOf('peer-local')).toBeNull();
+    });
+
+    test('should ignore a vote from an older round in a late profile update', () => {
+      gameManager.handlePeerMessage('peer-bob', { type: 'clear_votes', round: 2, clock: 4 });
+      gameManager.handlePeerMessage('peer-bob', { type: 'player_data', player: { name: 'Bob', vote: '8' }, round: 1, clock: 3 });
+
+      expect(voteOf('peer-bob')).toBeNull();
+    });
+  });
+
+  describe('decks', () => {
+    const tshirts = ['XS', 'S', 'M', 'L', 'XL', '?'];
+
+    test('should broadcast the deck it picks', () => {
+      const deckSpy = jest.fn();
+      gameManager.on('deckChanged', deckSpy);
+      broadcasts = [];
+
+      gameManager.setDeck(tshirts);
+
+      expect(gameManager.getVoteCards()).toEqual(tshirts);
+      expect(deckSpy).toHaveBeenCalledWith(tshirts);
+      expect(broadcasts).toEqual([{ type: 'room_setting', key: 'deck', value: tshirts, clock: 1 }]);
+    });
+
+    test('should take the deck another peer picked and accept its cards', () => {
+      gameManager.handlePeerMessage('peer-bob', { type: 'room_setting', key: 'deck', value: tshirts, clock: 3 });
+      gameManager.handlePeerMessage('peer-carol', { type: 'vote', vote: 'XL', round: 1, clock: 4 });
+
+      expect(gameManager.getVoteCards()).toEqual(tshirts);
+      expect(voteOf('peer-carol')).toBe('XL');
+    });
+
+    test('should keep the later of two decks picked at the same time', () => {
+      gameManager.setDeck(tshirts);
+      gameManager.handlePeerMessage('peer-bob', { type: 'room_setting', key: 'deck', value: ['1', '2', '3'], clock: 1 });
+
+      // Same clock, the higher peer ID wins on every peer
+      expect(gameManager.getVoteCards()).toEqual(tshirts);
+    });
+
+    test('should hand the deck to late joiners with the snapshot', () => {
+      gameManager.setDeck(tshirts);
+      const joiner = new GameManager();
+      joiner.setLocalPeerId('peer-dave');
+      joiner.joinSession('123456789');
+      joiner.requestState('peer-local');
+
+      joiner.handlePeerMessage('peer-local', { type: 'state_snapshot', state: gameManager.getStateSnapshot() });
+
+      expect(joiner.getVoteCards()).toEqual(tshirts);
+    });
+
+    test('should average and compare votes of the deck in use', () => {
+      gameManager.setDeck(['1', '2', '4', '8', '16', '?']);
+
+      expect(gameManager.calculateAverage(['2', '4', '?'])).toBe('3.0');
+      expect(gameManager.detectConsensus(['2', '4']).type).toBe('close');
+    });
+  });
+
+  describe('story queue', () => {
+    test('should make the first story current and broadcast the queue', () => {
+      const storiesSpy = jest.fn();
+      gameManager.on('storiesChanged', storiesSpy);
+      broadcasts = [];
+
+      const story = gameManager.addStory({ title: 'Login page', key: 'WEB-1', url: '', description: '' });
+
+      expect(story).toEqual({ id: expect.any(String), title: 'Login page', key: 'WEB-1' });
+      expect(gameManager.currentStory).toBe(gameManager.stories[0]);
+      expect(storiesSpy).toHaveBeenLastCalledWith([story], story);
+      expect(broadcasts.map(message => [message.type, message.key])).toEqual([
+        ['room_setting', 'stories'],
+        ['room_setting', 'currentStory']
+      ]);
+    });
+
+    test('should clear the votes when moving on to the next story', () => {
+      const first = gameManager.addStory({ title: 'First' });
+      const second = gameManager.addStory({ title: 'Second' });
+      gameManager.handlePeerMessage('peer-bob', { type: 'vote', vote: '5', round: 1, clock: 10 });
+
+      expect(gameManager.nextStory()).toBe(true);
+
+      expect(gameManager.currentStory.id).toBe(second.id);
+      expect(gameManager.round).toBe(2);
+      expect(voteOf('peer-bob')).toBeNull();
+      expect(gameManager.nextStory()).toBe(false);
+      expect(gameManager.stories.map(story => story.id)).toEqual([first.id, second.id]);
+    });
+
+    test('should reorder and remove stories', () => {
+      const first = gameManager.addStory({ title: 'First' });
+      const second = gameManager.addStory({ title: 'Second' });
+
+      gameManager.moveStory(second.id, -1);
+      expect(gameManager.stories.map(story => story.title)).toEqual(['Second', 'First']);
+
+      gameManager.removeStory(first.id);
+      expect(gameManager.stories.map(story => story.title)).toEqual(['Second']);
+      expect(gameManager.currentStory).toBeNull();
+    });
+
+    test('should follow the story the host selected', () => {
+      const story = { id: 'abc123', title: 'Checkout' };
+      gameManager.handlePeerMessage('peer-bob', { type: 'room_setting', key: 'stories', value: [story], clock: 5 });
+      gameManager.handlePeerMessage('peer-bob', { type: 'room_setting', key: 'currentStory', value: 'abc123', clock: 6 });
+
+      expect(gameManager.currentStory).toEqual(story);
+    });
+
+    test('should hand the queue to late joiners with the snapshot', () => {
+      gameManager.addStory({ title: 'First' });
+      const second = gameManager.addStory({ title: 'Second' });
+      gameManager.selectStory(second.id);
+      const joiner = new GameManager();
+      joiner.setLocalPeerId('peer-dave');
+      joiner.joinSession('123456789');
+      joiner.requestState('peer-local');
+
+      joiner.handlePeerMessage('peer-local', { type: 'state_snapshot', state: gameManager.getStateSnapshot() });
+
+      expect(joiner.stories).toEqual(gameManager.stories);
+      expect(joiner.currentStory).toEqual(second);
+    });
+  });
+
+  describe('round history', () => {
+    const revealRound = (votes) => {
+      Object.entries(votes).forEach(([peerId, vote]) => {
+        gameManager.handlePeerMessage(peerId, { type: 'vote', vote, round: gameManager.round, clock: 20 });
+      });
+      gameManager.showVotes();
+    };
+
+    test('should suggest the agreed card or the card nearest the average', () => {
+      revealRound({ 'peer-bob': '5', 'peer-carol': '5' });
+      expect(gameManager.getSuggestedEstimate()).toBe('5');
+
+      gameManager.clearVotes();
+      revealRound({ 'peer-bob': '3', 'peer-carol': '8' });
+      expect(gameManager.getSuggestedEstimate()).toBe('5');
+    });
+
+    test('should commit the revealed round with its votes, consensus and duration', () => {
+      const historySpy = jest.fn();
+      gameManager.on('historyChanged', historySpy);
+      const story = gameManager.addStory({ title: 'Login page', key: 'WEB-1' });
+      gameManager.handlePeerMessage('peer-bob', { type: 'vote', vote: '5', round: 1, clock: 20 });
+      jest.advanceTimersByTime(90000);
+      gameManager.showVotes();
+      jest.advanceTimersByTime(30000);
+      broadcasts = [];
+
+      const entry = gameManager.commitEstimate(' 5 ');
+
+      expect(entry).toEqual({
+        id: expect.any(String),
+        round: 1,
+        estimate: '5',
+        votes: [{ name: 'Bob', vote: '5' }],
+        consensus: 'insufficient',
+        duration: 90000,
+        committedAt: expect.any(Number),
+        storyId: story.id,
+        title: 'Login page',
+        key: 'WEB-1'
+      });
+      expect(historySpy).toHaveBeenCalledWith([entry]);
+      expect(broadcasts).toEqual([{ type: 'history_entries', entries: [entry] }]);
+    });
+
+    test('should keep at most MAX_HISTORY_VOTES votes in an entry', () => {
+      for (let i = 0; i < MAX_HISTORY_VOTES + 10; i++) {
+        gameManager.handlePeerMessage(`peer-${i}`, { type: 'player_data', player: { name: `Player ${i}`, vote: null } });
+        gameManager.handlePeerMessage(`peer-${i}`, { type: 'vote', vote: '3', round: 1, clock: 20 });
+      }
+      gameManager.showVotes();
+      broadcasts = [];
+
+      const entry = gameManager.commitEstimate('3');
+
+      expect(entry.votes).toHaveLength(MAX_HISTORY_VOTES);
+      expect(validateMessage(broadcasts[0]).valid).toBe(true);
+    });
+
+    test('should only commit once the votes are shown', () => {
+      expect(gameManager.commitEstimate('5')).toBeNull();
+      expect(gameManager.history).toEqual([]);
+    });
+
+    test('should keep the history through later rounds and hand it to late joiners in small messages', () => {
+      const entries = [];
+      for (let i = 0; i < HISTORY_CHUNK_SIZE + 2; i++) {
+        revealRound({ 'peer-bob': '8', 'peer-carol': '8' });
+        entries.push(gameManager.commitEstimate('8'));
+        gameManager.clearVotes();
+        jest.advanceTimersByTime(60000);
+      }
+      const joiner = new GameManager();
+      joiner.setLocalPeerId('peer-dave');
+      joiner.joinSession('123456789');
+      joiner.requestState('peer-local');
+      const replies = [];
+      gameManager.on('sendToPlayer', (peerId, data) => replies.push(data));
+
+      gameManager.handlePeerMessage('peer-dave', { type: 'request_state' });
+      replies.forEach(data => joiner.handlePeerMessage('peer-local', data));
+
+      expect(replies.map(data => data.type)).toEqual(['state_snapshot', 'history_entries', 'history_entries']);
+      expect(replies[0].state.settings.history).toBeUndefined();
+      expect(gameManager.history).toEqual(entries);
+      expect(joiner.history).toEqual(entries);
+    });
+
+    test('should only take history entries from the facilitator', () => {
+      gameManager.setFacilitator('peer-local');
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      revealRound({ 'peer-bob': '8', 'peer-carol': '8' });
+      const entry = gameManager.commitEstimate('8');
+
+      gameManager.handlePeerMessage('peer-bob', { type: 'history_entries', entries: [{ ...entry, id: 'forged' }] });
+      console.warn.mockRestore();
+
+      expect(gameManager.history).toEqual([entry]);
+    });
+  });
+
+  describe('facilitator', () => {
+    const handOverToBob = () => {
+      gameManager.setFacilitator('peer-bob');
+      broadcasts = [];
+    };
+
+    test('should broadcast who the facilitator is', () => {
+      broadcasts = [];
+      gameManager.setFacilitator('peer-local');
+
+      expect(gameManager.isFacilitator()).toBe(true);
+      expect(gameManager.getFacilitatorPeerId()).toBe('peer-local');
+      expect(broadcasts).toEqual([{ type: 'room_setting', key: 'facilitator', value: 'peer-local', clock: 1 }]);
+    });
+
+    test('should ignore clears, reveals and settings from other players', () => {
+      gameManager.setFacilitator('peer-local');
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      gameManager.handlePeerMessage('peer-bob', { type: 'clear_votes', round: 2, clock: 5 });
+      gameManager.handlePeerMessage('peer-bob', { type: 'show_votes', allVotes: {}, round: 1, clock: 6 });
+      gameManager.handlePeerMessage('peer-bob', { type: 'room_setting', key: 'deck', value: ['XS', 'S'], clock: 7 });
+      console.warn.mockRestore();
+
+      expect(gameManager.round).toBe(1);
+      expect(gameManager.votesRevealed).toBe(false);
+      expect(gameManager.getVoteCards()).not.toEqual(['XS', 'S']);
+    });
+
+    test('should not reveal, clear or change settings after handing the role over', () => {
+      handOverToBob();
+
+      gameManager.showVotes();
+      gameManager.clearVotes();
+      gameManager.setDeck(['XS', 'S']);
+      gameManager.handlePeerMessage('peer-bob', { type: 'clear_votes', round: 2, clock: 5 });
+
+      expect(gameManager.isFacilitator()).toBe(false);
+      expect(broadcasts).toEqual([]);
+      expect(gameManager.round).toBe(2);
+    });
+
+    test('should still reveal a round everyone voted in', () => {
+      handOverToBob();
+
+      gameManager.castVote('3');
+      gameManager.handlePeerMessage('peer-bob', { type: 'vote', vote: '5', round: 1, clock: 10 });
+      gameManager.handlePeerMessage('peer-carol', { type: 'vote', vote: '8', round: 1, clock: 11 });
+      jest.advanceTimersByTime(500);
+
+      expect(gameManager.votesRevealed).toBe(true);
+    });
+
+    test('should only let others reveal and clear while the facilitator is away', () => {
+      handOverToBob();
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      gameManager.removePeer('peer-bob');
+      gameManager.clearVotes();
+      gameManager.setDeck(['XS', 'S']);
+      gameManager.setFacilitator('peer-local');
+      gameManager.handlePeerMessage('peer-carol', { type: 'room_setting', key: 'facilitator', value: 'peer-carol', clock: 9 });
+      console.warn.mockRestore();
+
+      expect(gameManager.round).toBe(2);
+      expect(gameManager.canRunRound()).toBe(true);
+      expect(gameManager.isFacilitator()).toBe(false);
+      expect(gameManager.getVoteCards()).not.toEqual(['XS', 'S']);
+      expect(gameManager.roomState.getSetting('facilitator')).toBe('peer-bob');
+    });
+
+    test('should only take settings from a snapshot the facilitator sent', () => {
+      gameManager.setFacilitator('peer-carol');
+      const requests = [];
+      gameManager.on('sendToPlayer', (peerId, data) => requests.push([peerId, data.type]));
+
+      const host = new GameManager();
+      host.setLocalPeerId('peer-bob');
+      host.createSession('123456789', { name: 'Bob' });
+      host.roomState.observe(100);
+      host.setFacilitator('peer-bob');
+      host.setDeck(['XS', 'S']);
+
+      gameManager.requestState('peer-bob');
+      gameManager.handlePeerMessage('peer-bob', { type: 'state_snapshot', state: host.getStateSnapshot() });
+
+      expect(gameManager.roomState.getSetting('facilitator')).toBe('peer-carol');
+      expect(gameManager.getVoteCards()).not.toEqual(['XS', 'S']);
+      expect(gameManager.stateSynced).toBe(true);
+      expect(requests).toEqual([['peer-bob', 'request_state'], ['peer-carol', 'request_state']]);
+    });
+
+    describe('with signed players', () => {
+      let bob;
+      let bobBroadcasts;
+
+      async function deliverFromBob(peerId) {
+        await bob.signing;
+        for (const message of bobBroadcasts.splice(0)) {
+          await gameManager.handlePeerMessage(peerId, message);
+        }
+      }
+
+      beforeEach(async () => {
+        localStorage.clear();
+        gameManager.setIdentity(await createIdentity());
+        ({ manager: bob, sent: bobBroadcasts } = await createSignedPeer('peer-bob', 'Bob', 'client-bob'));
+        await deliverFromBob('peer-bob');
+        handOverToBob();
+      });
+
+      test('should give the role to the facilitator\'s key', () => {
+        expect(gameManager.roomState.getSetting('facilitator')).toBe(bob.identity.publicKey);
+      });
+
+      test('should keep the role with a facilitator that comes back under a new peer ID', async () => {
+        gameManager.removePeer('peer-bob');
+        bob.setLocalPeerId('peer-bob-2');
+        await deliverFromBob('peer-bob-2');
+
+        expect(gameManager.getFacilitatorPeerId()).toBe('peer-bob-2');
+        expect(gameManager.isFacilitator()).toBe(false);
+        expect(gameManager.canRunRound()).toBe(false);
+      });
+
+      test('should not give the role to a peer that copies what the facilitator sends', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        gameManager.removePeer('peer-bob');
+        await gameManager.handlePeerMessage('peer-mallory', {
+          type: 'player_data',
+          player: { name: 'Bob', vote: null, clientId: bob.getAnnouncedClientId(), publicKey: bob.identity.publicKey }
+        });
+        gameManager.handlePeerMessage('peer-mallory', { type: 'room_setting', key: 'facilitator', value: 'peer-mallory', clock: 9 });
+        console.warn.mockRestore();
+
+        expect(gameManager.getFacilitatorPeerId()).toBeNull();
+        expect(gameManager.roomState.getSetting('facilitator')).toBe(bob.identity.publicKey);
+      });
+    });
+  });
+
+  describe('stable identity', () => {
+    let dave;
+    let daveBroadcasts;
+
+    async function deliverFromDave(peerId) {
+      await dave.signing;
+      const messages = daveBroadcasts.splice(0);
+      for (const message of messages) {
+        await gameManager.handlePeerMessage(peerId, message);
+      }
+    }
+
+    // Same browser, so the same key and client ID, under a new peer ID
+    const refreshDave = () => {
+      dave.setLocalPeerId('peer-dave-2');
+      return deliverFromDave('peer-dave-2');
+    };
+
+    beforeEach(async () => {
+      localStorage.clear();
+      gameManager.setIdentity(await createIdentity());
+      ({ manager: dave, sent: daveBroadcasts } = await createSignedPeer('peer-dave', 'Dave', 'client-dave'));
+      dave.castVote('8');
+      dave.setReaction('🎉');
+      await deliverFromDave('peer-dave');
+    });
+
+    test('should put a refreshed client back on its row with its vote and reaction', async () => {
+      await refreshDave();
+
+      expect(gameManager.players.has('peer-dave')).toBe(false);
+      expect(gameManager.players.size).toBe(4);
+      expect(gameManager.players.get('peer-dave-2').voted).toBe(true);
+      expect(gameManager.players.get('peer-dave-2').reaction).toBe('🎉');
+    });
+
+    test('should keep the vote when the old connection closed first', async () => {
+      gameManager.removePeer('peer-dave');
+      await refreshDave();
+
+      expect(gameManager.players.get('peer-dave-2').voted).toBe(true);
+    });
+
+    test('should not touch the new row when the old connection closes late', async () => {
+      await refreshDave();
+      gameManager.removePeer('peer-dave');
+
+      expect(gameManager.players.has('peer-dave-2')).toBe(true);
+      expect(broadcasts.some(data => data.type === 'player_disconnected')).toBe(false);
+    });
+
+    test('should recognize a member knocking under a new peer ID', async () => {
+      dave.setLocalPeerId('peer-dave-2');
+      await dave.signing;
+      const playerData = daveBroadcasts.find(message => message.type === 'player_data');
+
+      expect(await gameManager.isReturningMember('peer-dave-2', playerData)).toBe(true);
+      expect(await gameManager.isReturningMember('peer-mallory', playerData)).toBe(false);
+      expect(await gameManager.isReturningMember('peer-erin', { type: 'player_data', player: { name: 'Erin', clientId: 'client-erin' } })).toBe(false);
+    });
+
+    test('should announce a salted hash of its client ID instead of the ID itself', async () => {
+      gameManager.setClientId('client-alice');
+      gameManager.setPlayerData({ name: 'Alice' });
+      await gameManager.signing;
+      const announced = broadcasts[broadcasts.length - 1].player.clientId;
+
+      expect(announced).toMatch(/^[0-9a-f]{64}$/);
+      expect(announced).toBe(gameManager.getAnnouncedClientId());
+      gameManager.setSessionId('987654321');
+      expect(gameManager.getAnnouncedClientId()).not.toBe(announced);
+    });
+
+    test('should not hand a row to a player that copies its client ID', async () => {
+      const { manager: mallory, sent } = await createSignedPeer('peer-mallory', 'Mallory', 'client-mallory');
+      mallory.setClientId('client-dave');
+      mallory.broadcastPlayerUpdate();
+      await mallory.signing;
+      for (const message of sent) {
+        await gameManager.handlePeerMessage('peer-mallory', message);
+      }
+
+      expect(gameManager.players.get('peer-dave').voted).toBe(true);
+      expect(gameManager.clientKeys.get(dave.getAnnouncedClientId())).toBe(dave.identity.publicKey);
+    });
+
+    test('should keep rows apart when it cannot check signatures', () => {
+      const player = { name: 'Dave', clientId: 'client-dave', vote: null };
+      gameManager.setIdentity(null);
+
+      gameManager.handlePeerMessage('peer-erin', { type: 'player_data', player });
+      gameManager.handlePeerMessage('peer-mallory', { type: 'player_data', player });
+
+      expect(gameManager.players.has('peer-erin')).toBe(true);
+      expect(gameManager.players.has('peer-mallory')).toBe(true);
+    });
+  });
+
+  describe('signed identity', () => {
+    let dave;
+    let daveBroadcasts;
+
+    // Hand everything Dave sent so far to Alice, once signed
+    async function deliverFromDave(peerId = 'peer-dave') {
+      await dave.signing;
+      const messages = daveBroadcasts.splice(0);
+      for (const message of messages) {
+        await gameManager.handlePeerMessage(peerId, message);
+      }
+    }
+
+    beforeEach(async () => {
+      localStorage.clear();
+      gameManager.setIdentity(await createIdentity());
+
+      ({ manager: dave, sent: daveBroadcasts } = await createSignedPeer('peer-dave', 'Dave', 'client-dave'));
+      await deliverFromDave();
+    });
+
+    test('should accept signed player data and votes', async () => {
+      dave.castVote('8');
+      await deliverFromDave();
+
+      expect(gameManager.players.get('peer-dave').voted).toBe(true);
+
+      dave.showVotes();
+      await deliverFromDave();
+
+      expect(voteOf('peer-dave')).toBe('8');
+    });
+
+    test('should refuse an unsigned vote from a peer that has a key', async () => {
+      await gameManager.handlePeerMessage('peer-dave', { type: 'vote', vote: '13', round: 1, clock: 50 });
+
+      expect(voteOf('peer-dave')).toBeNull();
+    });
+
+    test('should refuse votes claimed on behalf of other players', async () => {
+      await gameManager.handlePeerMessage('peer-carol', {
+        type: 'show_votes',
+        round: 1,
+        clock: 50,
+        allVotes: { 'peer-dave': { name: 'Dave', vote: '100', round: 1, clock: 50 } }
+      });
+
+      expect(voteOf('peer-dave')).toBeNull();
+    });
+
+    test('should accept another player\'s vote passed on with its signature', async () => {
+      dave.castVote('8');
+      await dave.signing;
+      daveBroadcasts.length = 0;
+      dave.showVotes();
+      const [reveal] = daveBroadcasts.splice(0);
+
+      await gameManager.handlePeerMessage('peer-carol', reveal);
+
+      expect(voteOf('peer-dave')).toBe('8');
+    });
+
+    test('should not let another key take over a player\'s row', async () => {
+      const { manager: mallory, sent } = await createSignedPeer('peer-mallory', 'Dave', 'client-dave');
+      await mallory.signing;
+
+      await gameManager.handlePeerMessage('peer-mallory', sent[sent.length - 1]);
+
+      expect(gameManager.players.has('peer-dave')).toBe(true);
+      expect(gameManager.players.has('peer-mallory')).toBe(false);
+    });
+
+    test('should refuse unsigned player data carrying a known client ID', async () => {
+      dave.castVote('8');
+      await deliverFromDave();
+
+      await gameManager.handlePeerMessage('peer-mallory', { type: 'player_data', player: { name: 'Dave', vote: null, clientId: dave.getAnnouncedClientId() } });
+
+      expect(gameManager.players.has('peer-dave')).toBe(true);
+      expect(gameManager.players.has('peer-mallory')).toBe(false);
+      expect(gameManager.players.get('peer-dave').voted).toBe(true);
+      expect(gameManager.peerKeys.has('peer-mallory')).toBe(false);
+    });
+
+    test('should refuse signed player data replayed from another peer', async () => {
+      dave.broadcastPlayerUpdate();
+      await dave.signing;
+      const [playerData] = daveBroadcasts.splice(0);
+
+      await gameManager.handlePeerMessage('peer-mallory', playerData);
+
+      expect(gameManager.players.has('peer-dave')).toBe(true);
+      expect(gameManager.players.has('peer-mallory')).toBe(false);
+    });
+
+    test('should take back a refreshed player\'s row signed from its new peer ID', async () => {
+      dave.setLocalPeerId('peer-dave-2');
+      await deliverFromDave('peer-dave-2');
+
+      expect(gameManager.players.has('peer-dave')).toBe(false);
+      expect(gameManager.players.has('peer-dave-2')).toBe(true);
+    });
+
+    test('should mark players whose key it saw in an earlier session', async () => {
+      expect(gameManager.players.get('peer-dave').verified).toBe(false);
+
+      localStorage.setItem('rapidPlanningKnownPlayers', JSON.stringify({
+        [dave.identity.publicKey]: { name: 'Dave', sessionId: '987654321', lastSeen: Date.now() }
+      }));
+      dave.broadcastPlayerUpdate();
+      await deliverFromDave();
+
+      expect(gameManager.players.get('peer-dave').verified).toBe(true);
+    });
+  });
+
+  describe('commit-reveal', () => {
+    // Bob commits to a vote and later opens it with the given value
+    function commitFromBob(vote) {
+      const { commitment, salt } = createCommitment(vote);
+      gameManager.handlePeerMessage('peer-bob', { type: 'vote', commitment, round: 1, clock: 5 });
+      return salt;
+    }
+
+    test('should only broadcast the commitment of a hidden vote', () => {
+      gameManager.castVote('5');
+      const [vote] = broadcasts.filter(data => data.type === 'vote');
+
+      expect(vote.commitment).toMatch(/^[a-f0-9]{64}$/);
+      expect(vote).not.toHaveProperty('vote');
+      expect(gameManager.getPlayerDataMessage().player.vote).toBeNull();
+    });
+
+    test('should reveal its vote and salt when the round is shown', () => {
+      gameManager.castVote('5');
+      gameManager.handlePeerMessage('peer-bob', { type: 'show_votes', round: 1, clock: 10 });
+
+      const reveal = broadcasts.find(data => data.type === 'reveal_vote');
+      const { commitment } = broadcasts.find(data => data.type === 'vote');
+      expect(reveal).toMatchObject({ vote: '5', round: 1, clock: 1 });
+      expect(matchesCommitment(commitment, reveal.vote, reveal.salt)).toBe(true);
+    });
+
+    test('should show a revealed vote that matches its commitment', () => {
+      const salt = commitFromBob('3');
+
+      expect(voteOf('peer-bob')).toBeNull();
+      expect(gameManager.players.get('peer-bob').voted).toBe(true);
+
+      gameManager.handlePeerMessage('peer-bob', { type: 'show_votes', round: 1, clock: 10 });
+      gameManager.handlePeerMessage('peer-bob', { type: 'reveal_vote', vote: '3', salt, round: 1, clock: 5 });
+
+      expect(voteOf('peer-bob')).toBe('3');
+      expect(gameManager.players.get('peer-bob').voteMismatch).toBe(false);
+    });
+
+    test('should flag a revealed vote that does not match its commitment', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const salt = commitFromBob('3');
+
+      gameManager.handlePeerMessage('peer-bob', { type: 'show_votes', round: 1, clock: 10 });
+      gameManager.handlePeerMessage('peer-bob', { type: 'reveal_vote', vote: '8', salt, round: 1, clock: 5 });
+
+      expect(voteOf('peer-bob')).toBeNull();
+      expect(gameManager.players.get('peer-bob').voteMismatch).toBe(true);
+    });
+
+    test('should not carry a mismatch over to the next round', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const salt = commitFromBob('3');
+      gameManager.handlePeerMessage('peer-bob', { type: 'reveal_vote', vote: '8', salt, round: 1, clock: 5 });
+
+      gameManager.clearVotes();
+
+      expect(gameManager.players.get('peer-bob').voteMismatch).toBe(false);
+    });
+  });
+
+  describe('state snapshot', () => {
+    test('should describe the round without leaking hidden votes', () => {
+      gameManager.castVote('5');
+      const { commitment } = gameManager.roomState.votes.get('peer-local');
+
+      expect(gameManager.getStateSnapshot()).toEqual({
+        clock: 1,
+        round: 1,
+        revealed: false,
+        votes: { 'peer-local': { name: 'Alice', commitment, round: 1, clock: 1, signature: undefined } },
+        settings: { deck: { value: gameManager.getVoteCards(), clock: 0, peerId: '' } }
+      });
+    });
+
+    test('should only accept a snapshot it asked for', () => {
+      gameManager.handlePeerMessage('peer-bob', {
+        type: 'state_snapshot',
+        state: { clock: 9, round: 4, revealed: false, votes: {}, settings: {} }
+      });
+
+      expect(gameManager.round).toBe(1);
+    });
+
+    test('should move to the round of the snapshot and drop an earlier local vote', () => {
+      gameManager.castVote('5');
+      gameManager.requestState('peer-host');
+      gameManager.handlePeerMessage('peer-host', {
+        type: 'state_snapshot',
+        state: { clock: 9, round: 4, revealed: false, votes: {}, settings: {} }
+      });
+
+      expect(gameManager.round).toBe(4);
+      expect(gameManager.stateSynced).toBe(true);
+      expect(voteOf('peer-local')).toBeNull();
+    });
+  });
+});
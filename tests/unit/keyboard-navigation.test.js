@@ -79,6 +79,18 @@ describe('Keyboard Navigation', () => {
       expect(uiManager.emit).toHaveBeenCalledWith('showVotes');
     });
 
+    test('should leave Enter and Escape to the facilitator', () => {
+      uiManager.selectedVote = '3';
+      uiManager.setFacilitator(false, 'peer-bob');
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+      expect(uiManager.selectedVote).toBe('3');
+      expect(uiManager.emit).not.toHaveBeenCalledWith('showVotes');
+      expect(uiManager.emit).not.toHaveBeenCalledWith('clearVotes');
+    });
+
     test('should handle + key to navigate to next vote', () => {
       uiManager.selectedVote = '1';
       const event = new KeyboardEvent('keydown', { key: '+' });
@@ -252,6 +264,26 @@ describe('Keyboard Navigation', () => {
       jest.advanceTimersByTime(250);
       expect(uiManager.selectedVote).toBe('8'); // Closest match to "10"
     });
+
+    test('should vote with the letters of a T-shirt deck', () => {
+      uiManager.setDeck(['XS', 'S', 'M', 'L', 'XL', '?']);
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'x' }));
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'l' }));
+      jest.advanceTimersByTime(500);
+
+      expect(uiManager.selectedVote).toBe('XL');
+    });
+
+    test('should ignore digits when the deck has no numbers', () => {
+      uiManager.setDeck(['XS', 'S', 'M', 'L', 'XL', '?']);
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: '5' }));
+      jest.advanceTimersByTime(500);
+
+      expect(uiManager.selectedVote).toBeNull();
+      expect(uiManager.emit).not.toHaveBeenCalledWith('vote', expect.anything());
+    });
   });
 
   describe('vote navigation', () => {
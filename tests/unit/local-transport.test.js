@@ -0,0 +1,344 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { LocalTransport, MemoryChannelHub } from '../../src/transports/local-transport.js';
+import { createTransport, PeerJSTransport } from '../../src/transports/index.js';
+import { PeerManager } from '../../src/peer-manager.js';
+import { GameManager } from '../../src/game-manager.js';
+import { SettingsManager } from '../../src/services/settings-manager.js';
+
+describe('LocalTransport', () => {
+  let transport;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    transport = new LocalTransport({ hub: new MemoryChannelHub() });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  async function openPeer(id) {
+    const peer = transport.createPeer(id, {});
+    await jest.advanceTimersByTimeAsync(100);
+    return peer;
+  }
+
+  test('should open peers with the requested or a generated ID', async () => {
+    const host = await openPeer('host-123456789');
+    const client = await openPeer(null);
+
+    expect(host.open).toBe(true);
+    expect(host.id).toBe('host-123456789');
+    expect(client.id).toEqual(expect.any(String));
+  });
+
+  test('should refuse an ID that is already taken', async () => {
+    await openPeer('host-123456789');
+    const errorSpy = jest.fn();
+
+    const duplicate = transport.createPeer('host-123456789', {});
+    duplicate.on('error', errorSpy);
+    await jest.advanceTimersByTimeAsync(100);
+
+    expect(duplicate.open).toBe(false);
+    expect(errorSpy).toHaveBeenCalledWith(expect.objectContaining({ type: 'unavailable-id' }));
+  });
+
+  test('should connect peers and exchange data both ways', async () => {
+    const host = await openPeer('host');
+    const client = await openPeer('client');
+    const received = [];
+    host.on('connection', (conn) => {
+      conn.on('data', (data) => received.push(['host', data]));
+      conn.on('open', () => conn.send({ hello: 'client' }));
+    });
+
+    const conn = client.connect('host');
+    conn.on('data', (data) => received.push(['client', data]));
+    conn.on('open', () => conn.send({ hello: 'host' }));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(conn.open).toBe(true);
+    expect(received).toEqual([['client', { hello: 'client' }], ['host', { hello: 'host' }]]);
+  });
+
+  test('should close both ends of a connection', async () => {
+    const host = await openPeer('host');
+    const client = await openPeer('client');
+    const hostCloseSpy = jest.fn();
+    host.on('connection', (conn) => conn.on('close', hostCloseSpy));
+
+    client.connect('host');
+    await jest.advanceTimersByTimeAsync(0);
+    client.destroy();
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(hostCloseSpy).toHaveBeenCalled();
+  });
+
+  test('should report peers that do not exist', async () => {
+    const client = await openPeer('client');
+    const errorSpy = jest.fn();
+    client.on('error', errorSpy);
+
+    client.connect('host-nobody');
+    await jest.advanceTimersByTimeAsync(3000);
+
+    expect(errorSpy).toHaveBeenCalledWith(expect.objectContaining({ type: 'peer-unavailable' }));
+  });
+
+  test('should be picked through the transport setting', () => {
+    expect(createTransport({ transport: 'local' })).toBeInstanceOf(LocalTransport);
+    expect(createTransport({ transport: 'peerjs' })).toBeInstanceOf(PeerJSTransport);
+    expect(createTransport()).toBeInstanceOf(PeerJSTransport);
+  });
+});
+
+describe('Multiplayer over the local transport', () => {
+  let transport;
+  let players;
+  let settings;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    transport = new LocalTransport({ hub: new MemoryChannelHub() });
+    players = [];
+    settings = {};
+  });
+
+  afterEach(() => {
+    players.forEach(player => player.peerManager.disconnect());
+    localStorage.clear();
+    jest.useRealTimers();
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  // Wire a PeerManager and a GameManager together the way the app does
+  function createPlayer(name) {
+    const settingsManager = new SettingsManager();
+    settingsManager.save(settings);
+    const peerManager = new PeerManager(settingsManager, transport);
+    const gameManager = new GameManager();
+
+    peerManager.on('connected', (peerId) => gameManager.setLocalPeerId(peerId));
+    peerManager.on('peerConnected', (peerId) => {
+      gameManager.addPeer(peerId);
+      if (!peerManager.isHost && peerId === peerManager.getHostPeerId()) gameManager.requestState(peerId);
+    });
+    peerManager.on('joinApproved', (peerId) => gameManager.requestState(peerId));
+    peerManager.on('peerDisconnected', (peerId) => gameManager.removePeer(peerId));
+    peerManager.on('dataReceived', (peerId, data) => gameManager.handlePeerMessage(peerId, data));
+    gameManager.on('broadcast', (data) => peerManager.broadcast(data));
+    gameManager.on('sendToPlayer', (peerId, data) => peerManager.send(peerId, data));
+
+    const player = { name, peerManager, gameManager };
+    players.push(player);
+    return player;
+  }
+
+  async function host(name, sessionId) {
+    const player = createPlayer(name);
+    const created = player.peerManager.createSession(sessionId);
+    await jest.advanceTimersByTimeAsync(100);
+    await created;
+    player.gameManager.createSession(sessionId, { name });
+    return player;
+  }
+
+  async function join(name, sessionId) {
+    const player = createPlayer(name);
+    player.gameManager.setPlayerData({ name });
+    player.gameManager.setSessionId(sessionId);
+    const joined = player.peerManager.joinSession(sessionId);
+    await jest.advanceTimersByTimeAsync(100);
+    await joined;
+    player.gameManager.joinSession(sessionId);
+    // Let the peer list go round and the mesh connections open
+    await jest.advanceTimersByTimeAsync(200);
+    return player;
+  }
+
+  const namesSeenBy = (player) => Array.from(player.gameManager.players.values()).map(p => p.name).sort();
+
+  test('should run a full voting round between three players', async () => {
+    const alice = await host('Alice', '123456789');
+    const bob = await join('Bob', '123456789');
+    const carol = await join('Carol', '123456789');
+    await jest.advanceTimersByTimeAsync(200);
+
+    players.forEach(player => {
+      expect(namesSeenBy(player)).toEqual(['Alice', 'Bob', 'Carol']);
+    });
+
+    const completeSpy = jest.fn();
+    carol.gameManager.on('votingComplete', completeSpy);
+    alice.gameManager.castVote('3');
+    bob.gameManager.castVote('5');
+    carol.gameManager.castVote('5');
+    // Votes are revealed shortly after the last one comes in
+    await jest.advanceTimersByTimeAsync(500);
+
+    expect(completeSpy).toHaveBeenCalled();
+    expect(carol.gameManager.votesRevealed).toBe(true);
+    expect(bob.gameManager.players.get(alice.peerManager.peer.id).vote).toBe('3');
+  });
+
+  test('should hand the host role over when the host leaves', async () => {
+    const alice = await host('Alice', '123456789');
+    const bob = await join('Bob', '123456789');
+    const carol = await join('Carol', '123456789');
+    await jest.advanceTimersByTimeAsync(200);
+
+    alice.peerManager.disconnect();
+    await jest.advanceTimersByTimeAsync(500);
+
+    const successor = [bob, carol].find(player => player.peerManager.isHost);
+    expect(successor).toBeDefined();
+    expect(successor.peerManager.peer.id).toBe('host-123456789');
+    expect(namesSeenBy(bob)).toEqual(['Bob', 'Carol']);
+    expect(namesSeenBy(carol)).toEqual(['Bob', 'Carol']);
+
+    const dave = await join('Dave', '123456789');
+    await jest.advanceTimersByTimeAsync(200);
+    expect(namesSeenBy(dave)).toEqual(['Bob', 'Carol', 'Dave']);
+  });
+
+  test('should show a late joiner the revealed round', async () => {
+    const alice = await host('Alice', '123456789');
+    const bob = await join('Bob', '123456789');
+    alice.gameManager.castVote('3');
+    bob.gameManager.castVote('5');
+    await jest.advanceTimersByTimeAsync(500);
+
+    const carol = await join('Carol', '123456789');
+
+    expect(carol.gameManager.votesRevealed).toBe(true);
+    expect(carol.gameManager.stateSynced).toBe(true);
+    expect(carol.gameManager.players.get(bob.peerManager.peer.id).vote).toBe('5');
+  });
+
+  test('should catch up a player the host approved', async () => {
+    const alice = await host('Alice', '123456789');
+    alice.gameManager.setFacilitator(alice.peerManager.peer.id);
+    alice.gameManager.setDeck(['XS', 'S', 'M']);
+    alice.peerManager.setRequireApproval(true);
+
+    const bob = await join('Bob', '123456789');
+    expect(bob.gameManager.stateSynced).toBe(false);
+
+    alice.peerManager.approvePeer(bob.peerManager.peer.id);
+    await jest.advanceTimersByTimeAsync(200);
+
+    expect(bob.gameManager.stateSynced).toBe(true);
+    expect(bob.gameManager.getVoteCards()).toEqual(['XS', 'S', 'M']);
+    expect(bob.gameManager.isFacilitator()).toBe(false);
+
+    bob.gameManager.castVote('S');
+    await jest.advanceTimersByTimeAsync(200);
+    expect(alice.gameManager.players.get(bob.peerManager.peer.id).voted).toBe(true);
+  });
+
+  test('should end a reveal a refreshed client still remembers', async () => {
+    const alice = await host('Alice', '123456789');
+    alice.gameManager.castVote('3');
+    await jest.advanceTimersByTimeAsync(500);
+    alice.gameManager.clearVotes();
+
+    const bob = createPlayer('Bob');
+    bob.gameManager.votesRevealed = true; // Restored from before the refresh
+    bob.gameManager.setPlayerData({ name: 'Bob' });
+    bob.gameManager.setSessionId('123456789');
+    const joined = bob.peerManager.joinSession('123456789');
+    await jest.advanceTimersByTimeAsync(100);
+    await joined;
+    bob.gameManager.joinSession('123456789');
+    await jest.advanceTimersByTimeAsync(200);
+
+    expect(bob.gameManager.votesRevealed).toBe(false);
+  });
+
+  describe('star topology', () => {
+    beforeEach(() => {
+      settings = { topology: 'star' };
+    });
+
+    test('should relay a voting round through the host', async () => {
+      const alice = await host('Alice', '123456789');
+      const bob = await join('Bob', '123456789');
+      const carol = await join('Carol', '123456789');
+      const dave = await join('Dave', '123456789');
+      await jest.advanceTimersByTimeAsync(200);
+
+      // Clients only hold the connection to the host
+      [bob, carol, dave].forEach(player => {
+        expect(Array.from(player.peerManager.connections.keys())).toEqual(['host-123456789']);
+        expect(player.peerManager.topology).toBe('star');
+      });
+      players.forEach(player => {
+        expect(namesSeenBy(player)).toEqual(['Alice', 'Bob', 'Carol', 'Dave']);
+      });
+
+      const completeSpy = jest.fn();
+      dave.gameManager.on('votingComplete', completeSpy);
+      players.forEach(player => player.gameManager.castVote('8'));
+      await jest.advanceTimersByTimeAsync(500);
+
+      expect(completeSpy).toHaveBeenCalled();
+      expect(dave.gameManager.players.get(bob.peerManager.peer.id).vote).toBe('8');
+    });
+
+    test('should drop players that leave for everyone', async () => {
+      await host('Alice', '123456789');
+      const bob = await join('Bob', '123456789');
+      const carol = await join('Carol', '123456789');
+      await jest.advanceTimersByTimeAsync(200);
+
+      carol.peerManager.disconnect();
+      await jest.advanceTimersByTimeAsync(200);
+
+      expect(namesSeenBy(bob)).toEqual(['Alice', 'Bob']);
+    });
+
+    test('should keep the star when the host role moves', async () => {
+      const alice = await host('Alice', '123456789');
+      const bob = await join('Bob', '123456789');
+      const carol = await join('Carol', '123456789');
+      const dave = await join('Dave', '123456789');
+      await jest.advanceTimersByTimeAsync(200);
+
+      alice.peerManager.disconnect();
+      await jest.advanceTimersByTimeAsync(500);
+
+      const remaining = [bob, carol, dave];
+      const successor = remaining.find(player => player.peerManager.isHost);
+      expect(successor).toBeDefined();
+      remaining.forEach(player => {
+        expect(player.peerManager.topology).toBe('star');
+        expect(namesSeenBy(player)).toEqual(['Bob', 'Carol', 'Dave']);
+      });
+      remaining.filter(player => player !== successor).forEach(player => {
+        expect(Array.from(player.peerManager.connections.keys())).toEqual(['host-123456789']);
+      });
+    });
+  });
+
+  test('should switch a growing room to star topology', async () => {
+    const alice = await host('Alice', '123456789');
+    const guests = [];
+    for (let i = 1; i <= 8; i++) {
+      guests.push(await join(`Guest ${i}`, '123456789'));
+    }
+    await jest.advanceTimersByTimeAsync(200);
+
+    expect(alice.peerManager.topology).toBe('star');
+    guests.forEach(guest => {
+      expect(guest.peerManager.topology).toBe('star');
+      expect(guest.gameManager.players.size).toBe(9);
+    });
+    // The last guest joined after the switch and only connected to the host
+    expect(guests[7].peerManager.connections.size).toBe(1);
+  });
+});
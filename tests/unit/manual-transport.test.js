@@ -0,0 +1,263 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { ManualTransport, encodeCode } from '../../src/transports/manual-transport.js';
+import { createTransport } from '../../src/transports/index.js';
+import { PeerManager } from '../../src/peer-manager.js';
+import { GameManager } from '../../src/game-manager.js';
+import { SettingsManager } from '../../src/services/settings-manager.js';
+
+// Stand-in for RTCPeerConnection: a session description names its connection, and the channels
+// of an offer and its answer open once the offering side has set the answer
+const fakeConnections = new Map();
+let nextConnectionId = 1;
+
+class FakeChannel {
+  constructor() {
+    this.readyState = 'connecting';
+    this.remote = null;
+  }
+
+  open() {
+    this.readyState = 'open';
+    if (this.onopen) this.onopen();
+  }
+
+  send(data) {
+    const remote = this.remote;
+    Promise.resolve().then(() => remote.readyState === 'open' && remote.onmessage({ data }));
+  }
+
+  close() {
+    [this, this.remote].forEach(channel => {
+      if (!channel || channel.readyState === 'closed') return;
+      channel.readyState = 'closed';
+      if (channel.onclose) channel.onclose();
+    });
+  }
+}
+
+class FakeRTCPeerConnection {
+  constructor() {
+    this.id = `pc-${nextConnectionId++}`;
+    this.iceGatheringState = 'new';
+    this.channel = null;
+    fakeConnections.set(this.id, this);
+  }
+
+  createDataChannel() {
+    this.channel = new FakeChannel();
+    return this.channel;
+  }
+
+  async createOffer() {
+    return { type: 'offer', sdp: this.id };
+  }
+
+  async createAnswer() {
+    return { type: 'answer', sdp: this.id };
+  }
+
+  async setLocalDescription(description) {
+    this.localDescription = description;
+    this.iceGatheringState = 'complete';
+  }
+
+  async setRemoteDescription(description) {
+    const remote = fakeConnections.get(description.sdp);
+    if (description.type !== 'answer') return;
+
+    const channel = new FakeChannel();
+    channel.remote = this.channel;
+    this.channel.remote = channel;
+    remote.channel = channel;
+    Promise.resolve().then(() => {
+      channel.readyState = 'open';
+      remote.ondatachannel({ channel });
+      this.channel.open();
+    });
+  }
+
+  addEventListener() {}
+
+  removeEventListener() {}
+
+  close() {
+    if (this.channel) this.channel.close();
+  }
+}
+
+describe('ManualTransport', () => {
+  let transport;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    transport = new ManualTransport({ RTCPeerConnectionImpl: FakeRTCPeerConnection });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  async function openPeer(id) {
+    const peer = transport.createPeer(id, {});
+    await jest.advanceTimersByTimeAsync(0);
+    return peer;
+  }
+
+  test('should open without any server', async () => {
+    const host = await openPeer('host-123456789');
+
+    expect(host.open).toBe(true);
+    expect(host.manualSignaling).toBe(true);
+  });
+
+  test('should connect a participant through an invite and its answer', async () => {
+    const host = await openPeer('host');
+    const client = await openPeer('client');
+    const received = [];
+    host.on('connection', (conn) => {
+      conn.on('data', (data) => received.push(['host', conn.peer, data]));
+      conn.on('open', () => conn.send({ hello: 'client' }));
+    });
+
+    const conn = client.connect('host');
+    conn.on('data', (data) => received.push(['client', conn.peer, data]));
+    conn.on('open', () => conn.send({ hello: 'host' }));
+
+    const answer = await client.acceptOffer(await host.createOffer());
+    await host.acceptAnswer(answer);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(conn.open).toBe(true);
+    expect(received).toEqual(expect.arrayContaining([
+      ['client', 'host', { hello: 'client' }],
+      ['host', 'client', { hello: 'host' }]
+    ]));
+  });
+
+  test('should refuse codes that are not what it expects', async () => {
+    const host = await openPeer('host');
+    const client = await openPeer('client');
+    const invite = await host.createOffer();
+
+    await expect(client.acceptOffer('hello')).rejects.toThrow('This is not an invite code');
+    await expect(host.acceptAnswer(invite)).rejects.toThrow('This is not an answer code');
+    await expect(host.acceptAnswer(encodeCode({ type: 'answer', id: 'nope', from: 'client', sdp: 'pc-0' })))
+      .rejects.toThrow('does not belong to an open invite');
+  });
+
+  test('should close both ends of a connection', async () => {
+    const host = await openPeer('host');
+    const client = await openPeer('client');
+    const hostCloseSpy = jest.fn();
+    host.on('connection', (conn) => conn.on('close', hostCloseSpy));
+
+    client.connect('host');
+    await host.acceptAnswer(await client.acceptOffer(await host.createOffer()));
+    await jest.advanceTimersByTimeAsync(0);
+    client.destroy();
+
+    expect(hostCloseSpy).toHaveBeenCalled();
+  });
+
+  test('should be picked through the transport setting', () => {
+    expect(createTransport({ transport: 'manual' })).toBeInstanceOf(ManualTransport);
+  });
+});
+
+describe('Multiplayer over manual signaling', () => {
+  let transport;
+  let players;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    transport = new ManualTransport({ RTCPeerConnectionImpl: FakeRTCPeerConnection });
+    players = [];
+  });
+
+  afterEach(() => {
+    players.forEach(player => player.peerManager.disconnect());
+    localStorage.clear();
+    jest.useRealTimers();
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  function createPlayer(name) {
+    const peerManager = new PeerManager(new SettingsManager(), transport);
+    const gameManager = new GameManager();
+
+    peerManager.on('connected', (peerId) => gameManager.setLocalPeerId(peerId));
+    peerManager.on('peerConnected', (peerId) => gameManager.addPeer(peerId));
+    peerManager.on('peerDisconnected', (peerId) => gameManager.removePeer(peerId));
+    peerManager.on('dataReceived', (peerId, data) => gameManager.handlePeerMessage(peerId, data));
+    gameManager.on('broadcast', (data) => peerManager.broadcast(data));
+    gameManager.on('sendToPlayer', (peerId, data) => peerManager.send(peerId, data));
+
+    const player = { name, peerManager, gameManager };
+    players.push(player);
+    return player;
+  }
+
+  async function host(name, sessionId) {
+    const player = createPlayer(name);
+    const created = player.peerManager.createSession(sessionId);
+    await jest.advanceTimersByTimeAsync(0);
+    await created;
+    player.gameManager.createSession(sessionId, { name });
+    return player;
+  }
+
+  // The participant waits for the invite, the codes go back and forth like the users would copy them
+  async function join(hostPlayer, name, sessionId) {
+    const player = createPlayer(name);
+    const inviteSpy = jest.fn();
+    player.peerManager.on('inviteRequired', inviteSpy);
+    player.gameManager.setPlayerData({ name });
+    player.gameManager.setSessionId(sessionId);
+    const joined = player.peerManager.joinSession(sessionId);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(inviteSpy).toHaveBeenCalled();
+
+    const answer = await player.peerManager.acceptInvite(await hostPlayer.peerManager.createInvite());
+    await hostPlayer.peerManager.acceptAnswer(answer);
+    await jest.advanceTimersByTimeAsync(0);
+    await joined;
+    player.gameManager.joinSession(sessionId);
+    await jest.advanceTimersByTimeAsync(200);
+    return player;
+  }
+
+  const namesSeenBy = (player) => Array.from(player.gameManager.players.values()).map(p => p.name).sort();
+
+  test('should not give up on the host while the participant brings the invite over', async () => {
+    const bob = createPlayer('Bob');
+    const failSpy = jest.fn();
+    bob.peerManager.joinSession('123456789').catch(failSpy);
+
+    await jest.advanceTimersByTimeAsync(30000);
+
+    expect(failSpy).not.toHaveBeenCalled();
+  });
+
+  test('should run a voting round with participants relayed through the host', async () => {
+    const alice = await host('Alice', '123456789');
+    const bob = await join(alice, 'Bob', '123456789');
+    const carol = await join(alice, 'Carol', '123456789');
+    await jest.advanceTimersByTimeAsync(200);
+
+    expect(alice.peerManager.topology).toBe('star');
+    players.forEach(player => {
+      expect(namesSeenBy(player)).toEqual(['Alice', 'Bob', 'Carol']);
+    });
+
+    alice.gameManager.castVote('3');
+    bob.gameManager.castVote('5');
+    carol.gameManager.castVote('5');
+    await jest.advanceTimersByTimeAsync(500);
+
+    expect(carol.gameManager.votesRevealed).toBe(true);
+    expect(carol.gameManager.players.get(bob.peerManager.peer.id).vote).toBe('5');
+  });
+});
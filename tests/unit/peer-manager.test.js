@@ -0,0 +1,781 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { PeerManager } from '../../src/peer-manager.js';
+
+// Minimal stand-in for a PeerJS DataConnection / Peer with a working event registry
+function createFakeEmitter(extra = {}) {
+  const handlers = {};
+  return {
+    handlers,
+    on: jest.fn((event, callback) => {
+      (handlers[event] = handlers[event] || []).push(callback);
+    }),
+    trigger(event, ...args) {
+      (handlers[event] || []).forEach(callback => callback(...args));
+    },
+    ...extra
+  };
+}
+
+function createFakeConnection(peerId) {
+  const conn = createFakeEmitter({
+    peer: peerId,
+    open: true,
+    send: jest.fn(),
+    close: jest.fn(() => conn.trigger('close'))
+  });
+  return conn;
+}
+
+function createFakePeer(id) {
+  const peer = createFakeEmitter({
+    id,
+    open: true,
+    destroyed: false,
+    connect: jest.fn(peerId => createFakeConnection(peerId)),
+    destroy: jest.fn(() => { peer.destroyed = true; })
+  });
+  return peer;
+}
+
+describe('PeerManager', () => {
+  let peerManager;
+  let createdPeers;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    createdPeers = [];
+    global.Peer.mockImplementation((id) => {
+      const peer = createFakePeer(typeof id === 'string' ? id : 'generated-id');
+      createdPeers.push(peer);
+      return peer;
+    });
+
+    peerManager = new PeerManager();
+    peerManager.sessionId = '123456789';
+    peerManager.peer = createFakePeer('peer-b');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+
+  function connect(peerId) {
+    const conn = createFakeConnection(peerId);
+    peerManager.setupConnectionHandlers(conn);
+    peerManager.handleIncomingConnection(conn);
+    return conn;
+  }
+
+  describe('host migration', () => {
+    test('should elect the lowest remaining peer ID as successor', () => {
+      connect('host-123456789');
+      connect('peer-c');
+      connect('peer-a');
+
+      expect(peerManager.electSuccessor()).toBe('peer-a');
+    });
+
+    test('should never elect the departed host ID', () => {
+      connect('host-123456789');
+
+      expect(peerManager.electSuccessor()).toBe('peer-b');
+    });
+
+    test('should claim the host ID when elected', () => {
+      const hostConn = connect('host-123456789');
+      connect('peer-c');
+      const hostLostSpy = jest.fn();
+      peerManager.on('hostLost', hostLostSpy);
+
+      hostConn.trigger('close');
+
+      expect(hostLostSpy).toHaveBeenCalledWith('peer-b');
+      expect(global.Peer).toHaveBeenCalledWith('host-123456789', expect.any(Object));
+    });
+
+    test('should wait for the successor when another peer is elected', () => {
+      const hostConn = connect('host-123456789');
+      connect('peer-a');
+
+      hostConn.trigger('close');
+
+      expect(peerManager.pendingSuccessor).toBe('peer-a');
+      expect(global.Peer).not.toHaveBeenCalled();
+    });
+
+    test('should reconnect to every peer from the host ID without dropping players', () => {
+      const hostConn = connect('host-123456789');
+      connect('peer-c');
+      const disconnectedSpy = jest.fn();
+      const connectedSpy = jest.fn();
+      peerManager.on('peerDisconnected', disconnectedSpy);
+      peerManager.on('connected', connectedSpy);
+
+      hostConn.trigger('close');
+      createdPeers[0].trigger('open', 'host-123456789');
+
+      expect(peerManager.isHost).toBe(true);
+      expect(peerManager.peer.id).toBe('host-123456789');
+      expect(connectedSpy).toHaveBeenCalledWith('host-123456789');
+      // Only the departed host is reported, peer-c is reconnected rather than dropped
+      expect(disconnectedSpy).toHaveBeenCalledTimes(1);
+      expect(disconnectedSpy).toHaveBeenCalledWith('host-123456789');
+      expect(peerManager.peer.connect).toHaveBeenCalledWith('peer-c');
+    });
+
+    test('should retry the claim while the host ID is still taken', () => {
+      const hostConn = connect('host-123456789');
+
+      hostConn.trigger('close');
+      createdPeers[0].trigger('error', { type: 'unavailable-id' });
+      jest.advanceTimersByTime(2000);
+
+      expect(global.Peer).toHaveBeenCalledTimes(2);
+    });
+
+    test('should re-run the election if the successor never takes over', () => {
+      const hostConn = connect('host-123456789');
+      const successorConn = connect('peer-a');
+
+      hostConn.trigger('close');
+      successorConn.trigger('close');
+      jest.advanceTimersByTime(20000);
+
+      expect(peerManager.pendingSuccessor).toBe('peer-b');
+      expect(global.Peer).toHaveBeenCalledWith('host-123456789', expect.any(Object));
+    });
+
+    test('should finish the migration once the new host connects', () => {
+      const hostConn = connect('host-123456789');
+      connect('peer-a');
+
+      hostConn.trigger('close');
+      connect('host-123456789');
+
+      expect(peerManager.pendingSuccessor).toBeNull();
+      expect(peerManager.hostMigrationTimer).toBeNull();
+    });
+  });
+
+  describe('signaling server', () => {
+    beforeEach(() => {
+      peerManager.peer = null;
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    test('should report a broker it cannot reach', async () => {
+      const unavailableSpy = jest.fn();
+      peerManager.on('signalingUnavailable', unavailableSpy);
+      global.Peer.mockImplementation(() => createFakePeer('generated-id'));
+
+      const joined = peerManager.joinSession('123456789').catch(() => {});
+      peerManager.peer.trigger('error', Object.assign(new Error('Lost connection to server'), { type: 'network' }));
+      await joined;
+
+      expect(unavailableSpy).toHaveBeenCalled();
+    });
+
+    test('should not blame the broker for a missing peer', async () => {
+      const unavailableSpy = jest.fn();
+      peerManager.on('signalingUnavailable', unavailableSpy);
+      global.Peer.mockImplementation(() => createFakePeer('generated-id'));
+
+      const joined = peerManager.joinSession('123456789').catch(() => {});
+      peerManager.peer.trigger('error', Object.assign(new Error('Could not connect to peer'), { type: 'peer-unavailable' }));
+      await joined;
+
+      expect(unavailableSpy).not.toHaveBeenCalled();
+    });
+
+    test('should let go of a host ID another room already holds', async () => {
+      const unavailableSpy = jest.fn();
+      peerManager.on('signalingUnavailable', unavailableSpy);
+      global.Peer.mockImplementation((id) => createFakePeer(id));
+
+      const created = peerManager.createSession('brave-otter-lamp-parrot');
+      const takenPeer = peerManager.peer;
+      takenPeer.open = false;
+      takenPeer.trigger('error', Object.assign(new Error('ID is taken'), { type: 'unavailable-id' }));
+
+      await expect(created).rejects.toMatchObject({ type: 'unavailable-id' });
+      expect(takenPeer.destroy).toHaveBeenCalled();
+      expect(peerManager.peer).toBeNull();
+
+      await jest.advanceTimersByTimeAsync(10000);
+      expect(unavailableSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('join approval and room lock', () => {
+    const player = { name: 'Alice', vote: null, reaction: null };
+
+    beforeEach(() => {
+      peerManager.peer = createFakePeer('host-123456789');
+      peerManager.isHost = true;
+    });
+
+    function knock(peerId) {
+      const conn = createFakeConnection(peerId);
+      peerManager.handleConnectionRequest(conn);
+      return conn;
+    }
+
+    function sentTypes(conn) {
+      return conn.send.mock.calls.map(([message]) => message.type);
+    }
+
+    test('should let peers in right away by default', () => {
+      const conn = knock('peer-a');
+
+      expect(peerManager.connections.get('peer-a')).toBe(conn);
+    });
+
+    test('should hold new peers until the host approves them', () => {
+      const joinRequestSpy = jest.fn();
+      const dataSpy = jest.fn();
+      peerManager.on('joinRequest', joinRequestSpy);
+      peerManager.on('dataReceived', dataSpy);
+      peerManager.setRequireApproval(true);
+
+      const conn = knock('peer-a');
+      conn.trigger('data', { type: 'player_data', player, v: 1 });
+      conn.trigger('data', { type: 'vote', vote: '5', v: 1 });
+
+      expect(peerManager.connections.has('peer-a')).toBe(false);
+      expect(sentTypes(conn)).toContain('join_pending');
+      expect(joinRequestSpy).toHaveBeenCalledWith('peer-a', player);
+      expect(dataSpy).not.toHaveBeenCalled();
+
+      peerManager.approvePeer('peer-a');
+
+      expect(peerManager.connections.get('peer-a')).toBe(conn);
+      expect(sentTypes(conn)).toContain('join_approved');
+    });
+
+    test('should turn rejected peers away', () => {
+      peerManager.setRequireApproval(true);
+      const conn = knock('peer-a');
+
+      peerManager.rejectPeer('peer-a');
+      jest.advanceTimersByTime(500);
+
+      expect(conn.send).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'join_rejected', reason: 'rejected' }));
+      expect(conn.close).toHaveBeenCalled();
+      expect(peerManager.connections.has('peer-a')).toBe(false);
+    });
+
+    test('should turn newcomers away while the room is locked', async () => {
+      peerManager.setMemberCheck(jest.fn().mockResolvedValue(false));
+      peerManager.setRoomLocked(true);
+
+      const conn = knock('peer-a');
+      conn.trigger('data', { type: 'player_data', player, v: 1 });
+      await jest.advanceTimersByTimeAsync(500);
+
+      expect(conn.send).toHaveBeenCalledWith(expect.objectContaining({ type: 'join_rejected', reason: 'locked' }));
+      expect(conn.close).toHaveBeenCalled();
+      expect(peerManager.connections.has('peer-a')).toBe(false);
+    });
+
+    test('should turn away peers that never introduce themselves to a locked room', () => {
+      peerManager.setRoomLocked(true);
+
+      const conn = knock('peer-a');
+      jest.advanceTimersByTime(5500);
+
+      expect(conn.send).toHaveBeenCalledWith(expect.objectContaining({ type: 'join_rejected', reason: 'locked' }));
+      expect(conn.close).toHaveBeenCalled();
+    });
+
+    test('should let members back into a locked room', async () => {
+      const memberCheck = jest.fn().mockResolvedValue(true);
+      peerManager.setMemberCheck(memberCheck);
+      peerManager.setRoomLocked(true);
+
+      const conn = knock('peer-a');
+      const playerData = { type: 'player_data', player, v: 1 };
+      conn.trigger('data', playerData);
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(memberCheck).toHaveBeenCalledWith('peer-a', playerData);
+      expect(peerManager.connections.get('peer-a')).toBe(conn);
+      expect(sentTypes(conn)).toContain('join_approved');
+      jest.advanceTimersByTime(5500);
+      expect(conn.close).not.toHaveBeenCalled();
+    });
+
+    test('should drop the request when the waiting peer leaves', () => {
+      const cancelledSpy = jest.fn();
+      peerManager.on('joinRequestCancelled', cancelledSpy);
+      peerManager.setRequireApproval(true);
+
+      knock('peer-a').trigger('close');
+
+      expect(cancelledSpy).toHaveBeenCalledWith('peer-a');
+      expect(peerManager.pendingConnections.size).toBe(0);
+    });
+
+    test('should let waiting peers in when approval is turned off', () => {
+      peerManager.setRequireApproval(true);
+      const conn = knock('peer-a');
+
+      peerManager.setRequireApproval(false);
+
+      expect(peerManager.connections.get('peer-a')).toBe(conn);
+    });
+
+    test('should share the room policy so a successor keeps enforcing it', () => {
+      const memberConn = knock('peer-a');
+
+      peerManager.setRoomLocked(true);
+
+      expect(memberConn.send).toHaveBeenLastCalledWith(expect.objectContaining({
+        type: 'room_policy', locked: true, requireApproval: false
+      }));
+
+      const member = new PeerManager();
+      member.sessionId = '123456789';
+      member.peer = createFakePeer('peer-a');
+      const hostConn = createFakeConnection('host-123456789');
+      member.setupConnectionHandlers(hostConn);
+      member.handleIncomingConnection(hostConn);
+      hostConn.trigger('data', memberConn.send.mock.calls.at(-1)[0]);
+
+      expect(member.roomLocked).toBe(true);
+    });
+
+    test('should only accept admission decisions from the host', () => {
+      const rejectedSpy = jest.fn();
+      peerManager.isHost = false;
+      peerManager.peer = createFakePeer('peer-b');
+      peerManager.on('joinRejected', rejectedSpy);
+
+      connect('peer-c').trigger('data', { type: 'join_rejected', reason: 'locked', v: 1 });
+      connect('host-123456789').trigger('data', { type: 'join_rejected', reason: 'rejected', v: 1 });
+
+      expect(rejectedSpy).toHaveBeenCalledTimes(1);
+      expect(rejectedSpy).toHaveBeenCalledWith('rejected');
+    });
+  });
+
+  describe('heartbeat', () => {
+    function lastMessage(conn) {
+      return conn.send.mock.calls.at(-1)[0];
+    }
+
+    test('should ping every connection and answer pings', () => {
+      const conn = connect('peer-a');
+
+      jest.advanceTimersByTime(5000);
+      expect(lastMessage(conn)).toMatchObject({ type: 'ping', timestamp: expect.any(Number) });
+
+      conn.trigger('data', { type: 'ping', timestamp: 1234, v: 1 });
+      expect(lastMessage(conn)).toMatchObject({ type: 'pong', timestamp: 1234 });
+    });
+
+    test('should measure the round trip time from pongs', () => {
+      const conn = connect('peer-a');
+      const statsSpy = jest.fn();
+      peerManager.on('peerStatsUpdated', statsSpy);
+
+      jest.advanceTimersByTime(5000);
+      const { timestamp } = lastMessage(conn);
+      jest.advanceTimersByTime(120);
+      conn.trigger('data', { type: 'pong', timestamp, v: 1 });
+
+      expect(peerManager.getPeerStats('peer-a')).toMatchObject({ rtt: 120, quality: 'good' });
+      expect(statsSpy).toHaveBeenCalledWith('peer-a', expect.objectContaining({ rtt: 120 }));
+    });
+
+    test('should keep heartbeat messages away from the game', () => {
+      const conn = connect('peer-a');
+      const dataSpy = jest.fn();
+      peerManager.on('dataReceived', dataSpy);
+
+      conn.trigger('data', { type: 'ping', timestamp: 1, v: 1 });
+
+      expect(dataSpy).not.toHaveBeenCalled();
+    });
+
+    test('should evict a peer whose channel went silent', () => {
+      const conn = connect('peer-a');
+      const disconnectedSpy = jest.fn();
+      peerManager.on('peerDisconnected', disconnectedSpy);
+
+      jest.advanceTimersByTime(5000);
+      conn.trigger('data', { type: 'pong', timestamp: lastMessage(conn).timestamp, v: 1 });
+      jest.advanceTimersByTime(15000);
+      expect(peerManager.getPeerStats('peer-a').quality).toBe('lost');
+
+      jest.advanceTimersByTime(10000);
+
+      expect(disconnectedSpy).toHaveBeenCalledWith('peer-a');
+      expect(peerManager.connections.has('peer-a')).toBe(false);
+      expect(conn.close).toHaveBeenCalled();
+    });
+
+    test('should not evict older clients that never answer pings', () => {
+      const conn = connect('peer-a');
+      conn.trigger('data', { type: 'request_player_data' });
+
+      jest.advanceTimersByTime(60000);
+
+      expect(peerManager.connections.has('peer-a')).toBe(true);
+    });
+
+    test('should evict a peer whose channel died before anything came through', () => {
+      const conn = connect('peer-a');
+      const disconnectedSpy = jest.fn();
+      peerManager.on('peerDisconnected', disconnectedSpy);
+
+      jest.advanceTimersByTime(25000);
+
+      expect(disconnectedSpy).toHaveBeenCalledWith('peer-a');
+      expect(conn.close).toHaveBeenCalled();
+    });
+
+    test('should stop the heartbeat on disconnect', () => {
+      connect('peer-a');
+
+      peerManager.disconnect();
+
+      expect(peerManager.heartbeatInterval).toBeNull();
+      expect(peerManager.getAllPeerStats()).toEqual([]);
+    });
+  });
+
+  describe('offline action queue', () => {
+    const sentTypes = (conn) => conn.send.mock.calls.map(([message]) => message.type);
+
+    test('should queue game actions while paused instead of sending them', () => {
+      const conn = connect('peer-a');
+      const pendingSpy = jest.fn();
+      peerManager.on('pendingActionsChanged', pendingSpy);
+      conn.send.mockClear();
+
+      peerManager.pauseConnections();
+      peerManager.broadcast({ type: 'vote', vote: '3' });
+      peerManager.broadcast({ type: 'vote', vote: '5' });
+      peerManager.broadcast({ type: 'player_data', player: { name: 'Bob' } });
+
+      expect(conn.send).not.toHaveBeenCalled();
+      expect(pendingSpy).toHaveBeenLastCalledWith(1);
+    });
+
+    test('should replay the queue in order once resumed', () => {
+      const conn = connect('peer-a');
+      const pendingSpy = jest.fn();
+      peerManager.on('pendingActionsChanged', pendingSpy);
+
+      peerManager.pauseConnections();
+      peerManager.broadcast({ type: 'vote', vote: '5' });
+      peerManager.broadcast({ type: 'show_votes', allVotes: {} });
+      conn.send.mockClear();
+
+      peerManager.resumeConnections();
+      jest.advanceTimersByTime(1000);
+
+      expect(sentTypes(conn)).toEqual(['vote', 'show_votes']);
+      expect(conn.send.mock.calls[0][0].vote).toBe('5');
+      expect(pendingSpy).toHaveBeenLastCalledWith(0);
+    });
+
+    test('should wait for a connection before replaying', () => {
+      peerManager.pauseConnections();
+      peerManager.broadcast({ type: 'clear_votes' });
+      peerManager.resumeConnections();
+      jest.advanceTimersByTime(1000);
+
+      expect(peerManager.actionQueue.size).toBe(1);
+
+      const conn = connect('host-123456789');
+      conn.send.mockClear();
+      jest.advanceTimersByTime(1000);
+
+      expect(sentTypes(conn)).toEqual(['clear_votes']);
+      expect(peerManager.actionQueue.size).toBe(0);
+    });
+
+    test('should drop queued actions when leaving the session', () => {
+      peerManager.pauseConnections();
+      peerManager.broadcast({ type: 'vote', vote: '5' });
+
+      peerManager.disconnect();
+
+      expect(peerManager.actionQueue.size).toBe(0);
+      expect(peerManager.connectionsPaused).toBe(false);
+    });
+  });
+
+  describe('flood protection', () => {
+    const reaction = { type: 'reaction', reaction: '👍', v: 1 };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    test('should only pass a burst of reactions on to the game', () => {
+      const conn = connect('peer-a');
+      const dataSpy = jest.fn();
+      peerManager.on('dataReceived', dataSpy);
+
+      for (let i = 0; i < 50; i++) conn.trigger('data', reaction);
+
+      expect(dataSpy).toHaveBeenCalledTimes(5);
+    });
+
+    test('should mute a flooding peer and warn about it', () => {
+      const conn = connect('peer-a');
+      const floodSpy = jest.fn();
+      const dataSpy = jest.fn();
+      peerManager.on('peerFlooding', floodSpy);
+      peerManager.on('dataReceived', dataSpy);
+
+      for (let i = 0; i < 30; i++) conn.trigger('data', reaction);
+      jest.advanceTimersByTime(10000);
+      conn.trigger('data', { type: 'vote', vote: '5', v: 1 });
+
+      expect(floodSpy).toHaveBeenCalledWith('peer-a', 'muted');
+      expect(dataSpy).toHaveBeenCalledTimes(5);
+    });
+
+    test('should not decode or log anything a muted peer sends', () => {
+      const conn = connect('peer-a');
+      for (let i = 0; i < 30; i++) conn.trigger('data', reaction);
+      const decodeSpy = jest.spyOn(peerManager, 'decodeMessage');
+      console.log.mockClear();
+
+      conn.trigger('data', { type: 'vote', vote: '5', v: 1 });
+
+      expect(decodeSpy).not.toHaveBeenCalled();
+      expect(console.log).not.toHaveBeenCalled();
+    });
+
+    test('should disconnect a peer that keeps flooding and keep it out', () => {
+      const conn = connect('peer-a');
+      const floodSpy = jest.fn();
+      peerManager.on('peerFlooding', floodSpy);
+
+      for (let round = 0; round < 3; round++) {
+        for (let i = 0; i < 30; i++) conn.trigger('data', reaction);
+        jest.advanceTimersByTime(30000);
+      }
+
+      expect(floodSpy).toHaveBeenCalledWith('peer-a', 'blocked');
+      expect(conn.close).toHaveBeenCalled();
+
+      const comeback = createFakeConnection('peer-a');
+      peerManager.handleConnectionRequest(comeback);
+      expect(comeback.close).toHaveBeenCalled();
+      expect(peerManager.connections.has('peer-a')).toBe(false);
+    });
+
+    test('should count relayed messages against their author', () => {
+      const hostConn = connect('host-123456789');
+      const dataSpy = jest.fn();
+      peerManager.on('dataReceived', dataSpy);
+
+      for (let i = 0; i < 10; i++) {
+        hostConn.trigger('data', { type: 'relayed', from: 'peer-c', data: reaction, v: 1 });
+        hostConn.trigger('data', { type: 'relayed', from: 'peer-d', data: reaction, v: 1 });
+      }
+
+      expect(dataSpy.mock.calls.filter(([peerId]) => peerId === 'peer-c')).toHaveLength(5);
+      expect(dataSpy.mock.calls.filter(([peerId]) => peerId === 'peer-d')).toHaveLength(5);
+    });
+  });
+
+  describe('reliable delivery', () => {
+    const sequenced = (seq, extra = {}) => ({ type: 'clear_votes', seq, epoch: 'epoch-1', v: 1, ...extra });
+    const sentOfType = (conn, type) => conn.send.mock.calls.map(([message]) => message).filter(message => message.type === type);
+
+    // Two managers joined by a link that only delivers when told to, so tests can drop and reorder
+    function createLossyPair() {
+      const other = new PeerManager();
+      other.peer = createFakePeer('peer-a');
+      const inFlight = { toOther: [], toUs: [] };
+
+      const ours = createFakeConnection('peer-a');
+      const theirs = createFakeConnection('peer-b');
+      ours.send = jest.fn(message => inFlight.toOther.push(message));
+      theirs.send = jest.fn(message => inFlight.toUs.push(message));
+
+      peerManager.setupConnectionHandlers(ours);
+      peerManager.handleIncomingConnection(ours);
+      other.setupConnectionHandlers(theirs);
+      other.handleIncomingConnection(theirs);
+
+      const deliver = (queue, conn) => {
+        const messages = queue.splice(0);
+        messages.forEach(message => conn.trigger('data', message));
+      };
+      return {
+        other,
+        inFlight,
+        flushToOther: () => deliver(inFlight.toOther, theirs),
+        flushToUs: () => deliver(inFlight.toUs, ours)
+      };
+    }
+
+    test('should number state-changing messages and leave the rest alone', () => {
+      const conn = connect('peer-a');
+
+      peerManager.broadcast({ type: 'clear_votes' });
+      peerManager.broadcast({ type: 'vote', vote: '5' });
+      peerManager.broadcast({ type: 'reaction', reaction: null });
+
+      const [clear] = sentOfType(conn, 'clear_votes');
+      const [vote] = sentOfType(conn, 'vote');
+      expect(clear).toMatchObject({ seq: 1, epoch: expect.any(String) });
+      expect(vote).toMatchObject({ seq: 2, epoch: clear.epoch });
+      expect(sentOfType(conn, 'reaction')[0].seq).toBeUndefined();
+    });
+
+    test('should acknowledge and deliver each message once', () => {
+      const conn = connect('peer-a');
+      const dataSpy = jest.fn();
+      peerManager.on('dataReceived', dataSpy);
+
+      conn.trigger('data', sequenced(1));
+      conn.trigger('data', sequenced(1));
+
+      expect(dataSpy).toHaveBeenCalledTimes(1);
+      expect(sentOfType(conn, 'ack')).toEqual([
+        expect.objectContaining({ ackSeq: 1, epoch: 'epoch-1' }),
+        expect.objectContaining({ ackSeq: 1, epoch: 'epoch-1' })
+      ]);
+    });
+
+    test('should hold back messages that overtook a missing one', () => {
+      const conn = connect('peer-a');
+      const received = [];
+      peerManager.on('dataReceived', (peerId, data) => received.push(data.type));
+
+      conn.trigger('data', sequenced(2, { type: 'vote', vote: '5' }));
+      expect(received).toEqual([]);
+
+      conn.trigger('data', sequenced(1));
+      expect(received).toEqual(['clear_votes', 'vote']);
+    });
+
+    test('should move past a message the sender gave up on', () => {
+      const conn = connect('peer-a');
+      const dataSpy = jest.fn();
+      peerManager.on('dataReceived', dataSpy);
+
+      conn.trigger('data', sequenced(2));
+      jest.advanceTimersByTime(8000);
+
+      expect(dataSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should recover a dropped message by retransmitting it', () => {
+      const { other, inFlight, flushToOther, flushToUs } = createLossyPair();
+      const received = [];
+      other.on('dataReceived', (peerId, data) => received.push(data.type));
+
+      // A first exchange shows both sides acknowledge
+      peerManager.broadcast({ type: 'vote', vote: '3' });
+      flushToOther();
+      flushToUs();
+
+      peerManager.broadcast({ type: 'clear_votes' });
+      inFlight.toOther.length = 0; // Lost on the way
+      peerManager.broadcast({ type: 'vote', vote: '8' });
+      flushToOther();
+      expect(received).toEqual(['vote']);
+
+      jest.advanceTimersByTime(2000);
+      flushToOther();
+      flushToUs();
+
+      expect(received).toEqual(['vote', 'clear_votes', 'vote']);
+      expect(peerManager.outbound.get('peer-a').unacked.size).toBe(0);
+    });
+
+    test('should deliver reordered retransmissions once and in order', () => {
+      const { other, inFlight, flushToOther, flushToUs } = createLossyPair();
+      const received = [];
+      other.on('dataReceived', (peerId, data) => received.push(data.vote || data.type));
+
+      peerManager.broadcast({ type: 'clear_votes' });
+      flushToOther();
+      flushToUs();
+
+      peerManager.broadcast({ type: 'show_votes', allVotes: {} });
+      peerManager.broadcast({ type: 'vote', vote: '5' });
+      inFlight.toOther.reverse();
+      // The acks get lost too, so everything is sent a second time
+      flushToOther();
+      inFlight.toUs.length = 0;
+      jest.advanceTimersByTime(2000);
+      flushToOther();
+
+      expect(received).toEqual(['clear_votes', 'show_votes', '5']);
+    });
+
+    test('should stop retransmitting once acknowledged or after the last retry', () => {
+      const conn = connect('peer-a');
+      peerManager.ackingPeers.add('peer-a');
+
+      peerManager.broadcast({ type: 'clear_votes' });
+      peerManager.broadcast({ type: 'show_votes', allVotes: {} });
+      const [clear] = sentOfType(conn, 'clear_votes');
+      conn.trigger('data', { type: 'ack', ackSeq: clear.seq, epoch: clear.epoch, v: 1 });
+
+      jest.advanceTimersByTime(20000);
+
+      expect(sentOfType(conn, 'clear_votes')).toHaveLength(1);
+      expect(sentOfType(conn, 'show_votes')).toHaveLength(4);
+    });
+
+    test('should retransmit to a peer that just connected once its hello arrives', () => {
+      const { other, inFlight, flushToOther, flushToUs } = createLossyPair();
+      const received = [];
+      other.on('dataReceived', (peerId, data) => received.push(data.type));
+
+      peerManager.broadcast({ type: 'show_votes', allVotes: {} });
+      inFlight.toOther.splice(inFlight.toOther.findIndex(message => message.type === 'show_votes'), 1);
+      flushToOther();
+      flushToUs();
+      expect(received).toEqual([]);
+
+      jest.advanceTimersByTime(2000);
+      flushToOther();
+
+      expect(received).toEqual(['show_votes']);
+    });
+
+    test('should not retransmit to older clients that never acknowledge', () => {
+      const conn = connect('peer-a');
+
+      peerManager.broadcast({ type: 'clear_votes' });
+      jest.advanceTimersByTime(10000);
+
+      expect(sentOfType(conn, 'clear_votes')).toHaveLength(1);
+    });
+
+    test('should resend unacknowledged messages when the peer reconnects', () => {
+      const first = connect('peer-a');
+      peerManager.ackingPeers.add('peer-a');
+      peerManager.broadcast({ type: 'clear_votes' });
+      first.trigger('close');
+
+      const second = connect('peer-a');
+
+      expect(sentOfType(second, 'clear_votes')).toEqual([expect.objectContaining({ seq: 1 })]);
+      expect(sentOfType(second, 'clear_votes')[0].epoch).not.toBe(sentOfType(first, 'clear_votes')[0].epoch);
+    });
+  });
+});
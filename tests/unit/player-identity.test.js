@@ -0,0 +1,65 @@
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import { PlayerIdentity, profilePayload, votePayload } from '../../src/services/player-identity.js';
+
+// jsdom has neither WebCrypto nor TextEncoder, use the ones from Node
+beforeAll(() => {
+  global.TextEncoder = TextEncoder;
+});
+
+describe('PlayerIdentity', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should keep the same key across loads', async () => {
+    const first = await PlayerIdentity.load(webcrypto.subtle);
+    const second = await PlayerIdentity.load(webcrypto.subtle);
+
+    expect(first.publicKey).toHaveLength(88);
+    expect(second.publicKey).toBe(first.publicKey);
+  });
+
+  test('should be unavailable without WebCrypto', async () => {
+    expect(await PlayerIdentity.load(null)).toBeNull();
+  });
+
+  test('should verify its own signatures and reject tampered payloads', async () => {
+    const identity = await PlayerIdentity.load(webcrypto.subtle);
+    const entry = { vote: '5', round: 2, clock: 7 };
+    const signature = await identity.sign(votePayload(entry));
+
+    expect(await identity.verify(identity.publicKey, votePayload(entry), signature)).toBe(true);
+    expect(await identity.verify(identity.publicKey, votePayload({ ...entry, vote: '8' }), signature)).toBe(false);
+    expect(await identity.verify(identity.publicKey, votePayload(entry), 'not a signature')).toBe(false);
+  });
+
+  test('should bind the profile to the peer ID and session it is sent from', () => {
+    const player = { name: 'Ada', clientId: 'client-1', publicKey: 'key' };
+
+    expect(profilePayload(player, 'peer-1', '123')).toBe(profilePayload({ ...player, id: 'peer-1' }, 'peer-1', 123));
+    expect(profilePayload(player, 'peer-1', '123')).not.toBe(profilePayload(player, 'peer-2', '123'));
+    expect(profilePayload(player, 'peer-1', '123')).not.toBe(profilePayload(player, 'peer-1', '456'));
+  });
+
+  describe('recognize', () => {
+    let identity;
+
+    beforeEach(async () => {
+      identity = await PlayerIdentity.load(webcrypto.subtle);
+    });
+
+    test('should recognize a key seen under the same name in an earlier session', () => {
+      expect(identity.recognize('Ada', 'key-ada', '111111111')).toBe(false);
+      expect(identity.recognize('Ada', 'key-ada', '111111111')).toBe(false);
+      expect(identity.recognize('Ada', 'key-ada', '222222222')).toBe(true);
+    });
+
+    test('should not recognize a known key under another name', () => {
+      identity.recognize('Ada', 'key-ada', '111111111');
+
+      expect(identity.recognize('Grace', 'key-ada', '222222222')).toBe(false);
+    });
+  });
+});
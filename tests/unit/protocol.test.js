@@ -0,0 +1,423 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  PROTOCOL_VERSION,
+  MESSAGE_TYPES,
+  createMessage,
+  getMessageVersion,
+  validateMessage,
+  HISTORY_CHUNK_SIZE
+} from '../../src/protocol.js';
+import { PeerManager } from '../../src/peer-manager.js';
+import { GameManager } from '../../src/game-manager.js';
+
+const deck = ['0', '½', '1', '2', '3', '5', '8', '13', '20', '40', '100', '?'];
+const avatar = 'https://www.gravatar.com/avatar/0bc83cb571cd1c50ba6f3e8a78ef1346?d=blank&s=120';
+
+const expectValid = (data) => expect(validateMessage(data, { deck })).toEqual({ valid: true, error: null });
+const expectInvalid = (data, error) => {
+  const result = validateMessage(data, { deck });
+  expect(result.valid).toBe(false);
+  expect(result.error).toMatch(error);
+};
+
+describe('Protocol', () => {
+  describe('versioning', () => {
+    test('should stamp outgoing messages with the protocol version', () => {
+      expect(createMessage({ type: 'clear_votes' })).toEqual({ type: 'clear_votes', v: PROTOCOL_VERSION });
+    });
+
+    test('should treat unversioned messages as legacy version 0', () => {
+      expect(getMessageVersion({ type: 'clear_votes' })).toBe(0);
+      expectValid({ type: 'clear_votes' });
+    });
+
+    test('should reject messages from a newer protocol version', () => {
+      expectInvalid({ type: 'clear_votes', v: PROTOCOL_VERSION + 1 }, /unsupported protocol version/);
+    });
+
+    test('should reject unknown message types', () => {
+      expectInvalid({ type: 'launch_missiles', v: PROTOCOL_VERSION }, /unknown message type/);
+    });
+
+    test('should reject non-object messages', () => {
+      expectInvalid(null, /must be an object/);
+      expectInvalid('vote', /must be an object/);
+    });
+
+    test('should define every peer message', () => {
+      expect(MESSAGE_TYPES).toEqual(expect.arrayContaining([
+        'player_data', 'vote', 'clear_votes', 'show_votes', 'reaction',
+        'peer_list', 'connection_update', 'player_disconnected'
+      ]));
+    });
+  });
+
+  describe('player_data', () => {
+    const player = { id: 'peer-1', name: 'Ada', email: 'ada@example.com', avatar, vote: null, reaction: null };
+
+    test('should accept a valid player', () => {
+      expectValid({ type: 'player_data', player });
+      expectValid({ type: 'player_data', player: { name: 'Grace', email: null, avatar: null } });
+    });
+
+    test('should require a player with a name', () => {
+      expectInvalid({ type: 'player_data' }, /player is required/);
+      expectInvalid({ type: 'player_data', player: { ...player, name: '  ' } }, /name is required/);
+    });
+
+    test('should limit the name length', () => {
+      expectInvalid({ type: 'player_data', player: { ...player, name: 'x'.repeat(71) } }, /at most 70/);
+    });
+
+    test('should only accept Gravatar avatars', () => {
+      expectInvalid({ type: 'player_data', player: { ...player, avatar: 'https://evil.example/track.png' } }, /Gravatar/);
+      expectInvalid({ type: 'player_data', player: { ...player, avatar: 'javascript:alert(1)' } }, /Gravatar/);
+    });
+
+    test('should validate the vote carried with the player', () => {
+      expectInvalid({ type: 'player_data', player: { ...player, vote: '7' } }, /not in the deck/);
+    });
+
+    test('should accept a short client ID', () => {
+      expectValid({ type: 'player_data', player: { ...player, clientId: 'k3j9x2m1lq7w8e' } });
+      expectInvalid({ type: 'player_data', player: { ...player, clientId: 'x'.repeat(65) } }, /clientId must be a short string/);
+    });
+  });
+
+  describe('request_player_data', () => {
+    test('should accept a request', () => {
+      expectValid({ type: 'request_player_data' });
+    });
+  });
+
+  describe('vote', () => {
+    test('should accept votes from the deck', () => {
+      deck.forEach(vote => expectValid({ type: 'vote', vote }));
+    });
+
+    test('should accept a withdrawn vote', () => {
+      expectValid({ type: 'vote', vote: null });
+    });
+
+    test('should reject votes outside the deck', () => {
+      expectInvalid({ type: 'vote', vote: '7' }, /not in the deck/);
+      expectInvalid({ type: 'vote', vote: 5 }, /must be a string/);
+    });
+
+    test('should accept a commitment in place of the vote', () => {
+      expectValid({ type: 'vote', commitment: 'a'.repeat(64), round: 1, clock: 2 });
+      expectValid({ type: 'player_data', player: { name: 'Ada', vote: null }, commitment: 'a'.repeat(64), round: 1, clock: 2 });
+    });
+
+    test('should reject commitments that are not SHA-256 hashes', () => {
+      expectInvalid({ type: 'vote', commitment: '5' }, /commitment must be/);
+      expectInvalid({ type: 'show_votes', allVotes: { 'peer-1': { name: 'Ada', commitment: 'A'.repeat(64) } } }, /commitment must be/);
+    });
+  });
+
+  describe('reveal_vote', () => {
+    test('should accept a vote and its salt', () => {
+      expectValid({ type: 'reveal_vote', vote: '5', salt: 'f00d', round: 1, clock: 2 });
+    });
+
+    test('should reject reveals without a stamp, salt or valid vote', () => {
+      expectInvalid({ type: 'reveal_vote', vote: '5', salt: 'f00d' }, /round and clock/);
+      expectInvalid({ type: 'reveal_vote', vote: '5', round: 1, clock: 2 }, /salt is required/);
+      expectInvalid({ type: 'reveal_vote', vote: '5', salt: 'x'.repeat(65), round: 1, clock: 2 }, /salt must be/);
+      expectInvalid({ type: 'reveal_vote', vote: '7', salt: 'f00d', round: 1, clock: 2 }, /not in the deck/);
+    });
+  });
+
+  describe('clear_votes', () => {
+    test('should accept a clear', () => {
+      expectValid({ type: 'clear_votes' });
+    });
+  });
+
+  describe('show_votes', () => {
+    test('should accept a reveal with or without votes', () => {
+      expectValid({ type: 'show_votes' });
+      expectValid({ type: 'show_votes', allVotes: { 'peer-1': { name: 'Ada', vote: '5' } } });
+    });
+
+    test('should reject invalid votes in the reveal', () => {
+      expectInvalid({ type: 'show_votes', allVotes: { 'peer-1': { name: 'Ada', vote: '7' } } }, /not in the deck/);
+      expectInvalid({ type: 'show_votes', allVotes: 'all of them' }, /must be an object/);
+    });
+  });
+
+  describe('reaction', () => {
+    test('should accept a reaction or its removal', () => {
+      expectValid({ type: 'reaction', reaction: '👍', timestamp: Date.now() });
+      expectValid({ type: 'reaction', reaction: null, timestamp: Date.now() });
+    });
+
+    test('should reject oversized reactions and bad timestamps', () => {
+      expectInvalid({ type: 'reaction', reaction: '👍'.repeat(20) }, /short string/);
+      expectInvalid({ type: 'reaction', reaction: '👍', timestamp: 'now' }, /timestamp/);
+    });
+  });
+
+  describe('peer_list', () => {
+    test('should accept a list of peer IDs', () => {
+      expectValid({ type: 'peer_list', peers: ['peer-1', 'peer-2'] });
+    });
+
+    test('should reject anything else', () => {
+      expectInvalid({ type: 'peer_list', peers: 'peer-1' }, /list of peer IDs/);
+      expectInvalid({ type: 'peer_list', peers: [42] }, /list of peer IDs/);
+    });
+  });
+
+  describe('connection_update', () => {
+    test('should accept a list of peer IDs', () => {
+      expectValid({ type: 'connection_update', peers: [] });
+    });
+
+    test('should reject a missing list', () => {
+      expectInvalid({ type: 'connection_update' }, /list of peer IDs/);
+    });
+  });
+
+  describe('player_disconnected', () => {
+    test('should accept a peer ID', () => {
+      expectValid({ type: 'player_disconnected', peerId: 'peer-1' });
+    });
+
+    test('should require a peer ID', () => {
+      expectInvalid({ type: 'player_disconnected', peerId: '' }, /peerId is required/);
+    });
+  });
+
+  describe('join_rejected', () => {
+    test('should accept a known reason', () => {
+      expectValid({ type: 'join_rejected', reason: 'locked' });
+      expectValid({ type: 'join_rejected', reason: 'rejected' });
+    });
+
+    test('should reject unknown reasons', () => {
+      expectInvalid({ type: 'join_rejected', reason: '<b>go away</b>' }, /reason must be/);
+    });
+  });
+
+  describe('room_policy', () => {
+    test('should accept both flags', () => {
+      expectValid({ type: 'room_policy', locked: true, requireApproval: false });
+    });
+
+    test('should require boolean flags', () => {
+      expectInvalid({ type: 'room_policy', locked: 'yes', requireApproval: false }, /must be booleans/);
+    });
+  });
+
+  describe('room_setting', () => {
+    test('should accept a deck with its clock', () => {
+      expectValid({ type: 'room_setting', key: 'deck', value: ['XS', 'S', 'M', '?'], clock: 4 });
+    });
+
+    test('should accept cards that map onto values', () => {
+      expectValid({ type: 'room_setting', key: 'deck', value: [{ label: 'S', value: 1 }, { label: 'pass', value: 0, excluded: true }, '?'], clock: 4 });
+      expectInvalid({ type: 'room_setting', key: 'deck', value: [{ label: 'S', value: 'one' }], clock: 4 }, /values must be numbers/);
+      expectInvalid({ type: 'room_setting', key: 'deck', value: [{ label: 'S', value: 1 }, 'S'], clock: 4 }, /unique/);
+    });
+
+    test('should reject unknown settings and decks that are not plain cards', () => {
+      expectInvalid({ type: 'room_setting', key: 'theme', value: 'dark', clock: 1 }, /unknown setting/);
+      expectInvalid({ type: 'room_setting', key: 'deck', value: ['1', '2'] }, /clock must be/);
+      expectInvalid({ type: 'room_setting', key: 'deck', value: ['1', '<b>2</b>'], clock: 1 }, /cannot contain/);
+      expectInvalid({ type: 'room_setting', key: 'deck', value: ['1', '1'], clock: 1 }, /unique/);
+      expectInvalid({ type: 'room_setting', key: 'deck', value: ['1', 'a'.repeat(17)], clock: 1 }, /at most 16 characters/);
+    });
+  });
+
+  describe('story settings', () => {
+    const story = { id: 'abc123', title: 'Login page', key: 'WEB-1', url: 'https://example.com/WEB-1', description: 'As a user...' };
+
+    test('should accept a story queue and the current story', () => {
+      expectValid({ type: 'room_setting', key: 'stories', value: [story, { id: 'def456', title: 'Logout' }], clock: 2 });
+      expectValid({ type: 'room_setting', key: 'currentStory', value: 'abc123', clock: 3 });
+      expectValid({ type: 'room_setting', key: 'currentStory', value: null, clock: 3 });
+    });
+
+    test('should reject stories without a title or with links that are not web pages', () => {
+      expectInvalid({ type: 'room_setting', key: 'stories', value: [{ ...story, title: ' ' }], clock: 1 }, /title must be/);
+      expectInvalid({ type: 'room_setting', key: 'stories', value: [{ ...story, url: 'javascript:alert(1)' }], clock: 1 }, /http\(s\) link/);
+      expectInvalid({ type: 'room_setting', key: 'stories', value: [story, story], clock: 1 }, /unique/);
+      expectInvalid({ type: 'room_setting', key: 'currentStory', value: 42, clock: 1 }, /story id or null/);
+    });
+  });
+
+  describe('facilitator setting', () => {
+    test('should accept a client ID and nothing else', () => {
+      expectValid({ type: 'room_setting', key: 'facilitator', value: 'k3j2h1g0lx9f8e7d', clock: 2 });
+      expectInvalid({ type: 'room_setting', key: 'facilitator', value: '', clock: 2 }, /facilitator must be/);
+      expectInvalid({ type: 'room_setting', key: 'facilitator', value: { clientId: 'a' }, clock: 2 }, /facilitator must be/);
+    });
+  });
+
+  describe('history_entries', () => {
+    const entry = {
+      id: 'h1', round: 3, estimate: '5', votes: [{ name: 'Alice', vote: '5' }, { name: 'Bob', vote: '?' }],
+      consensus: 'majority', duration: 42000, committedAt: 1700000000000, storyId: 'abc123', title: 'Login page'
+    };
+
+    test('should accept committed rounds', () => {
+      expectValid({ type: 'history_entries', entries: [entry, { ...entry, id: 'h2', storyId: undefined, title: undefined }] });
+    });
+
+    test('should reject entries without an estimate or with unknown consensus', () => {
+      expectInvalid({ type: 'history_entries', entries: [{ ...entry, estimate: '' }] }, /estimate must be/);
+      expectInvalid({ type: 'history_entries', entries: [{ ...entry, consensus: 'great' }] }, /consensus/);
+      expectInvalid({ type: 'history_entries', entries: [{ ...entry, votes: [{ name: 'Alice' }] }] }, /names with their vote/);
+      expectInvalid({ type: 'history_entries', entries: [{ ...entry, duration: -1 }] }, /duration/);
+    });
+
+    test('should take a few entries at a time and no longer a history setting', () => {
+      expectInvalid({ type: 'history_entries', entries: [] }, /entries must be a list of 1 to/);
+      expectInvalid({ type: 'history_entries', entries: Array(HISTORY_CHUNK_SIZE + 1).fill(entry) }, /entries must be a list of 1 to/);
+      expectInvalid({ type: 'room_setting', key: 'history', value: [entry], clock: 1 }, /unknown setting/);
+    });
+  });
+
+  describe('state_snapshot', () => {
+    const state = {
+      clock: 7,
+      round: 2,
+      revealed: true,
+      votes: { 'peer-1': { name: 'Alice', vote: 'XL', round: 2, clock: 5 } },
+      settings: { deck: { value: ['S', 'M', 'XL'], clock: 3, peerId: 'peer-1' } }
+    };
+    const withDeck = (value) => ({ ...state, settings: { deck: { ...state.settings.deck, value } } });
+
+    test('should check votes against the deck it carries', () => {
+      expectValid({ type: 'state_snapshot', state });
+      expectInvalid({ type: 'state_snapshot', state: withDeck(['S', 'M']) }, /not in the deck/);
+    });
+
+    test('should require the reveal flag, a clock and valid settings', () => {
+      expectInvalid({ type: 'state_snapshot', state: { ...state, revealed: 'yes' } }, /revealed must be a boolean/);
+      expectInvalid({ type: 'state_snapshot', state: { ...state, clock: -1 } }, /clock must be a non-negative integer/);
+      expectInvalid({ type: 'state_snapshot', state: withDeck([]) }, /deck must be a list of cards/);
+      expectInvalid({ type: 'state_snapshot', state: { ...state, settings: { theme: { value: 'dark', clock: 1, peerId: 'peer-1' } } } }, /unknown setting/);
+    });
+  });
+
+  describe('signatures', () => {
+    const signature = 'A'.repeat(88);
+
+    test('should accept signed player data, votes and reveals', () => {
+      expectValid({ type: 'player_data', player: { name: 'Ada', publicKey: 'B'.repeat(88) }, signature, voteSignature: signature });
+      expectValid({ type: 'vote', vote: '5', round: 1, clock: 2, signature });
+      expectValid({ type: 'show_votes', allVotes: { 'peer-1': { name: 'Ada', vote: '5', round: 1, clock: 2, signature } } });
+    });
+
+    test('should reject signatures and keys that are not short strings', () => {
+      expectInvalid({ type: 'vote', vote: '5', signature: 42 }, /signature must be/);
+      expectInvalid({ type: 'player_data', player: { name: 'Ada' }, voteSignature: 'x'.repeat(129) }, /voteSignature must be/);
+      expectInvalid({ type: 'player_data', player: { name: 'Ada', publicKey: '' } }, /publicKey must be/);
+    });
+  });
+
+  describe('room state stamps', () => {
+    test('should accept votes, clears and reveals stamped with a round and clock', () => {
+      expectValid({ type: 'vote', vote: '5', round: 2, clock: 0 });
+      expectValid({ type: 'clear_votes', round: 3, clock: 12 });
+      expectValid({ type: 'show_votes', round: 2, clock: 4, allVotes: { 'peer-1': { name: 'Ada', vote: '5', round: 2, clock: 3 } } });
+      expectValid({ type: 'player_data', player: { name: 'Ada', vote: '5' }, round: 2, clock: 3 });
+    });
+
+    test('should reject clocks that are not counters', () => {
+      expectInvalid({ type: 'vote', vote: '5', round: 2, clock: 1.5 }, /clock must be/);
+      expectInvalid({ type: 'clear_votes', round: 3, clock: '12' }, /clock must be/);
+      expectInvalid({ type: 'show_votes', allVotes: { 'peer-1': { name: 'Ada', vote: '5', clock: -2 } } }, /clock must be/);
+    });
+  });
+
+  describe('sequence numbers', () => {
+    test('should accept sequenced messages and their acknowledgements', () => {
+      expectValid({ type: 'clear_votes', seq: 3, epoch: 'abc123' });
+      expectValid({ type: 'ack', ackSeq: 3, epoch: 'abc123' });
+    });
+
+    test('should reject sequence numbers without an epoch or below one', () => {
+      expectInvalid({ type: 'clear_votes', seq: 3 }, /seq must be a positive integer/);
+      expectInvalid({ type: 'vote', vote: '5', seq: 0, epoch: 'abc123' }, /seq must be a positive integer/);
+      expectInvalid({ type: 'ack', ackSeq: 1.5, epoch: 'abc123' }, /ackSeq and epoch are required/);
+    });
+  });
+
+  describe('relay', () => {
+    test('should accept a game message for everyone or for one peer', () => {
+      expectValid({ type: 'relay', data: { type: 'vote', vote: '5' } });
+      expectValid({ type: 'relay', to: 'peer-1', data: { type: 'request_player_data' } });
+      expectValid({ type: 'relayed', from: 'peer-1', data: { type: 'vote', vote: '5' } });
+    });
+
+    test('should reject nested relays and encrypted payloads', () => {
+      expectInvalid({ type: 'relay', data: { type: 'relayed', from: 'peer-1', data: {} } }, /cannot be relayed/);
+      expectInvalid({ type: 'relayed', from: 'peer-1', data: { type: 'encrypted' } }, /cannot be relayed/);
+    });
+
+    test('should require a sender and a message', () => {
+      expectInvalid({ type: 'relayed', data: { type: 'vote' } }, /from is required/);
+      expectInvalid({ type: 'relay', data: 'vote' }, /data must be a message/);
+    });
+  });
+
+  describe('integration', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+      console.warn.mockRestore();
+    });
+
+    test('should drop invalid game messages', () => {
+      const gameManager = new GameManager();
+      gameManager.players.set('peer-1', { id: 'peer-1', name: 'Ada', vote: null });
+
+      gameManager.handlePeerMessage('peer-1', { type: 'vote', vote: '9999', v: PROTOCOL_VERSION });
+
+      expect(gameManager.players.get('peer-1').vote).toBeNull();
+    });
+
+    test('should report a newer protocol version instead of processing the message', () => {
+      const peerManager = new PeerManager();
+      peerManager.peer = { id: 'local' };
+      const mismatchSpy = jest.fn();
+      const dataSpy = jest.fn();
+      peerManager.on('protocolMismatch', mismatchSpy);
+      peerManager.on('dataReceived', dataSpy);
+
+      peerManager.handlePeerData('peer-1', { type: 'vote', vote: '5', v: PROTOCOL_VERSION + 1 });
+
+      expect(mismatchSpy).toHaveBeenCalledWith('peer-1', PROTOCOL_VERSION + 1);
+      expect(dataSpy).not.toHaveBeenCalled();
+    });
+
+    test('should make peers still on version 1 ask for a refresh', () => {
+      const peerManager = new PeerManager();
+      const conn = { peer: 'peer-1', open: true, send: jest.fn() };
+      peerManager.connections.set('peer-1', conn);
+
+      peerManager.broadcast({ type: 'vote', vote: null, commitment: null, round: 1, clock: 1 });
+
+      // A version 1 client shows the upgrade prompt for anything stamped with a newer version
+      const sent = conn.send.mock.calls[0][0];
+      expect(getMessageVersion(sent)).toBeGreaterThan(1);
+    });
+
+    test('should stamp the version on everything it sends', () => {
+      const peerManager = new PeerManager();
+      const conn = { peer: 'peer-1', open: true, send: jest.fn() };
+      peerManager.connections.set('peer-1', conn);
+
+      peerManager.broadcast({ type: 'clear_votes' });
+
+      expect(conn.send).toHaveBeenCalledWith(expect.objectContaining({ type: 'clear_votes', v: PROTOCOL_VERSION }));
+    });
+  });
+});
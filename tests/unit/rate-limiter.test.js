@@ -0,0 +1,86 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { RateLimiter } from '../../src/services/rate-limiter.js';
+
+describe('RateLimiter', () => {
+  let now;
+  let limiter;
+
+  const limits = {
+    reaction: { capacity: 5, refill: 1 },
+    default: { capacity: 30, refill: 10 }
+  };
+
+  const send = (count, peerId = 'peer-a', type = 'reaction') =>
+    Array.from({ length: count }, () => limiter.check(peerId, type));
+
+  beforeEach(() => {
+    now = 0;
+    limiter = new RateLimiter(limits, () => now);
+  });
+
+  test('should let a burst up to the capacity through and drop the rest', () => {
+    const verdicts = send(8);
+
+    expect(verdicts.filter(verdict => verdict === 'allowed')).toHaveLength(5);
+    expect(verdicts.slice(5)).toEqual(['dropped', 'dropped', 'dropped']);
+  });
+
+  test('should refill the bucket over time', () => {
+    send(5);
+    now += 2000;
+
+    expect(send(3)).toEqual(['allowed', 'allowed', 'dropped']);
+  });
+
+  test('should keep separate budgets per peer and message type', () => {
+    send(5);
+
+    expect(limiter.check('peer-a', 'vote')).toBe('allowed');
+    expect(limiter.check('peer-b', 'reaction')).toBe('allowed');
+    expect(limiter.check('peer-a', 'reaction', 'peer-c')).toBe('allowed');
+  });
+
+  test('should mute a peer that keeps flooding, then let it back in', () => {
+    const verdicts = send(25);
+
+    expect(verdicts[24]).toBe('muted');
+    now += 10000;
+    expect(limiter.check('peer-a', 'reaction')).toBe('dropped');
+
+    now += 20000;
+    expect(limiter.check('peer-a', 'reaction')).toBe('allowed');
+  });
+
+  test('should tell whether a peer is muted or blocked', () => {
+    send(25);
+
+    expect(limiter.isSilenced('peer-a')).toBe(true);
+    expect(limiter.isSilenced('peer-b')).toBe(false);
+    now += 30000;
+    expect(limiter.isSilenced('peer-a')).toBe(false);
+  });
+
+  test('should block a peer that was muted three times', () => {
+    const verdicts = [];
+    for (let round = 0; round < 3; round++) {
+      verdicts.push(...send(30));
+      now += 30000;
+    }
+
+    expect(verdicts.filter(verdict => verdict === 'muted')).toHaveLength(2);
+    expect(verdicts).toContain('blocked');
+    expect(limiter.isBlocked('peer-a')).toBe(true);
+    expect(limiter.check('peer-a', 'vote')).toBe('dropped');
+  });
+
+  test('should only forget peers with a clean record', () => {
+    send(25, 'peer-a');
+    send(2, 'peer-b');
+
+    limiter.forget('peer-a');
+    limiter.forget('peer-b');
+
+    expect(limiter.peers.has('peer-a')).toBe(true);
+    expect(limiter.peers.has('peer-b')).toBe(false);
+  });
+});
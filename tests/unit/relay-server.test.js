@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import WebSocket from 'ws';
+import { createRelayServer } from '../../server/relay-server.js';
+import { RelayTransport } from '../../src/transports/relay-transport.js';
+
+describe('Relay server', () => {
+  let server;
+  let transport;
+  let peers;
+
+  beforeEach(async () => {
+    server = createRelayServer({ port: 0 });
+    await new Promise(resolve => server.on('listening', resolve));
+    transport = new RelayTransport({ url: `ws://localhost:${server.address().port}`, WebSocketImpl: WebSocket });
+    peers = [];
+  });
+
+  afterEach(async () => {
+    peers.forEach(peer => peer.destroy());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  function createPeer(id) {
+    const peer = transport.createPeer(id, {});
+    peers.push(peer);
+    return peer;
+  }
+
+  function openPeer(id) {
+    const peer = createPeer(id);
+    return new Promise((resolve, reject) => {
+      peer.on('open', () => resolve(peer));
+      peer.on('error', reject);
+    });
+  }
+
+  const waitFor = (emitter, event) => new Promise(resolve => emitter.on(event, resolve));
+
+  test('should register peers under their ID', async () => {
+    const peer = await openPeer('host-123456789');
+
+    expect(peer.open).toBe(true);
+    expect(peer.id).toBe('host-123456789');
+  });
+
+  test('should refuse an ID that is already registered', async () => {
+    await openPeer('host-123456789');
+
+    await expect(openPeer('host-123456789')).rejects.toMatchObject({ type: 'unavailable-id' });
+  });
+
+  test('should forward data between connected peers', async () => {
+    const host = await openPeer('host-123456789');
+    const client = await openPeer('client-1');
+    host.on('connection', (conn) => {
+      conn.on('data', (data) => conn.send({ echo: data }));
+    });
+
+    const conn = client.connect('host-123456789');
+    await waitFor(conn, 'open');
+    conn.send({ type: 'vote', vote: '5' });
+    const reply = await waitFor(conn, 'data');
+
+    expect(reply).toEqual({ echo: { type: 'vote', vote: '5' } });
+    expect(conn.relayed).toBe(true);
+  });
+
+  test('should close connections when a peer drops off the relay', async () => {
+    const host = await openPeer('host-123456789');
+    const client = await openPeer('client-1');
+    const hostConn = waitFor(host, 'connection');
+
+    const conn = client.connect('host-123456789');
+    await waitFor(conn, 'open');
+    const closed = waitFor(await hostConn, 'close');
+    // Drop the socket without saying goodbye, like a closed laptop lid
+    client.channel.socket.terminate();
+
+    await closed;
+  });
+
+  test('should not let a socket speak for a peer it did not register', async () => {
+    const host = await openPeer('host-123456789');
+    const connectionSpy = jest.fn();
+    host.on('connection', connectionSpy);
+
+    const rogue = new WebSocket(`ws://localhost:${server.address().port}`);
+    await waitFor(rogue, 'open');
+    rogue.send(JSON.stringify({ kind: 'connect', from: 'someone-else', to: 'host-123456789', connectionId: 'c1' }));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    rogue.close();
+
+    expect(connectionSpy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import CryptoJS from 'crypto-js';
+
+// The modules read CryptoJS from the CDN global when they load, so install the real
+// library before importing them
+let RoomCrypto;
+let PeerManager;
+let PROTOCOL_VERSION;
+
+beforeAll(async () => {
+  window.CryptoJS = CryptoJS;
+  ({ RoomCrypto } = await import('../../src/services/room-crypto.js'));
+  ({ PeerManager } = await import('../../src/peer-manager.js'));
+  ({ PROTOCOL_VERSION } = await import('../../src/protocol.js'));
+});
+
+describe('RoomCrypto', () => {
+  let roomCrypto;
+
+  beforeAll(() => {
+    roomCrypto = RoomCrypto.fromPassphrase('correct horse battery staple', '123456789');
+  });
+
+  test('should round-trip a message', () => {
+    const message = { type: 'vote', vote: '5', v: 1 };
+    const envelope = roomCrypto.encrypt(message);
+
+    expect(envelope.type).toBe('encrypted');
+    expect(JSON.stringify(envelope)).not.toContain('"vote"');
+    expect(roomCrypto.decrypt(envelope)).toEqual(message);
+  });
+
+  test('should use a fresh IV for every message', () => {
+    const first = roomCrypto.encrypt({ type: 'clear_votes' });
+    const second = roomCrypto.encrypt({ type: 'clear_votes' });
+
+    expect(first.iv).not.toBe(second.iv);
+    expect(first.ciphertext).not.toBe(second.ciphertext);
+  });
+
+  test('should reject messages encrypted with another passphrase', () => {
+    const other = RoomCrypto.fromPassphrase('wrong passphrase', '123456789');
+
+    expect(() => roomCrypto.decrypt(other.encrypt({ type: 'vote', vote: '5' })))
+      .toThrow('Message authentication failed');
+  });
+
+  test('should derive different keys for the same passphrase in another room', () => {
+    const otherRoom = RoomCrypto.fromPassphrase('correct horse battery staple', '987654321');
+
+    expect(otherRoom.exportKeys()).not.toEqual(roomCrypto.exportKeys());
+  });
+
+  test('should reject tampered ciphertext', () => {
+    const envelope = roomCrypto.encrypt({ type: 'vote', vote: '5' });
+    const tampered = { ...envelope, ciphertext: envelope.ciphertext.replace(/^./, c => (c === 'A' ? 'B' : 'A')) };
+
+    expect(() => roomCrypto.decrypt(tampered)).toThrow('Message authentication failed');
+  });
+
+  test('should reject malformed envelopes', () => {
+    expect(() => roomCrypto.decrypt({ type: 'encrypted' })).toThrow('Malformed encrypted message');
+  });
+
+  test('should restore exported keys', () => {
+    const restored = RoomCrypto.fromKeys(roomCrypto.exportKeys());
+
+    expect(restored.decrypt(roomCrypto.encrypt({ type: 'clear_votes' }))).toEqual({ type: 'clear_votes' });
+    expect(RoomCrypto.fromKeys(null)).toBeNull();
+  });
+});
+
+describe('PeerManager with a room passphrase', () => {
+  let roomCrypto;
+  let peerManager;
+  let dataSpy;
+
+  beforeAll(() => {
+    roomCrypto = RoomCrypto.fromPassphrase('secret', '123456789');
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    peerManager = new PeerManager();
+    peerManager.peer = { id: 'local' };
+    peerManager.setRoomCrypto(roomCrypto);
+    dataSpy = jest.fn();
+    peerManager.on('dataReceived', dataSpy);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('should encrypt everything it sends', () => {
+    const conn = { peer: 'peer-1', open: true, send: jest.fn() };
+    peerManager.connections.set('peer-1', conn);
+
+    peerManager.broadcast({ type: 'vote', vote: '8' });
+
+    const sent = conn.send.mock.calls[0][0];
+    expect(sent.type).toBe('encrypted');
+    expect(roomCrypto.decrypt(sent)).toMatchObject({ type: 'vote', vote: '8', v: PROTOCOL_VERSION });
+  });
+
+  test('should deliver decrypted messages', () => {
+    peerManager.handlePeerData('peer-1', roomCrypto.encrypt({ type: 'vote', vote: '3', v: 1 }));
+
+    expect(dataSpy).toHaveBeenCalledWith('peer-1', { type: 'vote', vote: '3', v: 1 });
+  });
+
+  test('should drop plaintext messages injected into an encrypted room', () => {
+    const failedSpy = jest.fn();
+    peerManager.on('decryptionFailed', failedSpy);
+
+    peerManager.handlePeerData('intruder', { type: 'vote', vote: '100', v: 1 });
+
+    expect(dataSpy).not.toHaveBeenCalled();
+    expect(failedSpy).toHaveBeenCalledWith('intruder', 'unencrypted');
+  });
+
+  test('should report a wrong passphrase', () => {
+    const failedSpy = jest.fn();
+    peerManager.on('decryptionFailed', failedSpy);
+    const other = RoomCrypto.fromPassphrase('guess', '123456789');
+
+    peerManager.handlePeerData('intruder', other.encrypt({ type: 'vote', vote: '100', v: 1 }));
+
+    expect(dataSpy).not.toHaveBeenCalled();
+    expect(failedSpy).toHaveBeenCalledWith('intruder', 'wrong_passphrase');
+  });
+
+  test('should ask for a passphrase when the room is encrypted and we have none', () => {
+    const requiredSpy = jest.fn();
+    peerManager.setRoomCrypto(null);
+    peerManager.on('passphraseRequired', requiredSpy);
+
+    peerManager.handlePeerData('host-123456789', roomCrypto.encrypt({ type: 'clear_votes', v: 1 }));
+
+    expect(requiredSpy).toHaveBeenCalledWith('host-123456789');
+    expect(dataSpy).not.toHaveBeenCalled();
+  });
+});
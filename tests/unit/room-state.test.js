@@ -0,0 +1,282 @@
+import { describe, test, expect } from '@jest/globals';
+import { RoomState } from '../../src/room-state.js';
+import { MAX_HISTORY } from '../../src/protocol.js';
+
+const DECK = ['1', '2', '3', '5', '8', '?'];
+const OTHER_DECKS = [['S', 'M', 'L'], ['1', '2', '4', '8'], DECK];
+const PEERS = ['peer-a', 'peer-b', 'peer-c'];
+
+// Small seeded generator so a failing run can be replayed from its seed
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+
+function shuffle(random, list) {
+  const shuffled = [...list];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Other peers only get the commitment of a vote, its value follows in a reveal
+function castVote(random, replica, peerId) {
+  const vote = random() < 0.15 ? null : pick(random, DECK);
+  if (vote === null || random() < 0.3) {
+    return { type: 'vote', peerId, entry: replica.castVote(peerId, { vote }) };
+  }
+  const salt = String(Math.floor(random() * 1e9));
+  const { commitment, round, clock } = replica.castVote(peerId, { vote, commitment: `${vote}#${salt}`, salt });
+  return { type: 'vote', peerId, entry: { vote: null, commitment, round, clock } };
+}
+
+function revealVote(replica, peerId) {
+  return { type: 'vote', peerId, entry: { ...replica.votes.get(peerId) } };
+}
+
+// A random local operation on a replica, returned as the message the other peers would receive
+function randomOperation(random, replica, peerId) {
+  const roll = random();
+  if (roll < 0.4) return castVote(random, replica, peerId);
+  if (roll < 0.45 && replica.votes.has(peerId)) return revealVote(replica, peerId);
+  if (roll < 0.6) return { type: 'clear_votes', ...replica.clear() };
+  if (roll < 0.75) return { type: 'show_votes', ...replica.reveal() };
+  if (roll < 0.85) return { type: 'setting', key: 'deck', entry: replica.setSetting('deck', pick(random, OTHER_DECKS), peerId) };
+  return { type: 'state_snapshot', state: replica.toJSON() };
+}
+
+// Same merges GameManager makes for each message
+function deliver(replica, message) {
+  switch (message.type) {
+    case 'vote':
+      replica.mergeRound(message.entry.round, false);
+      replica.mergeVote(message.peerId, message.entry);
+      break;
+    case 'clear_votes':
+      replica.observe(message.clock);
+      replica.mergeRound(message.round, false);
+      break;
+    case 'show_votes':
+      replica.observe(message.clock);
+      replica.mergeRound(message.round, true);
+      break;
+    case 'setting':
+      replica.mergeSetting(message.key, message.entry);
+      break;
+    case 'state_snapshot':
+      replica.merge(message.state);
+      break;
+  }
+}
+
+function observable(replica) {
+  const { clock, ...state } = replica.toJSON();
+  return { ...state, visibleVotes: PEERS.map(peerId => replica.getVote(peerId)) };
+}
+
+// Peers act on what they have seen so far while messages are delayed, reordered and duplicated
+function simulate(seed, steps = 60) {
+  const random = createRandom(seed);
+  const replicas = PEERS.map(() => new RoomState(DECK));
+  const inboxes = PEERS.map(() => []);
+
+  for (let step = 0; step < steps; step++) {
+    const index = Math.floor(random() * PEERS.length);
+    if (random() < 0.5 || inboxes[index].length === 0) {
+      const message = randomOperation(random, replicas[index], PEERS[index]);
+      inboxes.forEach((inbox, other) => {
+        if (other !== index) inbox.push(message);
+      });
+    } else {
+      const inbox = inboxes[index];
+      const [message] = inbox.splice(Math.floor(random() * inbox.length), 1);
+      deliver(replicas[index], message);
+      // Retransmissions can deliver the same message again later
+      if (random() < 0.2) inbox.push(message);
+    }
+  }
+
+  // Everyone reveals the vote they hold in the end, like they do when the round is shown
+  replicas.forEach((replica, index) => {
+    if (!replica.votes.has(PEERS[index])) return;
+    const message = revealVote(replica, PEERS[index]);
+    inboxes.forEach((inbox, other) => {
+      if (other !== index) inbox.push(message);
+    });
+  });
+
+  inboxes.forEach((inbox, index) => {
+    shuffle(random, inbox).forEach(message => deliver(replicas[index], message));
+  });
+
+  return replicas;
+}
+
+describe('RoomState', () => {
+  describe('convergence', () => {
+    test('should converge whatever the delivery order, for many random runs', () => {
+      for (let seed = 1; seed <= 300; seed++) {
+        const [first, ...others] = simulate(seed).map(observable);
+        others.forEach(state => expect({ seed, state }).toEqual({ seed, state: first }));
+      }
+    });
+
+    test('should reach the same state from any permutation of the same messages', () => {
+      const random = createRandom(42);
+      const authors = PEERS.map(() => new RoomState(DECK));
+      const messages = [];
+      for (let i = 0; i < 40; i++) {
+        const index = Math.floor(random() * PEERS.length);
+        const message = randomOperation(random, authors[index], PEERS[index]);
+        messages.push(message);
+        // Authors hear about some of each other's messages, which makes later ones concurrent or not
+        authors.forEach((author, other) => {
+          if (other !== index && random() < 0.5) deliver(author, message);
+        });
+      }
+
+      const expected = new RoomState(DECK);
+      messages.forEach(message => deliver(expected, message));
+
+      for (let run = 0; run < 50; run++) {
+        const replica = new RoomState(DECK);
+        shuffle(random, [...messages, ...messages.slice(0, 10)]).forEach(message => deliver(replica, message));
+        expect(observable(replica)).toEqual(observable(expected));
+      }
+    });
+  });
+
+  describe('rounds and reveals', () => {
+    test('should let a concurrent clear win over a reveal of the same round', () => {
+      const alice = new RoomState(DECK);
+      const bob = new RoomState(DECK);
+      const reveal = alice.reveal();
+      const clear = bob.clear();
+
+      alice.mergeRound(clear.round, false);
+      bob.mergeRound(reveal.round, true);
+
+      expect([alice.round, alice.revealed]).toEqual([2, false]);
+      expect([bob.round, bob.revealed]).toEqual([2, false]);
+    });
+
+    test('should land concurrent clears on the same round', () => {
+      const alice = new RoomState(DECK);
+      const bob = new RoomState(DECK);
+      const aliceClear = alice.clear();
+      const bobClear = bob.clear();
+
+      alice.mergeRound(bobClear.round, false);
+      bob.mergeRound(aliceClear.round, false);
+
+      expect(alice.round).toBe(2);
+      expect(bob.round).toBe(2);
+    });
+
+    test('should only count votes of the current round', () => {
+      const room = new RoomState(DECK);
+      room.castVote('peer-a', { vote: '5' });
+      room.clear();
+
+      expect(room.getVote('peer-a')).toBeNull();
+    });
+  });
+
+  describe('votes', () => {
+    test('should keep the newer vote when an older one arrives late', () => {
+      const room = new RoomState(DECK);
+      room.mergeVote('peer-a', { vote: '8', round: 1, clock: 4 });
+      room.mergeVote('peer-a', { vote: '3', round: 1, clock: 2 });
+
+      expect(room.getVote('peer-a')).toBe('8');
+      expect(room.clock).toBe(4);
+    });
+
+    test('should fill in the value behind a commitment without replacing the vote', () => {
+      const room = new RoomState(DECK);
+      room.mergeVote('peer-a', { vote: null, commitment: 'abc', round: 1, clock: 3 });
+
+      expect(room.hasVoted('peer-a')).toBe(true);
+      expect(room.getVote('peer-a')).toBeNull();
+
+      room.mergeVote('peer-a', { vote: '5', commitment: 'abc', salt: 'pepper', round: 1, clock: 3 });
+
+      expect(room.getVote('peer-a')).toBe('5');
+      expect(room.votes.get('peer-a').salt).toBe('pepper');
+    });
+
+    test('should follow the local peer when its ID changes', () => {
+      const room = new RoomState(DECK);
+      room.castVote('peer-a', { vote: '5' });
+      room.moveVote('peer-a', 'peer-z');
+
+      expect(room.getVote('peer-a')).toBeNull();
+      expect(room.getVote('peer-z')).toBe('5');
+    });
+  });
+
+  describe('settings', () => {
+    test('should let any chosen deck win over the default one', () => {
+      const room = new RoomState(DECK);
+      room.mergeSetting('deck', { value: ['S', 'M'], clock: 1, peerId: 'peer-b' });
+
+      expect(room.getSetting('deck')).toEqual(['S', 'M']);
+    });
+
+    test('should break clock ties by peer ID', () => {
+      const alice = new RoomState(DECK);
+      const bob = new RoomState(DECK);
+      const fromAlice = alice.setSetting('deck', ['S', 'M'], 'peer-a');
+      const fromBob = bob.setSetting('deck', ['1', '2'], 'peer-b');
+
+      alice.mergeSetting('deck', fromBob);
+      bob.mergeSetting('deck', fromAlice);
+
+      expect(alice.getSetting('deck')).toEqual(['1', '2']);
+      expect(bob.getSetting('deck')).toEqual(['1', '2']);
+    });
+  });
+
+  describe('history', () => {
+    const entryAt = (committedAt, id = `h${committedAt}`) => ({ id, round: 1, estimate: '5', votes: [], consensus: 'none', duration: 0, committedAt });
+
+    test('should keep each entry once, in commit order on every peer', () => {
+      const alice = new RoomState(DECK);
+      const bob = new RoomState(DECK);
+      const first = entryAt(1);
+      const second = entryAt(2);
+
+      alice.mergeHistoryEntry(first);
+      alice.mergeHistoryEntry(second);
+      expect(bob.mergeHistoryEntry(second)).toBe(true);
+      expect(bob.mergeHistoryEntry(first)).toBe(true);
+      expect(bob.mergeHistoryEntry(first)).toBe(false);
+
+      expect(alice.getHistory()).toEqual([first, second]);
+      expect(bob.getHistory()).toEqual([first, second]);
+    });
+
+    test('should drop the same oldest entries on every peer past MAX_HISTORY', () => {
+      const alice = new RoomState(DECK);
+      const bob = new RoomState(DECK);
+      const entries = Array.from({ length: MAX_HISTORY + 1 }, (_, i) => entryAt(i + 1));
+
+      entries.forEach(entry => alice.mergeHistoryEntry(entry));
+      [...entries].reverse().forEach(entry => bob.mergeHistoryEntry(entry));
+
+      expect(alice.getHistory()).toEqual(entries.slice(1));
+      expect(bob.getHistory()).toEqual(entries.slice(1));
+      expect(alice.mergeHistoryEntry(entries[0])).toBe(false);
+    });
+  });
+});
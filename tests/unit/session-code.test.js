@@ -0,0 +1,60 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  CODE_WORDS,
+  generateWordCode,
+  generateNumericId,
+  normalizeSessionId,
+  getSessionIdError,
+  isValidSessionId
+} from '../../src/services/session-code.js';
+
+describe('Session codes', () => {
+  test('should have one distinct word per byte', () => {
+    expect(CODE_WORDS).toHaveLength(256);
+    expect(new Set(CODE_WORDS).size).toBe(256);
+    CODE_WORDS.forEach(word => expect(word).toMatch(/^[a-z]+$/));
+  });
+
+  test('should generate word codes that check out', () => {
+    for (let i = 0; i < 50; i++) {
+      const code = generateWordCode();
+
+      expect(code).toMatch(/^[a-z]+(-[a-z]+){3}$/);
+      expect(isValidSessionId(code)).toBe(true);
+    }
+  });
+
+  test('should keep accepting 9 digit session IDs', () => {
+    const sessionId = generateNumericId();
+
+    expect(String(sessionId)).toMatch(/^\d{9}$/);
+    expect(isValidSessionId(sessionId)).toBe(true);
+    expect(isValidSessionId('12345678')).toBe(false);
+  });
+
+  test('should catch any single misheard word', () => {
+    const words = 'brave-otter-lamp-parrot'.split('-');
+    expect(isValidSessionId(words.join('-'))).toBe(true);
+
+    words.forEach((word, position) => {
+      CODE_WORDS.filter(other => other !== word).forEach(other => {
+        const misheard = words.map((w, i) => (i === position ? other : w)).join('-');
+        expect(isValidSessionId(misheard)).toBe(false);
+      });
+    });
+  });
+
+  test('should explain what is wrong with a code', () => {
+    expect(getSessionIdError('brave-otter-lamp-parrot')).toBeNull();
+    expect(getSessionIdError('brave-oter-lamp-parrot')).toContain('"oter"');
+    expect(getSessionIdError('brave-otter-lamp-panda')).toContain('misheard');
+    expect(getSessionIdError('brave-otter-lamp')).toContain('four words');
+    expect(getSessionIdError('')).toContain('four words');
+  });
+
+  test('should tidy up codes the way people type them', () => {
+    expect(normalizeSessionId('  Brave Otter_Lamp.Parrot ')).toBe('brave-otter-lamp-parrot');
+    expect(normalizeSessionId('123 456-789')).toBe('123456789');
+    expect(normalizeSessionId(null)).toBe('');
+  });
+});
@@ -0,0 +1,250 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { SettingsManager, DEFAULT_SETTINGS } from '../../src/services/settings-manager.js';
+import { PeerManager } from '../../src/peer-manager.js';
+
+// Local PeerServer stand-in: peers only see each other when they registered
+// on the same host/port/path/key, like they would on a real PeerServer
+function createPeerServerStandIn() {
+  const registry = new Map();
+  let nextId = 1;
+
+  const serverKey = (options) => `${options.host || 'cloud'}:${options.port || ''}${options.path || ''}#${options.key || ''}`;
+
+  function FakePeer(idOrOptions, maybeOptions) {
+    const id = typeof idOrOptions === 'string' ? idOrOptions : `client-${nextId++}`;
+    const options = typeof idOrOptions === 'string' ? maybeOptions : idOrOptions;
+    const handlers = {};
+    const server = serverKey(options);
+
+    const peer = {
+      id,
+      options,
+      open: false,
+      on: (event, callback) => {
+        (handlers[event] = handlers[event] || []).push(callback);
+      },
+      trigger: (event, ...args) => (handlers[event] || []).forEach(callback => callback(...args)),
+      connect: (targetId) => {
+        const connHandlers = {};
+        const conn = {
+          peer: targetId,
+          open: false,
+          on: (event, callback) => {
+            (connHandlers[event] = connHandlers[event] || []).push(callback);
+          },
+          send: jest.fn(),
+          close: jest.fn()
+        };
+        const target = registry.get(`${server}/${targetId}`);
+        setTimeout(() => {
+          if (target) {
+            conn.open = true;
+            (connHandlers.open || []).forEach(callback => callback());
+          } else {
+            (connHandlers.error || []).forEach(callback => callback(new Error(`Could not connect to peer ${targetId}`)));
+          }
+        }, 0);
+        return conn;
+      },
+      destroy: jest.fn()
+    };
+
+    setTimeout(() => {
+      if (registry.has(`${server}/${id}`)) {
+        peer.trigger('error', { type: 'unavailable-id' });
+        return;
+      }
+      registry.set(`${server}/${id}`, peer);
+      peer.open = true;
+      peer.trigger('open', id);
+    }, 0);
+
+    return peer;
+  }
+
+  return { FakePeer, registry };
+}
+
+describe('SettingsManager', () => {
+  let settingsManager;
+
+  beforeEach(() => {
+    global.fetch.mockResolvedValue({ ok: false });
+    window.localStorage.clear();
+    settingsManager = new SettingsManager();
+  });
+
+  describe('defaults', () => {
+    test('should use the public PeerJS cloud with the default STUN servers', () => {
+      const options = settingsManager.getPeerOptions();
+
+      expect(options.host).toBeUndefined();
+      expect(options.config.iceServers).toEqual(DEFAULT_SETTINGS.iceServers);
+    });
+  });
+
+  describe('layering', () => {
+    test('should apply the config file', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({
+          peerServer: { host: 'peer.corp.example', port: 9000, path: '/rp', key: 'corp' },
+          iceServers: [{ urls: 'turn:turn.corp.example:3478', username: 'alice', credential: 'secret' }]
+        })
+      });
+
+      await settingsManager.load('');
+      const options = settingsManager.getPeerOptions();
+
+      expect(options).toMatchObject({ host: 'peer.corp.example', port: 9000, path: '/rp', key: 'corp', secure: true });
+      expect(options.config.iceServers).toEqual([
+        { urls: 'turn:turn.corp.example:3478', username: 'alice', credential: 'secret' }
+      ]);
+    });
+
+    test('should let saved settings override the config file field by field', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ peerServer: { host: 'peer.corp.example', key: 'corp' } })
+      });
+      window.localStorage.setItem('rapidPlanningSettings', JSON.stringify({ peerServer: { port: '8443' } }));
+
+      await settingsManager.load('');
+
+      expect(settingsManager.getPeerOptions()).toMatchObject({ host: 'peer.corp.example', port: 8443, key: 'corp' });
+    });
+
+    test('should let query params override everything for this page load only', async () => {
+      window.localStorage.setItem('rapidPlanningSettings', JSON.stringify({ peerServer: { host: 'saved.example' } }));
+
+      await settingsManager.load('?session=123456789&peerHost=query.example&peerSecure=false');
+
+      expect(settingsManager.getPeerOptions()).toMatchObject({ host: 'query.example', secure: false });
+      expect(window.localStorage.getItem('rapidPlanningSettings')).not.toContain('query.example');
+    });
+
+    test('should remember query params once they are saved in the dialog', async () => {
+      await settingsManager.load('?peerHost=query.example');
+
+      settingsManager.save(settingsManager.getSettings());
+
+      expect(window.localStorage.getItem('rapidPlanningSettings')).toContain('query.example');
+    });
+
+    test('should pick the transport from query params', async () => {
+      expect(settingsManager.getSettings().transport).toBe('peerjs');
+
+      await settingsManager.load('?transport=local');
+
+      expect(settingsManager.getSettings().transport).toBe('local');
+    });
+
+    test('should fall back to defaults when the config file cannot be fetched', async () => {
+      global.fetch.mockRejectedValue(new Error('Network error'));
+
+      await settingsManager.load('');
+
+      expect(settingsManager.getPeerOptions().host).toBeUndefined();
+    });
+
+    test('should emit settingsChanged when saving and resetting', () => {
+      const changedSpy = jest.fn();
+      settingsManager.on('settingsChanged', changedSpy);
+
+      settingsManager.save({ peerServer: { host: 'saved.example' } });
+      expect(changedSpy).toHaveBeenLastCalledWith(expect.objectContaining({
+        peerServer: expect.objectContaining({ host: 'saved.example' })
+      }));
+
+      settingsManager.reset();
+      expect(settingsManager.getSettings().peerServer.host).toBe('');
+      expect(window.localStorage.getItem('rapidPlanningSettings')).toBeNull();
+    });
+  });
+
+  describe('ICE server parsing', () => {
+    test('should parse STUN and TURN servers with credentials', () => {
+      const servers = SettingsManager.parseIceServers(
+        'stun:stun.example.com:3478\nturn:turn.example.com:3478 alice secret\n\n'
+      );
+
+      expect(servers).toEqual([
+        { urls: 'stun:stun.example.com:3478' },
+        { urls: 'turn:turn.example.com:3478', username: 'alice', credential: 'secret' }
+      ]);
+    });
+
+    test('should round-trip through the dialog format', () => {
+      const servers = [
+        { urls: 'stun:stun.example.com:3478' },
+        { urls: 'turn:turn.example.com:3478', username: 'alice', credential: 'secret' }
+      ];
+
+      expect(SettingsManager.parseIceServers(SettingsManager.formatIceServers(servers))).toEqual(servers);
+    });
+
+    test('should parse comma separated servers from query params', () => {
+      const settings = SettingsManager.parseQueryParams('?iceServers=stun:a.example:3478,turn:b.example:3478%20bob%20pw');
+
+      expect(settings.iceServers).toEqual([
+        { urls: 'stun:a.example:3478' },
+        { urls: 'turn:b.example:3478', username: 'bob', credential: 'pw' }
+      ]);
+    });
+  });
+
+  describe('with a local PeerServer', () => {
+    let standIn;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      standIn = createPeerServerStandIn();
+      global.Peer.mockImplementation(standIn.FakePeer);
+      settingsManager.save({
+        peerServer: { host: 'localhost', port: '9000', path: '/myapp', key: 'local', secure: false },
+        iceServers: [{ urls: 'turn:localhost:3478', username: 'user', credential: 'pass' }]
+      });
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+      console.error.mockRestore();
+    });
+
+    test('should pass the server and ICE settings to the host peer', async () => {
+      const host = new PeerManager(settingsManager);
+      await host.createSession('123456789');
+
+      expect(global.Peer).toHaveBeenCalledWith('host-123456789', expect.objectContaining({
+        host: 'localhost',
+        port: 9000,
+        path: '/myapp',
+        key: 'local',
+        secure: false,
+        config: { iceServers: [{ urls: 'turn:localhost:3478', username: 'user', credential: 'pass' }] }
+      }));
+    });
+
+    test('should let a client join a host registered on the same server', async () => {
+      const host = new PeerManager(settingsManager);
+      await host.createSession('123456789');
+
+      const client = new PeerManager(settingsManager);
+      await client.joinSession('123456789');
+
+      expect(global.Peer).toHaveBeenLastCalledWith(expect.objectContaining({ host: 'localhost', port: 9000 }));
+      expect(client.connections.has('host-123456789')).toBe(true);
+    });
+
+    test('should not find a host registered on a different server', async () => {
+      const host = new PeerManager(settingsManager);
+      await host.createSession('123456789');
+
+      const otherSettings = new SettingsManager();
+      const client = new PeerManager(otherSettings);
+
+      await expect(client.joinSession('123456789')).rejects.toThrow('Could not connect to peer host-123456789');
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { UIManager } from '../../src/ui-manager.js';
+
+describe('UIManager', () => {
+  let uiManager;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="players-table"></div>';
+    uiManager = new UIManager({ on: jest.fn(), emit: jest.fn() }, { on: jest.fn() });
+    uiManager.currentPage = 'game';
+    jest.spyOn(uiManager, 'emit').mockImplementation(() => {});
+  });
+
+  describe('players table', () => {
+    const mallory = {
+      id: 'peer-mallory" onmouseover="alert(1)',
+      name: '<img src=x onerror=alert(1)>',
+      reaction: '<b>hi</b>',
+      vote: null,
+      voted: true
+    };
+
+    test('should show names and reactions as text', () => {
+      uiManager.players = [mallory];
+      uiManager.renderPlayers();
+
+      const table = document.getElementById('players-table');
+      expect(table.querySelector('.player-name').textContent).toBe(mallory.name);
+      expect(table.querySelector('.player-reaction').textContent).toBe(mallory.reaction);
+      expect(table.querySelector('img')).toBeNull();
+      expect(table.querySelector('b')).toBeNull();
+      expect(table.querySelector('.player-voted-indicator')).not.toBeNull();
+    });
+
+    test('should hand the role over to the player whose button was clicked', () => {
+      uiManager.setFacilitator(true, 'peer-local');
+      uiManager.players = [mallory];
+      uiManager.renderPlayers();
+
+      document.querySelector('.make-facilitator').click();
+
+      expect(uiManager.emit).toHaveBeenCalledWith('makeFacilitator', mallory.id);
+    });
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, test, expect } from '@jest/globals';
+import { createCommitment, matchesCommitment } from '../../src/services/vote-commitment.js';
+
+describe('Vote commitments', () => {
+  test('should match the vote and salt it was made from', () => {
+    const { commitment, salt } = createCommitment('8');
+
+    expect(commitment).toMatch(/^[a-f0-9]{64}$/);
+    expect(salt).toMatch(/^[a-f0-9]{32}$/);
+    expect(matchesCommitment(commitment, '8', salt)).toBe(true);
+  });
+
+  test('should not match another vote or salt', () => {
+    const { commitment, salt } = createCommitment('8');
+
+    expect(matchesCommitment(commitment, '5', salt)).toBe(false);
+    expect(matchesCommitment(commitment, '8', 'other salt')).toBe(false);
+    expect(matchesCommitment(commitment, '8', undefined)).toBe(false);
+  });
+
+  test('should hide equal votes behind different commitments', () => {
+    expect(createCommitment('8').commitment).not.toBe(createCommitment('8').commitment);
+  });
+});